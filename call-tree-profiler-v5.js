@@ -5,116 +5,826 @@
  */
 
 const fs = require('fs');
+const path = require('path');
+const { generateFlameGraphSVG } = require('./lib/flamegraph');
+const exporters = require('./lib/exporters');
+const { SymbolTable, hex4, parseSymbols } = require('./lib/symbols');
+const { escapeHTML } = require('./lib/html');
+const { loadDebugInfo } = require('./lib/debuginfo');
+const { BRANCH_MNEMONICS, lookupInstruction } = require('./lib/opcodes');
+const { streamTraceEvents, readTraceEvents } = require('./lib/trace-stream');
+const { FrameTracker, parseFrameCycles, parseFrameMarker } = require('./lib/frames');
+const { MACHINES, getMachine, formatDuration, formatClock } = require('./lib/machines');
+const { loadConfig } = require('./lib/config');
+const { compareProfiles, generateDiffFlameGraph, generateCompareHTML, functionTotals } = require('./lib/compare');
+const { loadBudget, checkBudget, formatBudgetTable, generateJUnitXML } = require('./lib/budget');
+const { splitPatterns, hasFilters, filterCallTree, unmatchedPatterns } = require('./lib/filter');
+const { EXIT_OK, EXIT_ERROR, EXIT_FAILED, parseArgs, applyConfig } = require('./lib/cli');
+const { GALLERY_CONFIG_FILE, buildGallery } = require('./lib/gallery');
+const { DEFAULT_MAX_CYCLES, parseAddress, recordProgram } = require('./lib/recorder');
+const { MemoryMap } = require('./lib/memory');
+const { STACK_PAGE_BYTES, StackTracker } = require('./lib/stack');
+
+// Export formats: those in lib/exporters.js plus the report viewer's own JSON,
+// which keeps instruction breakdowns and can be dropped onto any report
+const EXPORT_FORMATS = Object.assign({}, exporters.FORMATS, { json: { extension: '.profile.json' } });
+
+const CONTROL_FLOW = new Set([...BRANCH_MNEMONICS, 'JMP', 'JSR', 'RTS', 'RTI', 'BRK']);
+
+// Interrupt kinds recognised from trace event names (B/E events or cat "interrupt")
+const INTERRUPT_KINDS = new Set(['IRQ', 'NMI', 'BRK']);
+
+// Call-stack diagnostics reported while reconstructing the tree
+const DIAGNOSTIC_KINDS = {
+    'unmatched-return': 'Return (RTS, RTI or E event) with no open call (ignored)',
+    'stack-unwind': 'Return skipped frames (stack unwound, e.g. PLA/PLA before RTS)',
+    'rts-dispatch': 'RTS to an address that is not a return address (jump table / RTS trick)',
+    'tail-call': 'JMP into another subroutine (tail call)',
+    'missing-return': 'RTS with no return event (closed at its return address)',
+    'unclosed-call': 'Call still open at end of trace'
+};
+const MAX_DIAGNOSTICS = 500; // detailed entries kept; counts are always complete
+
+// Timing penalty kinds reported by classifyTiming()
+const PENALTY_KINDS = {
+    branchTaken: 'Taken branch',
+    branchPage: 'Branch page cross',
+    indexPage: 'Indexed page cross',
+    other: 'Unexplained extra'
+};
+
+// Traces larger than this are streamed instead of loaded whole
+const STREAM_THRESHOLD_BYTES = 100 * 1024 * 1024;
 
 class CallTreeProfiler {
-    constructor(traceFile, symFile) {
-        this.traceData = JSON.parse(fs.readFileSync(traceFile, 'utf8'));
-        this.events = this.traceData.traceEvents;
+    constructor(traceFile, symFile, options = {}) {
+        // traceFile: trace path, or a { traceEvents, name } object such as
+        //   lib/recorder.js returns, to profile without writing a file
+        // timeline: keep one node per invocation instead of merging by call path
+        // symbolFormat: force a symbol file parser instead of detecting it
+        // logFormat: read the trace as a vice, mame or mesen log (detected when not JSON)
+        // debugInfo: ca65 .dbg, KickAssembler -debugdump or .lst file for source lines
+        // stream: don't load the trace up front; call analyzeStream() instead
+        // frameCycles / frameMarker: split into frames every N cycles ("pal", "ntsc",
+        //   "machine") or at an address, label or event name; either enables the Frames tab
+        // machine: preset name or { name, clockHz, frameCycles } (lib/machines.js)
+        // include / exclude / minPercent: narrow the tree shown in reports and exports
+        //   (function name patterns with * wildcards; see lib/filter.js)
+        this.options = Object.assign({ timeline: false, symbolFormat: null, logFormat: null, debugInfo: null, stream: false,
+            frameCycles: null, frameMarker: null, machine: null, include: null, exclude: null, minPercent: 0 }, options);
+        this.machine = getMachine(this.options.machine);
+        const recorded = typeof traceFile === 'object' && traceFile !== null;
+        this.traceFile = recorded ? null : traceFile;
+        this.traceName = recorded ? traceFile.name || 'trace' : path.basename(traceFile).replace(/(\.json)?(\.gz)?$/, '');
+        this.events = recorded ? traceFile.traceEvents : this.options.stream ? null : readTraceEvents(traceFile, this.options.logFormat);
+        this.callTree = null;
+        this.symbolFormat = null;
+        this.unparsedSymbols = [];
         this.symbols = this.parseSymbolFile(symFile);
+        this.sourceMap = this.options.debugInfo ? loadDebugInfo(this.options.debugInfo) : null;
+        this.frameCycles = this.options.frameCycles === 'machine'
+            ? this.machine.frameCycles
+            : parseFrameCycles(this.options.frameCycles);
+        this.frameMarker = this.options.frameMarker ? parseFrameMarker(this.options.frameMarker, this.symbols) : null;
+        // A marker without a frame length budgets against the machine's frame
+        if (this.frameMarker && !this.frameCycles) {
+            this.frameCycles = this.machine.frameCycles;
+        }
+        if ((this.options.frameCycles === 'machine' || this.frameMarker) && !this.frameCycles) {
+            throw new Error(this.machine.name + ' has no video frame; use --frames=<cycles>');
+        }
+        this.frames = null; // FrameTracker when frame splitting is on
+        this.lineStats = new Map(); // "file:line" -> { file, line, count, cycles, owners }
+        this.addressStats = new Map(); // addr -> { addr, text, owner, count, cycles, leader }
+        this.loops = new Map(); // "branch>target" -> { branch, target, owner, taken, notTaken }
         this.functionStats = new Map(); // functionName -> { totalCycles, instructions, minAddr, maxAddr }
+        this.memory = null; // MemoryMap of reads, writes and executes per address
+        this.stack = null; // StackTracker: hardware stack use and call depth
+        this.diagnostics = []; // { kind, ts, addr, function, detail } from call-stack reconstruction
+        this.diagnosticCounts = {};
         this.activeFunction = null; // Currently executing subroutine (from JSR events)
         this.totalCycles = 0;
+        this.interruptCycles = 0; // Cycles spent in interrupt handlers, nested ones included
     }
 
     parseSymbolFile(filename) {
-        const symbols = new Map();
+        const symbols = new SymbolTable();
         if (!fs.existsSync(filename)) {
             console.warn('Warning: Symbol file not found: ' + filename);
             return symbols;
         }
         const content = fs.readFileSync(filename, 'utf8');
-        const lines = content.split('\n');
-        for (const line of lines) {
-            const trimmed = line.trim();
-            const match = trimmed.match(/\.label\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*\$([0-9a-fA-F]+)/);
-            if (match) {
-                const label = match[1];
-                const addr = parseInt(match[2], 16);
-                symbols.set(addr, label);
+        const result = parseSymbols(content, { format: this.options.symbolFormat });
+        this.symbolFormat = result.format;
+        this.unparsedSymbols = result.unparsed;
+
+        if (result.unparsed.length > 0) {
+            console.warn(`Warning: ${result.unparsed.length} unrecognised line(s) in ${filename} (${result.format} format):`);
+            for (const entry of result.unparsed.slice(0, 5)) {
+                console.warn(`  line ${entry.line}: ${entry.text}`);
+            }
+            if (result.unparsed.length > 5) {
+                console.warn(`  ... and ${result.unparsed.length - 5} more`);
+            }
+        }
+        return result.symbols;
+    }
+
+    /**
+     * Subroutine name for a B event. Emulators that don't know labels emit the
+     * JSR target instead ("$0835", "sub_0835", "JSR $0835" or args.addr);
+     * those are looked up in the symbol table, falling back to label+offset.
+     */
+    resolveSubroutineName(event) {
+        let addr = null;
+        const match = event.name && event.name.match(/^(?:JSR\s+)?(?:\$|0x|sub_)([0-9A-Fa-f]{1,4})$/);
+        if (match) {
+            addr = parseInt(match[1], 16);
+        } else if (!event.name && event.args) {
+            const target = event.args.target || event.args.addr;
+            if (target !== undefined) {
+                addr = typeof target === 'number' ? target : parseInt(String(target).replace(/^\$|^0x/, ''), 16);
             }
         }
-        return symbols;
+        if (addr === null || isNaN(addr)) {
+            return event.name || 'unknown';
+        }
+        return this.symbols.formatAddress(addr);
     }
 
     analyze() {
-        // First pass: Build call tree from JSR/RTS events and track active function
-        const callTree = { name: 'root', children: [], totalCycles: 0, minAddr: Infinity, maxAddr: -1 };
-        const callStack = [{ node: callTree, startCycles: 0 }];
-        
+        if (!this.events) {
+            throw new Error('Trace was opened for streaming; use analyzeStream()');
+        }
+        this.beginAnalysis();
+        for (const event of this.events) {
+            this.processEvent(event);
+        }
+        return this.finishAnalysis();
+    }
+
+    /**
+     * Same as analyze(), but reads the trace file incrementally so memory
+     * stays bounded however large it is. onProgress(bytesRead, totalBytes).
+     */
+    async analyzeStream(onProgress) {
+        this.beginAnalysis();
+        await streamTraceEvents(this.traceFile, event => this.processEvent(event), onProgress, this.options.logFormat);
+        return this.finishAnalysis();
+    }
+
+    // Analyzed call tree, running analyze() on first use
+    getCallTree() {
+        return this.callTree || this.analyze();
+    }
+
+    // Frame length for every per-frame figure: the --frames / --frame-marker split when on, else the machine's
+    frameLength() {
+        return this.frameCycles || this.machine.frameCycles;
+    }
+
+    // Call tree as shown in reports and exports, with the include/exclude/minPercent filters applied
+    // filterOptions: extra filterCallTree() options (keepPrunedCycles for exports)
+    getReportTree(filterOptions = {}) {
+        const callTree = this.getCallTree();
+        return hasFilters(this.options) ? filterCallTree(callTree, Object.assign({}, this.options, filterOptions)) : callTree;
+    }
+
+    // include/exclude patterns that match no function: { include: [...], exclude: [...] }
+    unmatchedFilters() {
+        const callTree = this.getCallTree();
+        return {
+            include: unmatchedPatterns(callTree, this.options.include),
+            exclude: unmatchedPatterns(callTree, this.options.exclude)
+        };
+    }
+
+    beginAnalysis() {
+        // Build call tree from JSR/RTS events and track active function
+        const callTree = this.createNode('root');
+        this.analysis = {
+            callTree: callTree,
+            callStack: [{ node: callTree, startCycles: 0, startTotal: 0, stolen: 0, returnAddr: null, entryAddr: null }],
+            prevInstruction: null, // { addr, mnemonic, target, owner } of the last X event
+            pendingReturns: [], // E events awaiting the next instruction's address, innermost first
+            rtsBeforeEnd: null, // tracer order, learnt from the first E: RTS then E, or E then RTS
+            lastJsr: null, // { addr, target, event } of a JSR not yet matched to a B event
+            lastEvent: null,
+            entries: new Set(), // subroutine entry addresses (JSR targets)
+            pendingBrk: false, // BRK executed; the next instruction is its handler
+            interruptEnded: false, // E seen for the innermost interrupt; RTI may still follow
+            lastRti: null
+        };
+        this.diagnostics = [];
+        this.diagnosticCounts = {};
+        this.functionStats = new Map();
+        this.lineStats = new Map();
+        this.addressStats = new Map();
+        this.loops = new Map();
+        this.memory = new MemoryMap(this.machine.io);
+        this.stack = new StackTracker();
+        this.totalCycles = 0;
+        this.interruptCycles = 0;
+        if (this.frameCycles || this.frameMarker) {
+            this.frames = new FrameTracker(this.frameCycles, this.frameMarker);
+        }
+
         // Track active subroutine for instruction mapping
         this.activeFunction = 'root';
+    }
 
-        for (const event of this.events) {
-            if (event.ph === 'B' && event.cat === 'subroutine') {
-                // Subroutine call - enter this function
-                const parentNode = callStack[callStack.length - 1].node;
-                const childNode = {
-                    name: event.name,
-                    children: [],
-                    totalCycles: 0,
-                    callCount: 0,
-                    minAddr: Infinity,
-                    maxAddr: -1
-                };
-                parentNode.children.push(childNode);
-                callStack.push({ node: childNode, startCycles: event.ts });
-                this.activeFunction = event.name;
-            } else if (event.ph === 'E' && event.cat === 'subroutine') {
-                // Subroutine return - exit current function
-                if (callStack.length > 1) {
-                    const frame = callStack.pop();
-                    frame.node.callCount++;
-                    
-                    // Update function's address range
-                    if (frame.node.minAddr === Infinity) {
-                        frame.node.minAddr = frame.node.minAddr;
-                    }
+    processEvent(event) {
+        const analysis = this.analysis;
+        const callStack = analysis.callStack;
+        const lastEvent = analysis.lastEvent;
+        analysis.lastEvent = event;
+
+        if (this.isInterruptEvent(event)) {
+            if (event.ph === 'B') {
+                const name = String(event.name).toUpperCase();
+                const kind = INTERRUPT_KINDS.has(name) ? name : 'IRQ';
+                const label = INTERRUPT_KINDS.has(name) ? null : this.resolveSubroutineName(event);
+                if (this.frames) {
+                    this.frames.event([event.name, kind, label], this.totalCycles);
                 }
-                this.activeFunction = callStack.length > 1 
-                    ? callStack[callStack.length - 2].node.name 
-                    : 'root';
-            } else if (event.ph === 'X') {
-                // Instruction event - map to active function
-                const addr = parseInt(event.args.addr.substring(1), 16);
-                const cycles = event.args.cycles || 0;
-                this.totalCycles += cycles;
-
-                // Get the currently active subroutine name
-                const funcName = this.activeFunction;
-
-                // Initialize function stats if not exists
-                if (!this.functionStats.has(funcName)) {
-                    this.functionStats.set(funcName, {
-                        totalCycles: 0,
-                        instructions: new Map()
-                    });
+                this.enterInterrupt(kind, label, event.ts);
+            } else if (lastEvent === null || lastEvent !== analysis.lastRti) {
+                // Not already closed by the RTI just before it
+                if (this.interruptIndex() === 0) {
+                    this.addDiagnostic('unmatched-return', event.ts, null, callStack[callStack.length - 1].node.name, event.name);
+                } else {
+                    this.resolvePendingReturns(null);
+                    analysis.interruptEnded = true;
                 }
+            }
+        } else if (event.ph === 'B' && event.cat === 'subroutine') {
+            // Subroutine call - enter this function
+            this.resolvePendingReturns(null);
+            const name = this.resolveSubroutineName(event);
+            if (this.frames) {
+                this.frames.event([event.name, name], this.totalCycles);
+            }
+            const frame = this.pushFrame(name, event.ts);
+            // JSR reported just before the B event: its address gives the return address
+            if (analysis.lastJsr && analysis.lastJsr.event === lastEvent) {
+                frame.returnAddr = analysis.lastJsr.addr + 3;
+                frame.entryAddr = analysis.lastJsr.target;
+                analysis.lastJsr = null;
+            } else {
+                frame.awaitingJsr = true;
+            }
+        } else if (event.ph === 'E' && event.cat === 'subroutine') {
+            // Subroutine return - exit once the next instruction shows where we landed
+            if (callStack.length - analysis.pendingReturns.length <= this.interruptIndex() + 1) {
+                this.addDiagnostic('unmatched-return', event.ts, null, callStack[callStack.length - 1].node.name);
+            } else {
+                if (analysis.rtsBeforeEnd === null) {
+                    const prev = lastEvent && lastEvent.ph === 'X' ? lastEvent.name.trim().toUpperCase() : '';
+                    analysis.rtsBeforeEnd = prev.startsWith('RTS') || prev.startsWith('RTI');
+                }
+                // E before its RTS: the next RTS is still the callee's
+                analysis.pendingReturns.push({ ts: event.ts, awaitingRts: !analysis.rtsBeforeEnd });
+            }
+        } else if (event.ph === 'X') {
+            // Instruction event - map to active function
+            const addr = parseInt(event.args.addr.substring(1), 16);
+            const cycles = event.args.cycles || 0;
+            const mnemonic = event.name.trim().split(' ')[0].toUpperCase();
+            const targetMatch = event.name.match(/\$([0-9A-Fa-f]{4})\b/);
+            const target = targetMatch && !event.name.includes('(') ? parseInt(targetMatch[1], 16) : null;
+
+            if (analysis.pendingBrk) {
+                this.enterInterrupt('BRK', null, event.ts);
+            } else if (analysis.interruptEnded && mnemonic !== 'RTI') {
+                this.exitInterrupt(event.ts);
+            }
 
-                // Update function's stats
-                const stats = this.functionStats.get(funcName);
-                stats.totalCycles += cycles;
-
-                // Track function's address range
-                if (addr < stats.minAddr || stats.minAddr === Infinity) {
-                    stats.minAddr = addr;
+            const pending = analysis.pendingReturns;
+            if (pending.length > 0) {
+                // Returns whose RTS has executed land here; a later E may still await this RTS
+                const last = pending[pending.length - 1];
+                const ownRts = last.awaitingRts && (mnemonic === 'RTS' || mnemonic === 'RTI');
+                if (ownRts) {
+                    pending.pop();
                 }
-                if (addr > stats.maxAddr || stats.maxAddr === -1) {
-                    stats.maxAddr = addr;
+                this.resolvePendingReturns(addr);
+                if (ownRts) {
+                    last.awaitingRts = false;
+                    pending.push(last);
                 }
+            } else if (analysis.prevInstruction && analysis.prevInstruction.mnemonic === 'RTS' && callStack.length > 1) {
+                // The tracer missed a return: close frames if we landed on a return address
+                const depth = this.findReturnDepth(addr);
+                if (depth > 0) {
+                    this.addDiagnostic('missing-return', event.ts, addr, callStack[callStack.length - 1].node.name,
+                        'RTS to ' + this.symbols.formatAddress(addr));
+                    while (callStack.length > depth) {
+                        this.popFrame(event.ts);
+                    }
+                }
+            }
+
+            if (mnemonic === 'JSR' && target !== null) {
+                analysis.entries.add(target);
+                const top = callStack[callStack.length - 1];
+                if (top.awaitingJsr) {
+                    // B event came first: this JSR is the call that opened the frame
+                    top.returnAddr = addr + 3;
+                    top.entryAddr = target;
+                } else {
+                    analysis.lastJsr = { addr: addr, target: target, event: event };
+                }
+            }
+            callStack[callStack.length - 1].awaitingJsr = false;
+            if (!callStack[callStack.length - 1].node) {
+                this.openInterruptNode(callStack[callStack.length - 1], addr);
+            }
+            this.stack.instruction(mnemonic, event.args.sp, callStack);
+            if (this.frames) {
+                this.frames.add(addr, this.totalCycles, callStack[callStack.length - 1].node, cycles);
+            }
+
+            this.totalCycles += cycles;
+
+            // Exclusive cycles belong to the innermost open call
+            const node = callStack[callStack.length - 1].node;
+            node.selfCycles += cycles;
+            if (addr < node.minAddr) node.minAddr = addr;
+            if (addr > node.maxAddr) node.maxAddr = addr;
+
+            if (this.sourceMap) {
+                this.recordSourceLine(addr, cycles, node.name);
+            }
+
+            this.recordAddress(addr, event, cycles, node.name, analysis.prevInstruction);
+            this.memory.record(addr, event.name.trim(), event.args.ea, node.name, event.args.x);
+            analysis.prevInstruction = {
+                addr: addr,
+                mnemonic: mnemonic,
+                target: target,
+                owner: node.name
+            };
+
+            // Get the currently active subroutine name
+            const funcName = this.activeFunction;
+
+            // Initialize function stats if not exists
+            if (!this.functionStats.has(funcName)) {
+                this.functionStats.set(funcName, {
+                    totalCycles: 0,
+                    instructions: new Map(),
+                    minAddr: Infinity,
+                    maxAddr: -1,
+                    penalties: { branchTaken: 0, branchPage: 0, indexPage: 0, other: 0 },
+                    penaltySites: new Map() // addr -> { addr, text, count, lost, kinds }
+                });
+            }
+
+            // Update function's stats
+            const stats = this.functionStats.get(funcName);
+            stats.totalCycles += cycles;
+
+            // Track function's address range
+            if (addr < stats.minAddr || stats.minAddr === Infinity) {
+                stats.minAddr = addr;
+            }
+            if (addr > stats.maxAddr || stats.maxAddr === -1) {
+                stats.maxAddr = addr;
+            }
+
+            // Track instruction by mnemonic
+            const instKey = event.name.split(' ')[0];
+            const instStats = stats.instructions.get(instKey) || { count: 0, cycles: 0, penaltyCycles: 0, operands: new Map() };
+            instStats.count++;
+            instStats.cycles += cycles;
+
+            // Cycles above the opcode's base count: taken branches and page crossings
+            const timing = this.classifyTiming(event, addr, cycles);
+            if (timing) {
+                this.recordPenalty(stats, addr, event, timing);
+                instStats.penaltyCycles += timing.lost;
+            }
+
+            // Keep the operand forms seen, with addresses shown as labels
+            const annotated = this.symbols.annotateInstruction(event.name.trim());
+            instStats.operands.set(annotated, (instStats.operands.get(annotated) || 0) + 1);
+            stats.instructions.set(instKey, instStats);
+
+            // JMP into another routine's entry point: the callee returns for us
+            const top = callStack[callStack.length - 1];
+            if (mnemonic === 'JMP' && target !== null && callStack.length > 1 && !top.interrupt &&
+                analysis.entries.has(target) && target !== top.entryAddr) {
+                this.addDiagnostic('tail-call', event.ts, addr, top.node.name, 'JMP to ' + this.symbols.formatAddress(target));
+                this.replaceFrame(target, event.ts, 'JMP');
+            }
 
-                // Track instruction by mnemonic
-                const instKey = event.name.split(' ')[0];
-                const instStats = stats.instructions.get(instKey) || { count: 0, cycles: 0 };
-                instStats.count++;
-                instStats.cycles += cycles;
-                stats.instructions.set(instKey, instStats);
+            if (mnemonic === 'RTI') {
+                this.exitInterrupt(event.ts);
+                analysis.lastRti = event;
+            } else if (mnemonic === 'BRK') {
+                analysis.pendingBrk = true;
             }
         }
+    }
+
+    isInterruptEvent(event) {
+        if (event.ph !== 'B' && event.ph !== 'E') return false;
+        return event.cat === 'interrupt' || INTERRUPT_KINDS.has(String(event.name).toUpperCase());
+    }
+
+    childNode(parentNode, name, ts) {
+        let node = this.options.timeline
+            ? null
+            : parentNode.children.find(child => child.name === name);
+        if (!node) {
+            node = this.createNode(name);
+            if (this.options.timeline) {
+                node.startTs = ts;
+            }
+            parentNode.children.push(node);
+        }
+        return node;
+    }
+
+    pushFrame(name, ts) {
+        const callStack = this.analysis.callStack;
+        const top = callStack[callStack.length - 1];
+        if (!top.node) {
+            this.openInterruptNode(top, null);
+        }
+        const frame = { node: this.childNode(top.node, name, ts), startCycles: ts, startTotal: this.totalCycles, stolen: 0, returnAddr: null, entryAddr: null };
+        callStack.push(frame);
+        this.activeFunction = name;
+        return frame;
+    }
+
+    popFrame(ts) {
+        const callStack = this.analysis.callStack;
+        const frame = callStack.pop();
+        if (frame.node) {
+            this.closeFrame(frame, ts);
+        }
+        const top = callStack[callStack.length - 1];
+        if (!top.node) {
+            this.openInterruptNode(top, null);
+        }
+        this.activeFunction = top.node.name;
+    }
+
+    // Index of the innermost interrupt frame, or 0 when running mainline code
+    interruptIndex() {
+        const callStack = this.analysis.callStack;
+        for (let i = callStack.length - 1; i > 0; i--) {
+            if (callStack[i].interrupt) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * Interrupt entry. The handler becomes a root of its own rather than a
+     * child of whatever was running; its node is named from the event or,
+     * for bare IRQ/NMI/BRK events, from the first handler instruction.
+     */
+    enterInterrupt(kind, label, ts) {
+        const analysis = this.analysis;
+        // Where interrupted returns would have landed is unknown now
+        this.resolvePendingReturns(null);
+        analysis.pendingBrk = false;
+        analysis.prevInstruction = null;
+        if (kind !== 'BRK') {
+            this.stack.interrupt();
+        }
+        const frame = { node: null, interrupt: kind, label: label, startCycles: ts, startTotal: this.totalCycles, stolen: 0, returnAddr: null, entryAddr: null };
+        analysis.callStack.push(frame);
+        if (label) {
+            this.openInterruptNode(frame, null);
+        }
+    }
+
+    openInterruptNode(frame, addr) {
+        const label = frame.label || (addr === null ? null : this.symbols.formatAddress(addr));
+        const name = label ? frame.interrupt + ': ' + label : frame.interrupt;
+        frame.node = this.childNode(this.analysis.callTree, name, frame.startCycles);
+        frame.node.interrupt = frame.interrupt;
+        frame.entryAddr = addr;
+        this.activeFunction = name;
+    }
+
+    /**
+     * Interrupt exit (RTI or E event): close the innermost handler, along with
+     * any calls it left open, and charge its cycles to the interrupted frames
+     * as time stolen from them.
+     */
+    exitInterrupt(ts) {
+        const analysis = this.analysis;
+        const callStack = analysis.callStack;
+        const index = this.interruptIndex();
+        analysis.interruptEnded = false;
+        if (index === 0) {
+            this.addDiagnostic('unmatched-return', ts, null, callStack[callStack.length - 1].node.name, 'RTI');
+            return;
+        }
+        if (callStack.length - 1 > index) {
+            const open = callStack.slice(index + 1).map(frame => frame.node.name).reverse();
+            this.addDiagnostic('stack-unwind', ts, null, open[0], 'RTI closing ' + open.join(', '));
+        }
+        const frame = callStack[index];
+        while (callStack.length > index) {
+            this.popFrame(ts);
+        }
+
+        const cycles = this.totalCycles - frame.startTotal;
+        for (let i = index - 1; i >= 0; i--) {
+            callStack[i].stolen += cycles;
+            callStack[i].node.interruptCycles += cycles;
+            if (callStack[i].interrupt) return;
+        }
+        this.interruptCycles += cycles;
+    }
+
+    // Tail call: the current frame ends and the target runs in its place,
+    // returning to the same caller
+    replaceFrame(target, ts, via) {
+        const callStack = this.analysis.callStack;
+        const old = callStack[callStack.length - 1];
+        this.popFrame(ts);
+        const frame = this.pushFrame(this.symbols.formatAddress(target), ts);
+        frame.returnAddr = old.returnAddr;
+        frame.entryAddr = target;
+        frame.node.tailCall = via;
+    }
 
+    /**
+     * Close the call(s) ended by an E event, now that the next instruction
+     * address is known. A matching return address pops one frame; matching a
+     * deeper frame means the stack was unwound; matching none means the RTS
+     * was used as a jump. Without address information, pop one frame.
+     */
+    resolveReturn(addr, ts) {
+        const callStack = this.analysis.callStack;
+        const top = callStack[callStack.length - 1];
+
+        if (addr === null || top.returnAddr === null) {
+            this.popFrame(ts);
+            return;
+        }
+
+        const depth = this.findReturnDepth(addr);
+        if (depth === callStack.length - 1) {
+            this.popFrame(ts);
+        } else if (depth > 0) {
+            const closed = callStack.slice(depth).map(frame => frame.node.name).reverse();
+            this.addDiagnostic('stack-unwind', ts, addr, top.node.name,
+                `returned to ${this.symbols.formatAddress(addr)}, closing ${closed.join(', ')}`);
+            while (callStack.length > depth) {
+                this.popFrame(ts);
+            }
+        } else {
+            this.addDiagnostic('rts-dispatch', ts, addr, top.node.name,
+                'RTS to ' + this.symbols.formatAddress(addr));
+            this.replaceFrame(addr, ts, 'RTS');
+        }
+    }
+
+    // Several E events for one landing address: only the outermost is checked against it
+    resolvePendingReturns(addr) {
+        const pending = this.analysis.pendingReturns;
+        while (pending.length > 1) {
+            this.resolveReturn(null, pending.shift().ts);
+        }
+        if (pending.length > 0) {
+            this.resolveReturn(addr, pending.shift().ts);
+        }
+    }
+
+    // Index of the innermost frame returning to addr, or 0 when none does
+    findReturnDepth(addr) {
+        const callStack = this.analysis.callStack;
+        // Returns never cross into an interrupted frame
+        for (let depth = callStack.length - 1; depth > 0 && !callStack[depth].interrupt; depth--) {
+            if (callStack[depth].returnAddr === addr) return depth;
+        }
+        return 0;
+    }
+
+    addDiagnostic(kind, ts, addr, functionName, detail) {
+        this.diagnosticCounts[kind] = (this.diagnosticCounts[kind] || 0) + 1;
+        if (this.diagnostics.length < MAX_DIAGNOSTICS) {
+            this.diagnostics.push({ kind: kind, ts: ts, addr: addr, function: functionName, detail: detail || '' });
+        }
+    }
+
+    finishAnalysis() {
+        const { callTree, callStack } = this.analysis;
+
+        this.resolvePendingReturns(null);
+
+        // Calls still open when the trace ends run to the last instruction
+        while (callStack.length > 1) {
+            const frame = callStack[callStack.length - 1];
+            this.addDiagnostic('unclosed-call', null, null, frame.node ? frame.node.name : frame.interrupt);
+            if (frame.interrupt) {
+                this.exitInterrupt(null);
+            } else {
+                this.popFrame(null);
+            }
+        }
+
+        this.computeInclusiveCycles(callTree);
+        this.analysis = null;
+        this.callTree = callTree;
         return callTree;
     }
 
-    generateHTML(callTree) {
+    recordSourceLine(addr, cycles, owner) {
+        const loc = this.sourceMap.lookup(addr);
+        if (!loc) return;
+        const key = loc.file + ':' + loc.line;
+        let stats = this.lineStats.get(key);
+        if (!stats) {
+            stats = { file: loc.file, line: loc.line, count: 0, cycles: 0, owners: new Map() };
+            this.lineStats.set(key, stats);
+        }
+        stats.count++;
+        stats.cycles += cycles;
+        stats.owners.set(owner, (stats.owners.get(owner) || 0) + cycles);
+    }
+
+    /**
+     * Compare an instruction's reported cycles with its base count and explain
+     * the difference: +1 for a taken branch, +1 more when the branch lands on
+     * another page, +1 for an indexed read crossing a page. Returns
+     * { lost, kinds: { kind: cycles } } or null when nothing was lost or the
+     * addressing mode can't be determined from the disassembly.
+     */
+    classifyTiming(event, addr, cycles) {
+        const entry = lookupInstruction(event.name);
+        if (!entry || !cycles) return null;
+        let extra = cycles - entry.cycles;
+        if (extra <= 0) return null;
+
+        const kinds = {};
+        if (entry.mode === 'rel') {
+            kinds.branchTaken = 1;
+            extra--;
+            if (extra > 0) {
+                const target = event.name.match(/\$([0-9A-Fa-f]{4})/);
+                const crosses = target
+                    ? ((addr + 2) & 0xff00) !== (parseInt(target[1], 16) & 0xff00)
+                    : true;
+                if (crosses) {
+                    kinds.branchPage = 1;
+                    extra--;
+                }
+            }
+        } else if (entry.pagePenalty) {
+            kinds.indexPage = 1;
+            extra--;
+        }
+        if (extra > 0) {
+            kinds.other = extra;
+        }
+        return { lost: cycles - entry.cycles, kinds: kinds };
+    }
+
+    recordPenalty(stats, addr, event, timing) {
+        let site = stats.penaltySites.get(addr);
+        if (!site) {
+            site = { addr: addr, text: event.name.trim(), count: 0, lost: 0, kinds: {} };
+            stats.penaltySites.set(addr, site);
+        }
+        site.count++;
+        site.lost += timing.lost;
+        for (const kind of Object.keys(timing.kinds)) {
+            stats.penalties[kind] += timing.kinds[kind];
+            site.kinds[kind] = (site.kinds[kind] || 0) + timing.kinds[kind];
+        }
+    }
+
+    /**
+     * Per-address execution stats. The previous instruction tells us whether
+     * this address starts a basic block (reached by a jump, branch, call or
+     * return) and whether a backward branch/JMP was taken, i.e. a loop edge.
+     */
+    recordAddress(addr, event, cycles, owner, prev) {
+        let stats = this.addressStats.get(addr);
+        if (!stats) {
+            stats = { addr: addr, text: event.name.trim(), owner: owner, count: 0, cycles: 0, leader: false };
+            this.addressStats.set(addr, stats);
+        }
+        stats.count++;
+        stats.cycles += cycles;
+
+        if (!prev || CONTROL_FLOW.has(prev.mnemonic)) {
+            stats.leader = true;
+        }
+
+        const backEdge = prev && prev.target !== null && prev.target <= prev.addr &&
+            (BRANCH_MNEMONICS.has(prev.mnemonic) || prev.mnemonic === 'JMP');
+        if (backEdge) {
+            const key = prev.addr + '>' + prev.target;
+            let loop = this.loops.get(key);
+            if (!loop) {
+                loop = { branch: prev.addr, target: prev.target, owner: prev.owner, taken: 0, notTaken: 0 };
+                this.loops.set(key, loop);
+            }
+            if (addr === prev.target) {
+                loop.taken++;
+            } else {
+                loop.notTaken++;
+            }
+        }
+    }
+
+    /**
+     * Basic blocks from executed addresses: a block starts at a leader and
+     * runs through consecutive executed addresses up to a control-flow
+     * instruction.
+     */
+    buildBasicBlocks() {
+        const addrs = Array.from(this.addressStats.keys()).sort((a, b) => a - b);
+        const blocks = [];
+        let block = null;
+        for (const addr of addrs) {
+            const stats = this.addressStats.get(addr);
+            if (!block || stats.leader) {
+                block = { start: addr, end: addr, owner: stats.owner, count: stats.count, cycles: 0, instructions: 0 };
+                blocks.push(block);
+            }
+            block.end = addr;
+            block.cycles += stats.cycles;
+            block.instructions++;
+            const mnemonic = stats.text.split(' ')[0].toUpperCase();
+            if (CONTROL_FLOW.has(mnemonic)) {
+                block = null;
+            }
+        }
+        return blocks;
+    }
+
+    // Loops from backward edges; body is [target, branch] by address
+    buildLoops() {
+        return Array.from(this.loops.values()).map(loop => {
+            let bodyCycles = 0;
+            for (const [addr, stats] of this.addressStats) {
+                if (addr >= loop.target && addr <= loop.branch) {
+                    bodyCycles += stats.cycles;
+                }
+            }
+            const iterations = loop.taken + loop.notTaken;
+            return Object.assign({}, loop, {
+                iterations: iterations,
+                runs: loop.notTaken,
+                bodyCycles: bodyCycles,
+                cyclesPerIteration: iterations > 0 ? bodyCycles / iterations : 0
+            });
+        });
+    }
+
+    createNode(name) {
+        return {
+            name: name,
+            children: [],
+            selfCycles: 0,
+            totalCycles: 0,
+            callCount: 0,
+            minCallCycles: Infinity,
+            maxCallCycles: 0,
+            minAddr: Infinity,
+            maxAddr: -1,
+            interruptCycles: 0 // stolen by interrupts while this call was active
+        };
+    }
+
+    closeFrame(frame, endTs) {
+        // Cycles executed between this call's B and E, callees included, interrupts not
+        const callCycles = this.totalCycles - frame.startTotal - frame.stolen;
+        const node = frame.node;
+        node.callCount++;
+        node.minCallCycles = Math.min(node.minCallCycles, callCycles);
+        node.maxCallCycles = Math.max(node.maxCallCycles, callCycles);
+        if (this.options.timeline && endTs !== null) {
+            node.endTs = endTs;
+        }
+    }
+
+    computeInclusiveCycles(node) {
+        // Inclusive cycles = own instructions + everything called beneath
+        let total = node.selfCycles;
+        for (const child of node.children) {
+            total += this.computeInclusiveCycles(child);
+        }
+        node.totalCycles = total;
+        return total;
+    }
+
+    /**
+     * options: { scriptFile: name of the generateJS() file to load (default
+     * calltree.js), selfContained: inline the script instead, so the page
+     * works on its own, flameGraph: add a Flame Graph tab with the SVG embedded }
+     */
+    generateHTML(callTree, options = {}) {
+        const tabs = this.getReportTabs(callTree, options);
         const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -205,25 +915,46 @@ class CallTreeProfiler {
             border: 1px solid #3e3e3e;
         }
 
-        .node {
-            border-bottom: 1px solid #2e2e2e;
+        /* Rows are drawn by the viewer script for the visible part of the tree only */
+        .tree-viewport {
+            height: 70vh;
+            overflow-y: auto;
+        }
+
+        .tree-spacer {
+            position: relative;
         }
 
-        .node:last-child {
-            border-bottom: none;
+        .tree-rows {
+            position: absolute;
+            top: 0;
+            left: 0;
+            right: 0;
         }
 
         .node-header {
             display: grid;
-            grid-template-columns: 40px 2fr 120px 120px 80px;
+            grid-template-columns: 40px 2fr 100px 70px 100px 70px 60px 80px 80px 80px;
             gap: 10px;
-            padding: 12px;
+            height: 36px;
+            padding: 0 12px;
             background: #2c2c2d;
+            border-bottom: 1px solid #2e2e2e;
             cursor: pointer;
             align-items: center;
             transition: background 0.2s;
         }
 
+        .drop-hint {
+            color: #666;
+            font-size: 12px;
+            margin: -8px 0 10px;
+        }
+
+        body.dragging .tree {
+            outline: 2px dashed #61afef;
+        }
+
         .node-header:hover {
             background: #363637;
         }
@@ -258,18 +989,11 @@ class CallTreeProfiler {
         .node-name {
             color: #e5c07b;
             font-weight: bold;
-            padding-left: 0px;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
         }
 
-        .node-name.level-1 { padding-left: 0px; }
-        .node-name.level-2 { padding-left: 20px; }
-        .node-name.level-3 { padding-left: 40px; }
-        .node-name.level-4 { padding-left: 60px; }
-        .node-name.level-5 { padding-left: 80px; }
-        .node-name.level-6 { padding-left: 100px; }
-        .node-name.level-7 { padding-left: 120px; }
-        .node-name.level-8 { padding-left: 140px; }
-
         .stat {
             text-align: right;
             font-size: 12px;
@@ -292,44 +1016,75 @@ class CallTreeProfiler {
             color: #61afef;
         }
 
-        .children {
-            display: none;
-            background: #1e1e1e;
-        }
-
-        .children.visible {
-            display: block;
-        }
-
-        .instructions {
-            display: none;
-            background: #1a1a1a;
-            border-top: 1px solid #2e2e2e;
-            margin-left: 40px;
+        .stat.self {
+            color: #56b6c2;
         }
 
-        .instructions.visible {
-            display: block;
+        .tree-columns {
+            display: grid;
+            grid-template-columns: 40px 2fr 100px 70px 100px 70px 60px 80px 80px 80px;
+            gap: 10px;
+            padding: 8px 12px;
+            background: #252526;
+            border-bottom: 2px solid #3e3e3e;
+            font-weight: bold;
+            font-size: 12px;
         }
 
         .instruction-row {
             display: grid;
-            grid-template-columns: 2fr 120px 120px 120px;
+            grid-template-columns: 2fr 120px 120px 120px 100px;
             gap: 10px;
-            padding: 8px 12px;
+            height: 36px;
+            padding: 0 12px;
+            background: #1a1a1a;
             border-bottom: 1px solid #2a2a2a;
             align-items: center;
             font-size: 12px;
         }
 
-        .instruction-row:last-child {
-            border-bottom: none;
+        .instruction-row.heading {
+            background: #252526;
+            font-weight: bold;
         }
 
         .instruction-name {
             color: #c678dd;
         }
 
+        .tail-call {
+            color: #888;
+            font-size: 11px;
+            font-weight: normal;
+        }
+
+        .stolen {
+            color: #e5c07b;
+            font-size: 11px;
+            font-weight: normal;
+        }
+
+        .tree-group {
+            height: 36px;
+            line-height: 36px;
+            padding: 0 8px;
+            border-top: 1px solid #3e3e3e;
+            color: #e5c07b;
+            font-weight: bold;
+        }
+
+        .tree-rows .empty-message {
+            height: 36px;
+            padding: 0;
+            line-height: 36px;
+        }
+
+        .instruction-operands {
+            color: #888;
+            font-size: 11px;
+            margin-left: 8px;
+        }
+
         .legend {
             background: #2d2d2d;
             padding: 15px;
@@ -368,132 +1123,964 @@ class CallTreeProfiler {
             text-align: center;
             color: #888;
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>6502 Call Tree Profiler</h1>
-            <div class="stats">
-                <div class="stat-box">
-                    <div class="stat-label">Total Cycles</div>
-                    <div class="stat-value">\${this.totalCycles.toLocaleString()}</div>
-                </div>
-                <div class="stat-box">
-                    <div class="stat-label">Functions</div>
-                    <div class="stat-value">\${this.countFunctions(callTree)}</div>
-                </div>
-                <div class="stat-box">
-                    <div class="stat-label">Total Time</div>
-                    <div class="stat-value">\${(this.totalCycles / 1000).toFixed(3)}ms</div>
-                </div>
-                <div class="stat-box">
-                    <div class="stat-label">Clock</div>
-                    <div class="stat-value">1.0 MHz</div>
-                </div>
-            </div>
-        </div>
 
-        <input type="text" class="search-box" placeholder="Search functions... (type to filter)" id="searchBox">
+        .tabs {
+            display: flex;
+            gap: 5px;
+            margin-bottom: 15px;
+        }
 
-        <div class="tree" id="tree">
-            \${this.generateNodeHTML(callTree.children, 1)}
-        </div>
+        .tab {
+            padding: 8px 16px;
+            background: #2d2d2d;
+            border: 1px solid #3e3e3e;
+            border-radius: 4px;
+            color: #888;
+            font-family: inherit;
+            font-size: 13px;
+            cursor: pointer;
+        }
 
-        <div class="legend">
-            <h3>Legend</h3>
-            <div class="legend-grid">
-                <div class="legend-item">
-                    <div class="legend-color" style="background: #98c379"></div>
-                    <span>Cycles (total)</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background: #e06c75"></div>
-                    <span>% of total</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background: #d19a66"></div>
-                    <span>% of function</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background: #61afef"></div>
-                    <span>Call count</span>
-                </div>
+        .tab.active {
+            color: #61afef;
+            border-color: #61afef;
+        }
+
+        .tab-panel {
+            display: none;
+        }
+
+        .tab-panel.active {
+            display: block;
+        }
+
+        .flame-graph {
+            width: 100%;
+            background: #fff;
+            border-radius: 8px;
+        }
+
+        .source-file {
+            background: #252526;
+            border-radius: 8px;
+            border: 1px solid #3e3e3e;
+            margin-bottom: 20px;
+        }
+
+        .source-file h3 {
+            color: #61afef;
+            font-size: 14px;
+            padding: 10px 12px;
+            border-bottom: 2px solid #3e3e3e;
+        }
+
+        .source-line {
+            display: grid;
+            grid-template-columns: 60px 80px 90px 70px 1fr;
+            gap: 10px;
+            padding: 1px 12px;
+            font-size: 12px;
+            white-space: pre;
+        }
+
+        .source-line .line-no {
+            color: #666;
+            text-align: right;
+        }
+
+        .source-line .owner {
+            color: #e5c07b;
+        }
+
+        .source-line.flash {
+            outline: 2px solid #61afef;
+        }
+
+        .source-links {
+            height: 36px;
+            line-height: 36px;
+            padding: 0 12px;
+            font-size: 12px;
+            color: #888;
+            background: #1a1a1a;
+            border-bottom: 1px solid #2a2a2a;
+            white-space: nowrap;
+            overflow: hidden;
+        }
+
+        .source-links a {
+            color: #61afef;
+            margin-right: 12px;
+        }
+
+        .report-table {
+            background: #252526;
+            border-radius: 8px;
+            border: 1px solid #3e3e3e;
+            margin-bottom: 20px;
+            overflow-x: auto;
+        }
+
+        .report-table h3 {
+            color: #61afef;
+            font-size: 14px;
+            padding: 10px 12px;
+        }
+
+        .report-table table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 12px;
+        }
+
+        .report-table th {
+            text-align: left;
+            padding: 6px 12px;
+            border-bottom: 2px solid #3e3e3e;
+            color: #888;
+        }
+
+        .report-table td {
+            padding: 4px 12px;
+            border-bottom: 1px solid #2a2a2a;
+        }
+
+        .report-table td.num {
+            text-align: right;
+        }
+
+        .report-table td.label {
+            color: #e5c07b;
+        }
+
+        .report-table .primary { color: #98c379; }
+        .report-table .secondary { color: #e06c75; }
+        .report-table .tertiary { color: #d19a66; }
+        .report-table .quaternary { color: #61afef; }
+
+        .frame-chart {
+            overflow-x: auto;
+            background: #252526;
+            border: 1px solid #3e3e3e;
+            border-radius: 4px;
+            padding: 10px;
+            margin-bottom: 8px;
+        }
+
+        .frame-bar { cursor: pointer; }
+        .frame-bar:hover rect:first-child { fill: rgba(97, 175, 239, 0.2); }
+        .frame-bar.selected rect:first-child { fill: rgba(97, 175, 239, 0.35); }
+        .frame-bar.lead-in { opacity: 0.5; }
+
+        .frame-legend {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 12px;
+            margin-bottom: 15px;
+            font-size: 12px;
+        }
+
+        .frame-swatch {
+            display: inline-block;
+            width: 10px;
+            height: 10px;
+            margin-right: 5px;
+            border-radius: 2px;
+        }
+
+        .frame-detail {
+            background: #2d2d2d;
+            border: 1px solid #3e3e3e;
+            border-radius: 8px;
+            padding: 15px;
+        }
+
+        .frame-row {
+            display: grid;
+            grid-template-columns: 1fr 100px 100px 100px 100px;
+            gap: 10px;
+            padding: 3px 8px;
+        }
+
+        .frame-row.heading {
+            font-weight: bold;
+            border-bottom: 2px solid #3e3e3e;
+        }
+
+        .report-table th.sortable {
+            cursor: pointer;
+        }
+
+        .report-table th.sorted {
+            color: #61afef;
+        }
+
+        .report-table th.sorted::after {
+            content: ' ▼';
+        }
+
+        .function-row {
+            cursor: pointer;
+        }
+
+        .function-row:hover {
+            background: #2e2e2f;
+        }
+
+        .functions-more {
+            padding: 8px 12px;
+            font-size: 12px;
+        }
+
+        .functions-more a,
+        .butterfly-table a,
+        .butterfly-focus a {
+            color: #61afef;
+        }
+
+        .function-link {
+            color: #61afef;
+            font-weight: normal;
+            cursor: pointer;
+            opacity: 0.6;
+        }
+
+        .function-link:hover {
+            opacity: 1;
+        }
+
+        .butterfly-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 12px;
+            margin-bottom: 12px;
+        }
+
+        .butterfly-table th {
+            text-align: left;
+            color: #888;
+            padding: 4px 12px;
+            border-bottom: 2px solid #3e3e3e;
+        }
+
+        .butterfly-table td {
+            padding: 4px 12px;
+            border-bottom: 1px solid #2a2a2a;
+        }
+
+        .butterfly-table td.num { text-align: right; }
+        .butterfly-table td.label { color: #e5c07b; }
+        .butterfly-table .primary { color: #98c379; }
+        .butterfly-table .secondary { color: #e06c75; }
+        .butterfly-table .tertiary { color: #d19a66; }
+
+        .butterfly-focus {
+            padding: 10px 12px;
+            margin-bottom: 12px;
+            background: #252526;
+            border-left: 3px solid #e5c07b;
+            font-size: 13px;
+        }
+
+        .report-table .self { color: #56b6c2; }
+
+        .stack-warning {
+            background: rgba(224, 108, 117, 0.15);
+            border: 1px solid #e06c75;
+            border-radius: 8px;
+            color: #e06c75;
+            padding: 10px 12px;
+            margin-bottom: 20px;
+        }
+
+        .mem-grid {
+            display: grid;
+            grid-template-columns: repeat(16, 32px);
+            gap: 2px;
+            padding: 0 12px 10px;
+        }
+
+        .mem-cell {
+            height: 22px;
+            line-height: 22px;
+            text-align: center;
+            font-size: 10px;
+            color: #fff;
+            border-radius: 2px;
+            cursor: pointer;
+        }
+
+        .mem-cell.empty {
+            background: #2a2a2a;
+            cursor: default;
+        }
+
+        .mem-cell.selected {
+            outline: 2px solid #e5c07b;
+        }
+
+        .report-table .frame-legend {
+            padding: 0 12px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>6502 Call Tree Profiler</h1>
+            <div class="stats">
+                <div class="stat-box">
+                    <div class="stat-label">Total Cycles</div>
+                    <div class="stat-value">${this.totalCycles.toLocaleString()}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Functions</div>
+                    <div class="stat-value">${this.countFunctions(callTree)}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Max Call Depth</div>
+                    <div class="stat-value">${this.stack.maxDepth}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Peak Stack</div>
+                    <div class="stat-value">${this.stack.peakBytes()} bytes${this.stack.nearlyFull() ? ' ⚠' : ''}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Total Time</div>
+                    <div class="stat-value">${formatDuration(this.totalCycles, this.machine)}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">${this.machine.id === 'generic' ? 'Clock' : escapeHTML(this.machine.name)}</div>
+                    <div class="stat-value">${formatClock(this.machine)}</div>
+                </div>
+                ${this.frameLength() ? `<div class="stat-box">
+                    <div class="stat-label">Cycles per Frame</div>
+                    <div class="stat-value">${this.frameLength().toLocaleString()}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Length in Frames</div>
+                    <div class="stat-value">${(this.totalCycles / this.frameLength()).toFixed(2)}</div>
+                </div>` : ''}
+                ${this.generateInterruptStatsHTML(callTree)}
+                ${this.frames ? `<div class="stat-box">
+                    <div class="stat-label">Frames</div>
+                    <div class="stat-value">${this.frames.measuredFrames().length.toLocaleString()} (${this.frames.overruns().length} over budget)</div>
+                </div>` : ''}
+            </div>
+        </div>
+
+        ${this.generateTabsHTML(tabs)}
+
+        <div class="tab-panel active" id="tab-tree">
+        <input type="text" class="search-box" placeholder="Search functions... (type to filter)" id="searchBox">
+        <div class="drop-hint" id="profile-source">Drop an exported profile (.profile.json, speedscope JSON or folded stacks) here to view it</div>
+
+        <div class="tree" id="tree">
+            <div class="tree-columns">
+                <div></div>
+                <div>Function</div>
+                <div class="stat primary">Total</div>
+                <div class="stat secondary">Total %</div>
+                <div class="stat self">Self</div>
+                <div class="stat self">Self %</div>
+                <div class="stat tertiary">Calls</div>
+                <div class="stat quaternary">Avg/call</div>
+                <div class="stat quaternary">Min</div>
+                <div class="stat quaternary">Max</div>
+            </div>
+            <div class="tree-viewport" id="tree-viewport">
+                <div class="tree-spacer" id="tree-spacer">
+                    <div class="tree-rows" id="tree-rows"></div>
+                </div>
             </div>
         </div>
+        <script type="application/json" id="profile-data">${JSON.stringify(this.getViewerData(callTree)).replace(/</g, '\\u003c')}</script>
+
+        <div class="legend">
+            <h3>Legend</h3>
+            <div class="legend-grid">
+                <div class="legend-item">
+                    <div class="legend-color" style="background: #98c379"></div>
+                    <span>Cycles (total, incl. callees)</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color" style="background: #56b6c2"></div>
+                    <span>Cycles (self, excl. callees)</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color" style="background: #e06c75"></div>
+                    <span>% of total</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color" style="background: #d19a66"></div>
+                    <span>% of function / call count</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color" style="background: #61afef"></div>
+                    <span>Cycles per call (avg/min/max)</span>
+                </div>
+            </div>
+        </div>
+        </div>
+
+        ${tabs.map(tab => `<div class="tab-panel" id="tab-${tab.id}">${tab.html()}</div>`).join('\n')}
     </div>
 
-    <script src="calltree.js"></script>
+    ${options.selfContained
+        ? `<script>\n${this.generateJS().replace(/<\/script/gi, '<\\/script')}</script>`
+        : `<script src="${escapeHTML(options.scriptFile || 'calltree.js')}"></script>`}
 </body>
 </html>`;
 
         return html;
     }
 
-    generateNodeHTML(nodes, level) {
-        if (nodes.length === 0) {
-            return '<div class="empty-message">No function calls detected</div>';
-        }
-
-        return nodes.map(node => {
-            const pctOfTotal = this.totalCycles > 0 ? ((node.totalCycles / this.totalCycles) * 100).toFixed(1) : '0.0';
-            const hasChildren = node.children.length > 0;
-            const funcStats = this.functionStats.get(node.name);
-            const hasInstructions = funcStats && funcStats.instructions.size > 0;
-
-            return \`
-                <div class="node" data-name="\${node.name.toLowerCase()}">
-                    <div class="node-header" onclick="toggleNode(this)">
-                        <button class="expand-btn" \${hasChildren ? '' : 'style="visibility: hidden"'}>▶</button>
-                        <div class="node-name level-\${level}">\${node.name}</div>
-                        <div class="stat primary">\${node.totalCycles.toLocaleString()}</div>
-                        <div class="stat secondary">\${pctOfTotal}%</div>
-                        <div class="stat tertiary">\${node.callCount}×</div>
-                    </div>
-                    <div class="children">
-                        \${this.generateNodeHTML(node.children, level + 1)}
-                    </div>
-                    <div class="instructions" \${hasInstructions ? '' : 'style="display: none"'}>
-                        \${this.generateInstructionsHTML(node.name)}
-                    </div>
-                </div>
-            \`;
-        }).join('');
+    // Extra report views shown as tabs next to the call tree
+    getReportTabs(callTree, options = {}) {
+        const tabs = [{ id: 'functions', title: 'Functions', html: () => this.generateFunctionsHTML() }];
+        if (this.addressStats.size > 0) {
+            tabs.push({ id: 'memory', title: 'Memory', html: () => this.generateMemoryHTML() });
+            tabs.push({ id: 'stack', title: 'Stack', html: () => this.generateStackHTML(callTree) });
+        }
+        if (options.flameGraph) {
+            tabs.push({ id: 'flamegraph', title: 'Flame Graph', html: () => this.generateFlameGraphTabHTML(callTree) });
+        }
+        if (this.frames && this.frames.frames.length > 0) {
+            tabs.push({ id: 'frames', title: 'Frames', html: () => this.generateFramesHTML() });
+        }
+        if (this.diagnostics.length > 0) {
+            tabs.push({ id: 'diagnostics', title: 'Diagnostics', html: () => this.generateDiagnosticsHTML() });
+        }
+        if (this.addressStats.size > 0) {
+            tabs.push({ id: 'hotspots', title: 'Hot Spots', html: () => this.generateHotSpotsHTML() });
+            tabs.push({ id: 'timing', title: 'Timing Penalties', html: () => this.generateTimingHTML() });
+        }
+        if (this.sourceMap) {
+            tabs.push({ id: 'source', title: 'Source', html: () => this.generateSourceHTML() });
+        }
+        return tabs;
+    }
+
+    generateTabsHTML(tabs) {
+        if (tabs.length === 0) return '';
+        return `<div class="tabs">
+            <button class="tab active" data-tab="tree" onclick="showTab('tree')">Call Tree</button>
+            ${tabs.map(tab => `<button class="tab" data-tab="${tab.id}" onclick="showTab('${tab.id}')">${tab.title}</button>`).join('\n            ')}
+        </div>`;
     }
 
-    generateInstructionsHTML(functionName) {
-        const stats = this.functionStats.get(functionName);
-        if (!stats || stats.instructions.size === 0) {
-            return '<div class="empty-message">No instruction data</div>';
+    // Annotated source: every line of each file that executed, heat-coloured by cycles
+    generateSourceHTML() {
+        if (this.lineStats.size === 0) {
+            return '<div class="empty-message">No executed instructions map to the debug info</div>';
         }
 
-        const totalFuncCycles = stats.totalCycles;
-        const instructions = Array.from(stats.instructions.entries())
-            .sort((a, b) => b[1].cycles - a[1].cycles);
+        let maxCycles = 0;
+        for (const stats of this.lineStats.values()) maxCycles = Math.max(maxCycles, stats.cycles);
+        const files = this.sourceMap.files.map((file, index) => ({ file, index }))
+            .filter(({ index }) => Array.from(this.lineStats.values()).some(stats => stats.file === index));
+
+        return files.map(({ file, index }) => {
+            const hitLines = Array.from(this.lineStats.values())
+                .filter(stats => stats.file === index)
+                .map(stats => stats.line);
+            // With source text show the whole file, otherwise only executed lines
+            const lineNumbers = file.text
+                ? file.text.map((_, i) => i + 1)
+                : hitLines.sort((a, b) => a - b);
+
+            const rows = lineNumbers.map(line => {
+                const stats = this.lineStats.get(index + ':' + line);
+                const text = file.text ? escapeHTML(file.text[line - 1] || '') : '';
+                if (!stats) {
+                    return `<div class="source-line"><span class="line-no">${line}</span><span></span><span></span><span></span><span>${text}</span></div>`;
+                }
+                const heat = (0.15 + 0.65 * stats.cycles / maxCycles).toFixed(2);
+                const pct = this.totalCycles > 0 ? ((stats.cycles / this.totalCycles) * 100).toFixed(1) : '0.0';
+                const owner = Array.from(stats.owners.entries()).sort((a, b) => b[1] - a[1])[0][0];
+                return `<div class="source-line" id="src-${index}-${line}" style="background: rgba(224, 108, 117, ${heat})" title="${escapeHTML(owner)}">` +
+                    `<span class="line-no">${line}</span>` +
+                    `<span class="stat tertiary">${stats.count.toLocaleString()}×</span>` +
+                    `<span class="stat primary">${stats.cycles.toLocaleString()}</span>` +
+                    `<span class="stat secondary">${pct}%</span>` +
+                    `<span>${text || '<span class="owner">' + escapeHTML(owner) + '</span>'}</span></div>`;
+            }).join('\n');
+
+            return `<div class="source-file">
+                <h3>${escapeHTML(file.name)}</h3>
+                <div class="source-line" style="font-weight: bold; border-bottom: 1px solid #3e3e3e;"><span class="line-no">Line</span><span class="stat tertiary">Count</span><span class="stat primary">Cycles</span><span class="stat secondary">%</span><span>Source</span></div>
+                ${rows}
+            </div>`;
+        }).join('\n');
+    }
+
+    generateHotSpotsHTML(limit = 100) {
+        const pct = (cycles) => this.totalCycles > 0 ? ((cycles / this.totalCycles) * 100).toFixed(1) + '%' : '0.0%';
+        const table = (title, headers, rows) => `<div class="report-table">
+            <h3>${title}</h3>
+            <table>
+                <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+                <tbody>${rows.join('\n')}</tbody>
+            </table>
+        </div>`;
+
+        const addresses = Array.from(this.addressStats.values())
+            .sort((a, b) => b.cycles - a.cycles)
+            .slice(0, limit)
+            .map(stats => `<tr>
+                <td>${hex4(stats.addr)}</td>
+                <td class="label">${escapeHTML(this.symbols.formatAddress(stats.addr))}</td>
+                <td class="instruction-name">${escapeHTML(this.symbols.annotateInstruction(stats.text))}</td>
+                <td>${escapeHTML(stats.owner)}</td>
+                <td class="num tertiary">${stats.count.toLocaleString()}</td>
+                <td class="num primary">${stats.cycles.toLocaleString()}</td>
+                <td class="num secondary">${pct(stats.cycles)}</td>
+            </tr>`);
+
+        const loops = this.buildLoops()
+            .sort((a, b) => b.bodyCycles - a.bodyCycles)
+            .map(loop => `<tr>
+                <td>${hex4(loop.target)}–${hex4(loop.branch)}</td>
+                <td class="label">${escapeHTML(this.symbols.formatAddress(loop.target))}</td>
+                <td>${escapeHTML(loop.owner)}</td>
+                <td class="num tertiary">${loop.iterations.toLocaleString()}</td>
+                <td class="num tertiary">${loop.runs.toLocaleString()}</td>
+                <td class="num quaternary">${loop.runs > 0 ? (loop.iterations / loop.runs).toFixed(1) : '–'}</td>
+                <td class="num primary">${loop.bodyCycles.toLocaleString()}</td>
+                <td class="num quaternary">${loop.cyclesPerIteration.toFixed(1)}</td>
+                <td class="num secondary">${pct(loop.bodyCycles)}</td>
+            </tr>`);
+
+        const blocks = this.buildBasicBlocks()
+            .sort((a, b) => b.cycles - a.cycles)
+            .slice(0, limit)
+            .map(block => `<tr>
+                <td>${hex4(block.start)}–${hex4(block.end)}</td>
+                <td class="label">${escapeHTML(this.symbols.formatAddress(block.start))}</td>
+                <td>${escapeHTML(block.owner)}</td>
+                <td class="num">${block.instructions}</td>
+                <td class="num tertiary">${block.count.toLocaleString()}</td>
+                <td class="num primary">${block.cycles.toLocaleString()}</td>
+                <td class="num secondary">${pct(block.cycles)}</td>
+            </tr>`);
+
+        return [
+            table('Loops (backward branches)', ['Body', 'Label', 'Function', 'Iterations', 'Runs', 'Iter/run', 'Body cycles', 'Cycles/iter', '%'],
+                loops.length > 0 ? loops : ['<tr><td colspan="9" class="empty-message">No backward branches taken</td></tr>']),
+            table(`Hottest addresses (top ${Math.min(limit, this.addressStats.size)} of ${this.addressStats.size})`, ['Address', 'Label', 'Instruction', 'Function', 'Count', 'Cycles', '%'], addresses),
+            table('Hottest basic blocks', ['Range', 'Label', 'Function', 'Instr.', 'Executions', 'Cycles', '%'], blocks)
+        ].join('\n');
+    }
+
+    // Per-frame chart with budget line; clicking a bar shows that frame's call tree
+    generateFramesHTML() {
+        const tracker = this.frames;
+        const measured = tracker.measuredFrames();
+        const cycles = measured.map(frame => frame.cycles);
+        const avg = cycles.length > 0 ? Math.round(cycles.reduce((a, b) => a + b, 0) / cycles.length) : 0;
+        // reduce, not Math.min(...cycles): long traces have more frames than fit in an argument list
+        const min = cycles.reduce((a, b) => Math.min(a, b), Infinity);
+        const max = cycles.reduce((a, b) => Math.max(a, b), 0);
+        const budgetPct = (value) => ((value / tracker.frameCycles) * 100).toFixed(1) + '%';
+        const split = this.frameMarker
+            ? 'at ' + (this.frameMarker.addr !== undefined ? this.symbols.formatAddress(this.frameMarker.addr) : escapeHTML(this.frameMarker.name))
+            : 'every ' + tracker.frameCycles.toLocaleString() + ' cycles';
+        const data = JSON.stringify(tracker.toJSON(this.callTree)).replace(/</g, '\\u003c');
+        const row = (label, value) => `<tr><td>${label}</td><td class="num">${value}</td></tr>`;
+
+        return `<div class="report-table">
+            <h3>Frames (split ${split})</h3>
+            <table>
+                <tbody>
+                    ${row('Frames', measured.length.toLocaleString())}
+                    ${row('Budget', tracker.frameCycles.toLocaleString() + ' cycles (' + formatDuration(tracker.frameCycles, this.machine) + ')')}
+                    ${row('Average', avg.toLocaleString() + ' (' + budgetPct(avg) + ')')}
+                    ${row('Min', cycles.length > 0 ? min.toLocaleString() : '–')}
+                    ${row('Max', cycles.length > 0 ? max.toLocaleString() + ' (' + budgetPct(max) + ')' : '–')}
+                    ${row('Over budget', tracker.overruns().length.toLocaleString())}
+                </tbody>
+            </table>
+        </div>
+        ${tracker.generateChartSVG(this.callTree)}
+        <div id="frame-detail" class="frame-detail"><div class="empty-message">Click a frame to see its call tree</div></div>
+        <script type="application/json" id="frame-data">${data}</script>`;
+    }
+
+    // Call-stack repairs and mismatched events found while building the tree
+    generateDiagnosticsHTML() {
+        const summary = Object.keys(this.diagnosticCounts).map(kind => `<tr>
+                <td class="label">${kind}</td>
+                <td>${DIAGNOSTIC_KINDS[kind]}</td>
+                <td class="num tertiary">${this.diagnosticCounts[kind].toLocaleString()}</td>
+            </tr>`);
+        const rows = this.diagnostics.map(diag => `<tr>
+                <td class="num">${diag.ts === null || diag.ts === undefined ? '–' : diag.ts.toLocaleString()}</td>
+                <td class="label">${diag.kind}</td>
+                <td>${diag.addr === null ? '' : hex4(diag.addr)}</td>
+                <td>${escapeHTML(diag.function)}</td>
+                <td>${escapeHTML(diag.detail)}</td>
+            </tr>`);
+        const total = Object.values(this.diagnosticCounts).reduce((a, b) => a + b, 0);
+
+        return `<div class="report-table">
+            <h3>Call-stack diagnostics</h3>
+            <table>
+                <thead><tr><th>Kind</th><th>Meaning</th><th>Count</th></tr></thead>
+                <tbody>${summary.join('\n')}</tbody>
+            </table>
+        </div>
+        <div class="report-table">
+            <h3>Events${total > rows.length ? ` (first ${rows.length} of ${total.toLocaleString()})` : ''}</h3>
+            <table>
+                <thead><tr><th>Timestamp</th><th>Kind</th><th>Address</th><th>Function</th><th>Detail</th></tr></thead>
+                <tbody>${rows.join('\n')}</tbody>
+            </table>
+        </div>`;
+    }
+
+    // Cycles lost per function to taken branches and page crossings, with the offending addresses
+    generateTimingHTML() {
+        const kinds = Object.keys(PENALTY_KINDS);
+        const functions = Array.from(this.functionStats.entries())
+            .map(([name, stats]) => ({ name, stats, lost: kinds.reduce((sum, kind) => sum + stats.penalties[kind], 0) }))
+            .filter(entry => entry.lost > 0)
+            .sort((a, b) => b.lost - a.lost);
+
+        if (functions.length === 0) {
+            return '<div class="empty-message">No cycles lost to branches or page crossings</div>';
+        }
+
+        const summaryRows = functions.map(({ name, stats, lost }) => `<tr>
+                <td class="label">${escapeHTML(name)}</td>
+                <td class="num primary">${stats.totalCycles.toLocaleString()}</td>
+                ${kinds.map(kind => `<td class="num tertiary">${stats.penalties[kind].toLocaleString()}</td>`).join('')}
+                <td class="num secondary">${lost.toLocaleString()}</td>
+                <td class="num secondary">${stats.totalCycles > 0 ? ((lost / stats.totalCycles) * 100).toFixed(1) : '0.0'}%</td>
+            </tr>`);
+
+        const siteRows = [];
+        for (const { name, stats } of functions) {
+            const sites = Array.from(stats.penaltySites.values()).sort((a, b) => b.lost - a.lost);
+            for (const site of sites) {
+                const detail = Object.keys(site.kinds)
+                    .map(kind => `${PENALTY_KINDS[kind]} ${site.kinds[kind].toLocaleString()}`)
+                    .join(', ');
+                siteRows.push(`<tr>
+                    <td>${hex4(site.addr)}</td>
+                    <td class="label">${escapeHTML(this.symbols.formatAddress(site.addr))}</td>
+                    <td class="instruction-name">${escapeHTML(this.symbols.annotateInstruction(site.text))}</td>
+                    <td>${escapeHTML(name)}</td>
+                    <td class="num tertiary">${site.count.toLocaleString()}</td>
+                    <td class="num secondary">${site.lost.toLocaleString()}</td>
+                    <td>${detail}</td>
+                </tr>`);
+            }
+        }
+
+        return `<div class="report-table">
+            <h3>Cycles lost per function</h3>
+            <table>
+                <thead><tr><th>Function</th><th>Cycles</th>${kinds.map(kind => `<th>${PENALTY_KINDS[kind]}</th>`).join('')}<th>Lost</th><th>% of function</th></tr></thead>
+                <tbody>${summaryRows.join('\n')}</tbody>
+            </table>
+        </div>
+        <div class="report-table">
+            <h3>Offending addresses</h3>
+            <table>
+                <thead><tr><th>Address</th><th>Label</th><th>Instruction</th><th>Function</th><th>Count</th><th>Lost</th><th>Breakdown</th></tr></thead>
+                <tbody>${siteRows.join('\n')}</tbody>
+            </table>
+        </div>`;
+    }
+
+    // Memory heat map by page, zero-page use per function, I/O registers and self-modifying code
+    generateMemoryHTML(limit = 50) {
+        const memory = this.memory;
+        const table = (title, headers, rows, empty) => `<div class="report-table">
+            <h3>${title}</h3>
+            <table>
+                <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+                <tbody>${rows.length > 0 ? rows.join('\n') : `<tr><td colspan="${headers.length}" class="empty-message">${empty}</td></tr>`}</tbody>
+            </table>
+        </div>`;
+        const names = (list) => list.map(name => escapeHTML(name)).join(', ');
+        // Zero-page labels only on an exact match, as in annotated instructions
+        const zpName = (zp) => this.symbols.has(zp) ? this.symbols.get(zp) : '$' + zp.toString(16).toUpperCase().padStart(2, '0');
+        const zpRanges = (addresses) => {
+            const ranges = [];
+            for (const zp of addresses) {
+                const last = ranges[ranges.length - 1];
+                if (last && zp === last[1] + 1) last[1] = zp;
+                else ranges.push([zp, zp]);
+            }
+            return ranges.map(([from, to]) => from === to ? zpName(from) : zpName(from) + '–' + zpName(to)).join(', ');
+        };
+
+        const count = (array) => array.reduce((n, value) => n + (value > 0 ? 1 : 0), 0);
+        const smc = memory.selfModifying();
+        const io = memory.ioAccesses();
+        const zeroPage = memory.zeroPageUsage();
+        const shared = memory.sharedZeroPage();
+        const row = (label, value) => `<tr><td>${label}</td><td class="num">${value}</td></tr>`;
+        const summary = `<div class="report-table">
+            <h3>Memory accessed</h3>
+            <table>
+                <tbody>
+                    ${row('Addresses read', count(memory.reads).toLocaleString())}
+                    ${row('Addresses written', count(memory.writes).toLocaleString())}
+                    ${row('Addresses executed', count(memory.executes).toLocaleString())}
+                    ${row('Zero-page bytes used', count(memory.reads.subarray(0, 256).map((r, zp) => r + memory.writes[zp])).toLocaleString() +
+                        (shared.size > 0 ? ' (' + shared.size + ' shared by several functions)' : ''))}
+                    ${row('Self-modifying addresses', smc.length.toLocaleString())}
+                    ${row('Indexed/indirect accesses without an effective address (not mapped)', memory.unresolved.toLocaleString())}
+                    ${memory.unresolvedPointers > 0 ? row('(zp,X) pointer reads without X (not mapped)', memory.unresolvedPointers.toLocaleString()) : ''}
+                </tbody>
+            </table>
+        </div>`;
+
+        const data = JSON.stringify(memory.toJSON(addr => this.symbols.get(addr) || null)).replace(/</g, '\\u003c');
+
+        const smcRows = smc.map(site => `<tr>
+                <td>${hex4(site.addr)}</td>
+                <td class="label">${escapeHTML(this.symbols.formatAddress(site.addr))}</td>
+                <td>${names(site.writers)}</td>
+                <td>${escapeHTML(site.executor)}</td>
+                <td class="num secondary">${site.writes.toLocaleString()}</td>
+                <td class="num secondary">${site.lateWrites.toLocaleString()}</td>
+                <td class="num primary">${site.executes.toLocaleString()}</td>
+            </tr>`);
+
+        const zpRows = zeroPage.map(usage => `<tr>
+                <td class="label">${escapeHTML(usage.owner)}</td>
+                <td class="num">${usage.addresses.length}</td>
+                <td>${escapeHTML(zpRanges(usage.addresses))}</td>
+                <td class="num quaternary">${usage.reads.toLocaleString()}</td>
+                <td class="num secondary">${usage.writes.toLocaleString()}</td>
+            </tr>`);
+
+        const sharedRows = Array.from(shared.entries()).map(([zp, owners]) => `<tr>
+                <td>${zpName(zp)}</td>
+                <td class="num quaternary">${memory.reads[zp].toLocaleString()}</td>
+                <td class="num secondary">${memory.writes[zp].toLocaleString()}</td>
+                <td>${names(owners)}</td>
+            </tr>`);
+
+        const ioRows = io.map(reg => `<tr>
+                <td>${hex4(reg.addr)}${reg.end !== reg.addr ? '–' + hex4(reg.end) : ''}</td>
+                <td class="label">${escapeHTML(this.symbols.formatAddress(reg.addr))}</td>
+                <td>${escapeHTML(reg.range)}</td>
+                <td class="num quaternary">${reg.reads.toLocaleString()}</td>
+                <td class="num secondary">${reg.writes.toLocaleString()}</td>
+                <td>${names(Array.from(reg.owners.entries()).sort((a, b) => b[1] - a[1]).map(([owner]) => owner))}</td>
+            </tr>`);
+
+        const addressRows = memory.topDataAddresses(limit).map(stats => `<tr>
+                <td>${hex4(stats.addr)}</td>
+                <td class="label">${escapeHTML(this.symbols.formatAddress(stats.addr))}</td>
+                <td class="num quaternary">${stats.reads.toLocaleString()}</td>
+                <td class="num secondary">${stats.writes.toLocaleString()}</td>
+                <td class="num primary">${stats.executes.toLocaleString()}</td>
+            </tr>`);
+
+        return `${summary}
+        ${smc.length > 0 ? table('⚠ Self-modifying code (written and executed)',
+        ['Address', 'Label', 'Written by', 'Executed by', 'Writes', 'Writes after running', 'Executes'], smcRows, '') : ''}
+        <div class="report-table">
+            <h3>Pages (click for addresses)</h3>
+            ${memory.generateHeatMapHTML()}
+        </div>
+        <div id="page-detail" class="frame-detail"><div class="empty-message">Click a page to see its addresses</div></div>
+        ${table('Zero page per function', ['Function', 'Bytes', 'Addresses', 'Reads', 'Writes'], zpRows, 'No zero-page accesses')}
+        ${sharedRows.length > 0 ? table('Zero page shared between functions', ['Address', 'Reads', 'Writes', 'Functions'], sharedRows, '') : ''}
+        ${table(`I/O registers (${escapeHTML(this.machine.name)})`, ['Address', 'Label', 'Chip', 'Reads', 'Writes', 'Functions'], ioRows,
+        this.machine.io.length > 0 ? 'No I/O registers accessed' : 'No I/O map for this machine; use --machine=&lt;name&gt;')}
+        ${table(`Busiest data addresses (top ${limit})`, ['Address', 'Label', 'Reads', 'Writes', 'Executes'], addressRows, 'No data accesses')}
+        <script type="application/json" id="memory-data">${data}</script>`;
+    }
+
+    // Hardware stack peak, the call path that reached it and per-path usage
+    generateStackHTML(callTree, limit = 50) {
+        const stack = this.stack;
+        const peak = stack.peakBytes();
+        const formatPath = (names) => names.length > 0 ? names.map(name => escapeHTML(name)).join(' › ') : '(top level)';
+        const pageShare = (bytes) => ((bytes / STACK_PAGE_BYTES) * 100).toFixed(1) + '%';
+        const row = (label, value) => `<tr><td>${label}</td><td>${value}</td></tr>`;
+
+        const paths = [];
+        const visit = (node, names) => {
+            for (const child of node.children) {
+                const childNames = names.concat([child.name]);
+                const bytes = stack.nodePeak(child);
+                if (bytes !== null) paths.push({ names: childNames, bytes: bytes });
+                visit(child, childNames);
+            }
+        };
+        visit(callTree, []);
+        const rows = paths
+            .sort((a, b) => b.bytes - a.bytes || a.names.length - b.names.length)
+            .slice(0, limit)
+            .map(entry => `<tr>
+                <td class="label">${formatPath(entry.names)}</td>
+                <td class="num">${entry.names.length}</td>
+                <td class="num secondary">${entry.bytes.toLocaleString()}</td>
+                <td class="num tertiary">${pageShare(entry.bytes)}</td>
+            </tr>`);
+
+        const warning = stack.nearlyFull()
+            ? `<div class="stack-warning">⚠ Stack use peaks at ${peak} of ${STACK_PAGE_BYTES} bytes: ${STACK_PAGE_BYTES - peak} left before it wraps within page 1</div>`
+            : '';
+        const source = stack.fromRegister
+            ? 'SP register in the trace'
+            : 'Counted from JSR/RTS, PHA/PHP/PLA/PLP, BRK/RTI and interrupt entries';
+        // Counted use can't see what was on the stack before the trace began
+        const baseline = stack.fromRegister
+            ? 'Top of page 1 ($01FF): includes whatever was pushed before the trace began'
+            : 'Lowest level the trace reaches: bytes pushed before the trace began and not pulled during it are not ' +
+                'counted, so this can read lower than the SP register would';
+
+        return `${warning}
+        <div class="report-table">
+            <h3>Stack</h3>
+            <table>
+                <tbody>
+                    ${row('Source', source)}
+                    ${row('Measured from', baseline)}
+                    ${row('Peak use', `${peak.toLocaleString()} bytes (${pageShare(peak)} of the page)`)}
+                    ${stack.fromRegister ? row('Lowest SP', hex4(0x100 + stack.minSp) + ' (' + hex4(0x100 + stack.startSp) + ' at the start)') : ''}
+                    ${row('Call path at peak', formatPath(stack.peakPath))}
+                    ${!stack.fromRegister && stack.resets > 0 ? row('TXS (count restarted)', stack.resets.toLocaleString()) : ''}
+                    ${row('Max call depth', stack.maxDepth.toLocaleString())}
+                    ${row('Deepest call path', formatPath(stack.depthPath))}
+                </tbody>
+            </table>
+        </div>
+        <div class="report-table">
+            <h3>Stack use by call path (top ${Math.min(limit, paths.length)} of ${paths.length})</h3>
+            <table>
+                <thead><tr><th>Call path</th><th>Depth</th><th>Peak bytes</th><th>% of page</th></tr></thead>
+                <tbody>${rows.join('\n')}</tbody>
+            </table>
+        </div>`;
+    }
 
-        const rows = instructions.map(([instName, instStats]) => {
-            const pctOfFunc = totalFuncCycles > 0 ? ((instStats.cycles / totalFuncCycles) * 100).toFixed(1) : '0.0';
-            const pctOfTotal = this.totalCycles > 0 ? ((instStats.cycles / this.totalCycles) * 100).toFixed(2) : '0.00';
+    // Flat function table and butterfly view; both are filled in by the viewer script from #profile-data
+    generateFunctionsHTML() {
+        const column = (key, label) => `<th class="sortable" data-sort="${key}" onclick="sortFunctions('${key}')">${label}</th>`;
+        return `<div class="report-table">
+            <h3 id="functions-title">Functions</h3>
+            <table class="functions-table">
+                <thead><tr><th>Function</th>${column('self', 'Self')}<th>Self %</th>${column('total', 'Total')}<th>Total %</th>${column('calls', 'Calls')}${column('avg', 'Cycles/call')}</tr></thead>
+                <tbody id="functions-rows"></tbody>
+            </table>
+            <div class="functions-more" id="functions-more"></div>
+        </div>
+        <div id="butterfly" class="frame-detail"><div class="empty-message">Click a function to see its callers and callees</div></div>`;
+    }
 
-            return \`
-                <div class="instruction-row">
-                    <div class="instruction-name">\${instName}</div>
-                    <div class="stat primary">\${instStats.cycles.toLocaleString()}</div>
-                    <div class="stat secondary">\${pctOfFunc}%</div>
-                    <div class="stat tertiary">\${pctOfTotal}%</div>
+    // Header boxes splitting the total between mainline code and interrupt handlers
+    generateInterruptStatsHTML(callTree) {
+        const handlers = callTree.children.filter(node => node.interrupt);
+        if (handlers.length === 0) return '';
+        const pct = this.totalCycles > 0 ? ((this.interruptCycles / this.totalCycles) * 100).toFixed(1) : '0.0';
+        return `<div class="stat-box">
+                    <div class="stat-label">Stolen by Interrupts</div>
+                    <div class="stat-value">${this.interruptCycles.toLocaleString()} (${pct}%)</div>
                 </div>
-            \`;
-        }).join('');
-
-        return \`
-            <div class="instruction-row" style="background: #252526; font-weight: bold; border-bottom: 2px solid #3e3e3e;">
-                <div>Instruction</div>
-                <div class="stat primary">Cycles</div>
-                <div class="stat secondary">% of Function</div>
-                <div class="stat tertiary">% of Total</div>
-            </div>
-            \${rows}
-        \`;
+                <div class="stat-box">
+                    <div class="stat-label">Mainline Cycles</div>
+                    <div class="stat-value">${(this.totalCycles - this.interruptCycles).toLocaleString()}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Interrupt Handlers</div>
+                    <div class="stat-value">${handlers.length}</div>
+                </div>`;
+    }
+
+    /**
+     * The call tree as data for the report's viewer, which renders rows
+     * lazily. Nodes are in preorder, root first, as arrays:
+     * [name, parent, self, total, calls, minCall, maxCall, minAddr, maxAddr,
+     *  stolen, tailCall, interrupt] with name an index into names and -1 for
+     * a missing address. totals has each name's flat [self, total, calls]
+     * (null for the root) for the Functions tab. Also written by the "json"
+     * export format.
+     */
+    getViewerData(callTree) {
+        const names = [];
+        const nameIndex = new Map();
+        const nameId = (name) => {
+            if (!nameIndex.has(name)) {
+                nameIndex.set(name, names.length);
+                names.push(name);
+            }
+            return nameIndex.get(name);
+        };
+
+        const nodes = [];
+        const addrLabels = {};
+        const label = (addr) => {
+            if (addr < 0) return -1;
+            addrLabels[addr] = this.symbols.formatAddress(addr);
+            return addr;
+        };
+        const visit = (node, parent) => {
+            const id = nodes.length;
+            const hasAddr = node.minAddr !== Infinity;
+            nodes.push([
+                nameId(node.name), parent, node.selfCycles, node.totalCycles, node.callCount,
+                node.callCount > 0 ? node.minCallCycles : 0, node.maxCallCycles,
+                label(hasAddr ? node.minAddr : -1), label(hasAddr ? node.maxAddr : -1),
+                node.interruptCycles || 0, node.tailCall || 0, node.interrupt || 0
+            ]);
+            for (const child of node.children) visit(child, id);
+        };
+        visit(callTree, -1);
+
+        // Hottest source lines per function, for the links above its instructions
+        const lines = new Map();
+        for (const stats of this.lineStats.values()) {
+            for (const [owner, cycles] of stats.owners) {
+                if (!lines.has(owner)) lines.set(owner, []);
+                lines.get(owner).push({ stats: stats, cycles: cycles });
+            }
+        }
+
+        const functions = {};
+        for (const [name, stats] of this.functionStats) {
+            if (!nameIndex.has(name) || stats.instructions.size === 0) continue;
+            const instructions = Array.from(stats.instructions.entries())
+                .sort((a, b) => b[1].cycles - a[1].cycles)
+                .map(([mnemonic, inst]) => [
+                    mnemonic,
+                    Array.from(inst.operands.entries()).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([text]) => text).join(', '),
+                    inst.cycles,
+                    inst.penaltyCycles
+                ]);
+            const hot = (lines.get(name) || [])
+                .sort((a, b) => b.cycles - a.cycles)
+                .slice(0, 8)
+                .map(({ stats: line }) => [path.basename(this.sourceMap.files[line.file].name), line.line, line.file]);
+            functions[nameIndex.get(name)] = { cycles: stats.totalCycles, instructions: instructions, lines: hot };
+        }
+
+        // Same figures as diff and check use, recursion counted once
+        const totals = names.map(() => null);
+        for (const fn of functionTotals(this, callTree).values()) {
+            totals[nameIndex.get(fn.name)] = [fn.self, fn.total, fn.calls];
+        }
+
+        return {
+            format: '6502-profile',
+            version: 1,
+            name: this.traceName,
+            totalCycles: this.totalCycles,
+            machine: { name: this.machine.name, clockHz: this.machine.clockHz, frameCycles: this.frameLength() },
+            names: names,
+            nodes: nodes,
+            addrLabels: addrLabels,
+            functions: functions,
+            totals: totals
+        };
     }
 
     countFunctions(node) {
@@ -504,127 +2091,1328 @@ class CallTreeProfiler {
         return count;
     }
 
-    saveHTML(filename) {
-        const callTree = this.analyze();
-        const html = this.generateHTML(callTree);
-        const js = this.generateJS();
+    // Flame graph as a data: URL, so its zoom and search script runs apart from the page's
+    generateFlameGraphTabHTML(callTree) {
+        const svg = Buffer.from(this.generateFlameGraph(callTree, { title: this.traceName + ' Flame Graph' })).toString('base64');
+        return `<object class="flame-graph" type="image/svg+xml" data="data:image/svg+xml;base64,${svg}"></object>`;
+    }
+
+    generateFlameGraph(callTree, options = {}) {
+        return generateFlameGraphSVG(callTree, Object.assign({ machine: this.machine }, options));
+    }
+
+    saveFlameGraph(filename, options = {}) {
+        const callTree = this.getReportTree();
+        fs.writeFileSync(filename, this.generateFlameGraph(callTree, options));
+        console.log('✓ Flame graph saved to: ' + filename);
+    }
+
+    // Regenerate a whole gallery folder: call tree, flame graph and icicle graph
+    // options: generateHTML() options for calltree.html (selfContained, flameGraph)
+    saveProject(dir, projectName, options = {}) {
+        const name = projectName || path.basename(path.resolve(dir));
+        fs.mkdirSync(dir, { recursive: true });
+
+        const callTree = this.getReportTree();
+        const htmlFile = path.join(dir, 'calltree.html');
+        fs.writeFileSync(htmlFile, this.generateHTML(callTree, Object.assign({}, options, { scriptFile: 'calltree.js' })));
+        if (!options.selfContained) {
+            fs.writeFileSync(path.join(dir, 'calltree.js'), this.generateJS());
+        }
+
+        const flameFile = path.join(dir, name + '-flamegraph.svg');
+        const icicleFile = path.join(dir, name + '-icicle.svg');
+        fs.writeFileSync(flameFile, this.generateFlameGraph(callTree, { title: name + ' Flame Graph' }));
+        fs.writeFileSync(icicleFile, this.generateFlameGraph(callTree, { title: name + ' Icicle Graph', inverted: true }));
+        fs.writeFileSync(path.join(dir, 'stats.json'), JSON.stringify(this.getSummary(this.getCallTree(), name), null, 2) + '\n');
+
+        console.log('\n✓ Project profiler saved to: ' + dir);
+        console.log('  Call tree:   ' + htmlFile);
+        console.log('  Flame graph: ' + flameFile);
+        console.log('  Icicle:      ' + icicleFile);
+    }
+
+    // Headline figures for the gallery, written to stats.json by saveProject()
+    getSummary(callTree, name) {
+        const depth = (node) => node.children.reduce((max, child) => Math.max(max, 1 + depth(child)), 0);
+        return {
+            name: name,
+            machine: this.machine.id,
+            machineName: this.machine.name,
+            clockHz: this.machine.clockHz,
+            totalCycles: this.totalCycles,
+            time: formatDuration(this.totalCycles, this.machine),
+            timeMs: (this.totalCycles / this.machine.clockHz) * 1000,
+            frameCycles: this.frameLength(),
+            functions: this.countFunctions(callTree),
+            maxDepth: depth(callTree),
+            stackBytes: this.stack.peakBytes(),
+            interruptCycles: this.interruptCycles
+        };
+    }
+
+    // Export as folded stacks, speedscope JSON, gzipped pprof protobuf or viewer JSON
+    exportProfile(format, callTree) {
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error('Unknown export format: ' + format + ' (expected ' + Object.keys(EXPORT_FORMATS).join(', ') + ')');
+        }
+        // Stacks are weighted by self cycles, so --min-percent's hidden callees count as their parent's
+        const tree = callTree || this.getReportTree({ keepPrunedCycles: format !== 'json' });
+        if (format === 'json') {
+            return JSON.stringify(this.getViewerData(tree));
+        }
+        return EXPORT_FORMATS[format].generate(tree, { name: this.traceName, machine: this.machine });
+    }
 
-        fs.writeFileSync(filename, html);
-        fs.writeFileSync(filename.replace('.html', '.js'), js);
+    saveExport(filename, format) {
+        fs.writeFileSync(filename, this.exportProfile(format));
+        console.log('✓ ' + format + ' profile saved to: ' + filename);
+    }
 
-        console.log('\\n✓ Call tree profiler saved to: ' + filename);
-        console.log('  Script saved to: ' + filename.replace('.html', '.js'));
+    // options: generateHTML() options (selfContained, flameGraph); the script file is named after the page
+    saveHTML(filename, options = {}) {
+        const callTree = this.getReportTree();
+        const jsFile = filename.replace(/\.html?$/i, '') + '.js';
+        fs.writeFileSync(filename, this.generateHTML(callTree, Object.assign({}, options, { scriptFile: path.basename(jsFile) })));
+
+        console.log('\n✓ Call tree profiler saved to: ' + filename);
+        if (options.selfContained) {
+            console.log('  Self-contained: no separate script file');
+        } else {
+            fs.writeFileSync(jsFile, this.generateJS());
+            console.log('  Script saved to: ' + jsFile);
+        }
         console.log('  Open in browser: file://' + fs.realpathSync(filename));
-        console.log('\\nFeatures:');
+        console.log('\nFeatures:');
         console.log('  • Hierarchical function tree (parent → child)');
+        console.log(this.options.timeline
+            ? '  • Timeline mode: one node per invocation'
+            : '  • Repeated calls merged per call path (avg/min/max per call)');
         console.log('  • Instructions mapped to ACTIVE subroutine');
         console.log('  • Expand/collapse to explore');
         console.log('  • Search to filter');
-        console.log('  • Shows: cycles, % of total, % of function, calls');
+        console.log('  • Shows: total/self cycles, % of total, % of function, calls');
     }
 
     generateJS() {
-        return \`// 6502 Call Tree Profiler - Interactive Functions
+        return `// 6502 Call Tree Profiler - Interactive Functions
+
+// Call tree viewer: the profile is embedded as JSON (#profile-data) and only
+// the rows scrolled into view are in the DOM. Expanding a node inserts the
+// rows of its children; nothing below a collapsed node is built.
+const ROW_HEIGHT = 36;
+const OVERSCAN = 20;
+
+// Node fields, see getViewerData()
+const N_NAME = 0, N_PARENT = 1, N_SELF = 2, N_TOTAL = 3, N_CALLS = 4, N_MIN = 5, N_MAX = 6,
+    N_MIN_ADDR = 7, N_MAX_ADDR = 8, N_STOLEN = 9, N_TAIL = 10, N_INTERRUPT = 11;
+
+let profile = null; // { data, children, mainline, handlers }
+let rows = []; // { kind, id, level, index } in display order
+let expanded = null; // per node: 1 when its children (or instructions) are shown
+let searchMask = null; // per node: 1 when it or something below it matches the search
+let savedExpanded = null; // expanded state from before the search, restored when it is cleared
+let renderPending = false;
+
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function hex4(addr) {
+    return '$' + addr.toString(16).toUpperCase().padStart(4, '0');
+}
+
+function formatDuration(cycles, machine) {
+    const seconds = cycles / machine.clockHz;
+    if (seconds >= 1) return seconds.toFixed(2) + ' s';
+    if (seconds >= 0.001) return (seconds * 1000).toFixed(3) + ' ms';
+    return (seconds * 1e6).toFixed(1) + ' µs';
+}
+
+// Tooltip for a cycle count: time at the machine clock and share of a frame
+function timeTitle(cycles) {
+    const machine = profile.data.machine;
+    if (!machine) return '';
+    const frame = machine.frameCycles ? ', ' + (cycles / machine.frameCycles * 100).toFixed(1) + '% of a frame' : '';
+    return formatDuration(cycles, machine) + frame;
+}
+
+function loadProfile(data) {
+    const nodes = data.nodes;
+    const children = nodes.map(function() { return []; });
+    nodes.forEach(function(node, i) {
+        if (node[N_PARENT] >= 0) children[node[N_PARENT]].push(i);
+    });
+    profile = {
+        data: data,
+        children: children,
+        mainline: children[0].filter(function(i) { return !nodes[i][N_INTERRUPT]; }),
+        handlers: children[0].filter(function(i) { return nodes[i][N_INTERRUPT]; })
+    };
+    expanded = new Uint8Array(nodes.length);
+    searchMask = null;
+    savedExpanded = null;
+    functionTable = null;
+    functionRowsStale = true;
+    functionLimit = FUNCTION_LIMIT;
+    selectedNode = -1;
+    rebuildRows();
+}
+
+function visibleChildren(ids) {
+    return searchMask ? ids.filter(function(id) { return searchMask[id]; }) : ids;
+}
+
+function functionOf(id) {
+    return profile.data.functions[profile.data.nodes[id][N_NAME]] || null;
+}
+
+// Rows for a node and, when it is expanded, everything open beneath it
+function nodeRows(id, level, out) {
+    out.push({ kind: 'node', id: id, level: level });
+    if (!expanded[id]) return out;
+    const kids = visibleChildren(profile.children[id]);
+    if (kids.length > 0) {
+        kids.forEach(function(child) { nodeRows(child, level + 1, out); });
+        return out;
+    }
+    // Leaf functions open their instruction breakdown instead
+    const fn = functionOf(id);
+    if (fn) {
+        if (fn.lines.length > 0) out.push({ kind: 'links', id: id, level: level + 1 });
+        out.push({ kind: 'insn-head', id: id, level: level + 1 });
+        fn.instructions.forEach(function(inst, index) {
+            out.push({ kind: 'insn', id: id, level: level + 1, index: index });
+        });
+    }
+    return out;
+}
+
+function rebuildRows() {
+    rows = [];
+    const mainline = visibleChildren(profile.mainline);
+    if (mainline.length === 0 && !searchMask) rows.push({ kind: 'empty', level: 0 });
+    mainline.forEach(function(id) { nodeRows(id, 1, rows); });
+    const handlers = visibleChildren(profile.handlers);
+    if (handlers.length > 0) {
+        rows.push({ kind: 'group', level: 0 });
+        handlers.forEach(function(id) { nodeRows(id, 1, rows); });
+    }
+    renderRows();
+}
+
+function toggleRow(index) {
+    const row = rows[index];
+    if (!row || row.kind !== 'node') return;
+    if (expanded[row.id]) {
+        expanded[row.id] = 0;
+        let end = index + 1;
+        while (end < rows.length && rows[end].level > row.level) end++;
+        rows.splice(index + 1, end - index - 1);
+    } else {
+        expanded[row.id] = 1;
+        const added = nodeRows(row.id, row.level, []).slice(1);
+        rows = rows.slice(0, index + 1).concat(added, rows.slice(index + 1));
+    }
+    renderRows();
+}
+
+function statCell(cls, value, title) {
+    return '<div class="stat ' + cls + '"' + (title ? ' title="' + title + '"' : '') + '>' + value + '</div>';
+}
+
+function nodeRowHTML(row, i) {
+    const data = profile.data;
+    const node = data.nodes[row.id];
+    const pct = function(cycles) { return data.totalCycles > 0 ? (cycles / data.totalCycles * 100).toFixed(1) + '%' : '0.0%'; };
+    const calls = node[N_CALLS];
+    const avg = calls > 0 ? Math.round(node[N_TOTAL] / calls) : 0;
+    const counted = data.callCounts !== false;
+    const addr = node[N_MIN_ADDR] < 0 ? '' : hex4(node[N_MIN_ADDR]) + '–' + hex4(node[N_MAX_ADDR]) +
+        ' (' + data.addrLabels[node[N_MIN_ADDR]] + ' … ' + data.addrLabels[node[N_MAX_ADDR]] + ')';
+    const tail = node[N_TAIL] ? ' <span class="tail-call" title="Entered by ' + escapeText(node[N_TAIL]) + ' (tail call)">⤷ ' + escapeText(node[N_TAIL]) + '</span>' : '';
+    const stolen = node[N_STOLEN] > 0
+        ? ' <span class="stolen" title="Cycles stolen by interrupts while active (not included in the totals)">⚡ ' + node[N_STOLEN].toLocaleString() + '</span>'
+        : '';
+    const hasChildren = visibleChildren(profile.children[row.id]).length > 0;
+    return '<div class="node-header' + (row.id === selectedNode ? ' selected' : '') + '" data-row="' + i + '">' +
+        '<button class="expand-btn' + (expanded[row.id] ? ' expanded' : '') + '"' + (hasChildren ? '' : ' style="visibility: hidden"') + '>▶</button>' +
+        '<div class="node-name" style="padding-left: ' + ((row.level - 1) * 20) + 'px"' + (addr ? ' title="' + escapeText(addr) + '"' : '') + '>' +
+        '<span class="function-link" title="Callers and callees" onclick="showFunction(event, ' + node[N_NAME] + ')">⇄</span> ' +
+        escapeText(data.names[node[N_NAME]]) + tail + stolen + '</div>' +
+        statCell('primary', node[N_TOTAL].toLocaleString(), timeTitle(node[N_TOTAL])) +
+        statCell('secondary', pct(node[N_TOTAL])) +
+        statCell('self', node[N_SELF].toLocaleString(), timeTitle(node[N_SELF])) +
+        statCell('self', pct(node[N_SELF])) +
+        statCell('tertiary', counted ? calls + '×' : '–') +
+        statCell('quaternary', counted ? avg.toLocaleString() : '–', counted && timeTitle(avg)) +
+        statCell('quaternary', counted ? node[N_MIN].toLocaleString() : '–', counted && timeTitle(node[N_MIN])) +
+        statCell('quaternary', counted ? node[N_MAX].toLocaleString() : '–', counted && timeTitle(node[N_MAX])) +
+        '</div>';
+}
+
+function instructionRowHTML(row) {
+    const fn = functionOf(row.id);
+    const indent = ' style="margin-left: ' + (40 + (row.level - 2) * 20) + 'px"';
+    if (row.kind === 'links') {
+        return '<div class="source-links"' + indent + '>Hot lines: ' + fn.lines.map(function(line) {
+            const id = 'src-' + line[2] + '-' + line[1];
+            return '<a href="#' + id + '" onclick="jumpToSource(event, \\'' + id + '\\')">' + escapeText(line[0]) + ':' + line[1] + '</a>';
+        }).join('') + '</div>';
+    }
+    if (row.kind === 'insn-head') {
+        return '<div class="instruction-row heading"' + indent + '><div>Instruction</div>' +
+            statCell('primary', 'Cycles') + statCell('secondary', '% of Function') +
+            statCell('tertiary', '% of Total') + statCell('quaternary', 'Penalty') + '</div>';
+    }
+    const inst = fn.instructions[row.index];
+    const total = profile.data.totalCycles;
+    return '<div class="instruction-row"' + indent + '>' +
+        '<div class="instruction-name">' + escapeText(inst[0]) + ' <span class="instruction-operands">' + escapeText(inst[1]) + '</span></div>' +
+        statCell('primary', inst[2].toLocaleString()) +
+        statCell('secondary', (fn.cycles > 0 ? (inst[2] / fn.cycles * 100).toFixed(1) : '0.0') + '%') +
+        statCell('tertiary', (total > 0 ? (inst[2] / total * 100).toFixed(2) : '0.00') + '%') +
+        statCell('quaternary', inst[3] > 0 ? '+' + inst[3].toLocaleString() : '') +
+        '</div>';
+}
+
+function rowHTML(row, i) {
+    if (row.kind === 'node') return nodeRowHTML(row, i);
+    if (row.kind === 'group') return '<div class="tree-group">Interrupt handlers</div>';
+    if (row.kind === 'empty') return '<div class="empty-message">No function calls detected</div>';
+    return instructionRowHTML(row);
+}
 
-// Toggle node expand/collapse
-function toggleNode(header) {
-    const node = header.parentElement;
-    const children = node.querySelector('.children');
-    const instructions = node.querySelector('.instructions');
-    const btn = header.querySelector('.expand-btn');
+// Draw the rows in and near the viewport
+function renderRows() {
+    renderPending = false;
+    const viewport = document.getElementById('tree-viewport');
+    const height = viewport.clientHeight || window.innerHeight;
+    const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((viewport.scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+    const html = [];
+    for (let i = first; i < last; i++) {
+        html.push(rowHTML(rows[i], i));
+    }
+    document.getElementById('tree-spacer').style.height = (rows.length * ROW_HEIGHT) + 'px';
+    const container = document.getElementById('tree-rows');
+    container.style.transform = 'translateY(' + (first * ROW_HEIGHT) + 'px)';
+    container.innerHTML = html.join('');
+}
+
+function scheduleRender() {
+    if (renderPending) return;
+    renderPending = true;
+    window.requestAnimationFrame(renderRows);
+}
 
-    if (children && children.children.length > 0) {
-        children.classList.toggle('visible');
-        btn.classList.toggle('expanded');
-    } else if (instructions) {
-        instructions.classList.toggle('visible');
-        if (btn) {
-            btn.classList.toggle('expanded');
+// Keep matching nodes and their ancestors (expanded); an empty query shows everything again
+function applySearch(query) {
+    if (!savedExpanded) savedExpanded = expanded;
+    if (query === '') {
+        expanded = savedExpanded;
+        savedExpanded = null;
+        searchMask = null;
+        rebuildRows();
+        return;
+    }
+    expanded = savedExpanded.slice();
+    const nodes = profile.data.nodes;
+    const matches = profile.data.names.map(function(name) { return name.toLowerCase().indexOf(query) >= 0; });
+    searchMask = new Uint8Array(nodes.length);
+    // Parents come before their children, so a backward pass carries matches up
+    for (let i = nodes.length - 1; i > 0; i--) {
+        if (matches[nodes[i][N_NAME]]) searchMask[i] = 1;
+        const parent = nodes[i][N_PARENT];
+        if (searchMask[i] && parent > 0) {
+            searchMask[parent] = 1;
+            expanded[parent] = 1;
         }
     }
+    rebuildRows();
 }
 
-// Search functionality
-document.addEventListener('DOMContentLoaded', function() {
-    const searchBox = document.getElementById('searchBox');
-    
-    if (!searchBox) return;
-    
-    searchBox.addEventListener('input', function(e) {
-        const query = e.target.value.toLowerCase();
-        const nodes = document.querySelectorAll('.node');
-        
-        nodes.forEach(node => {
-            const name = node.getAttribute('data-name') || '';
-            
-            if (query === '' || name.includes(query)) {
-                node.style.display = 'block';
-                
-                const children = node.querySelector('.children');
-                if (children && children.children.length > 0) {
-                    children.classList.add('visible');
-                    const btn = node.querySelector('.expand-btn');
-                    if (btn) btn.classList.add('expanded');
-                }
-            } else {
-                node.style.display = 'none';
+// ---------------------------------------------------------------------------
+// Functions tab: flat table and butterfly (callers / callees) per function
+// ---------------------------------------------------------------------------
+
+const FUNCTION_LIMIT = 100;
+let functionTable = null; // per name index: { name, self, total, calls, hottest, callers, callees }
+let functionRowsStale = true; // the table is built when the tab is first shown
+let functionSort = 'self';
+let functionLimit = FUNCTION_LIMIT;
+let selectedNode = -1; // tree node highlighted by showInTree()
+
+// Totals per function name from the call tree; recursive calls only count their outermost total
+// Flat figures come from data.totals; only the caller/callee edges are built here
+function buildFunctionTable() {
+    const data = profile.data;
+    const nodes = data.nodes;
+    const table = data.names.map(function(name, id) {
+        const totals = data.totals && data.totals[id];
+        return { name: name, self: totals ? totals[0] : 0, total: totals ? totals[1] : 0, calls: totals ? totals[2] : 0,
+            hottest: -1, callers: {}, callees: {} };
+    });
+    // Recursive calls add their calls but not their cycles, which the outer call already has
+    const edge = function(map, key, node, recursive) {
+        const entry = map[key] || (map[key] = { cycles: 0, calls: 0, recursive: true });
+        if (!recursive) {
+            entry.cycles += node[N_TOTAL];
+            entry.recursive = false;
+        }
+        entry.calls += node[N_CALLS];
+    };
+    for (let i = 1; i < nodes.length; i++) {
+        const node = nodes[i];
+        const fn = table[node[N_NAME]];
+        let recursive = false;
+        for (let p = node[N_PARENT]; p > 0; p = nodes[p][N_PARENT]) {
+            if (nodes[p][N_NAME] === node[N_NAME]) {
+                recursive = true;
+                break;
             }
+        }
+        if (fn.hottest < 0 || node[N_TOTAL] > nodes[fn.hottest][N_TOTAL]) fn.hottest = i;
+        const parent = node[N_PARENT];
+        edge(fn.callers, parent > 0 ? nodes[parent][N_NAME] : -1, node, recursive);
+        if (parent > 0) edge(table[nodes[parent][N_NAME]].callees, node[N_NAME], node, recursive);
+        // Dropped folded and speedscope profiles have no totals: sum them from the nodes and caller edges
+        if (!data.totals) fn.self += node[N_SELF];
+    }
+    if (!data.totals) {
+        table.forEach(function(fn) {
+            Object.keys(fn.callers).forEach(function(key) {
+                fn.total += fn.callers[key].cycles;
+                fn.calls += fn.callers[key].calls;
+            });
         });
+    }
+    functionTable = table;
+}
+
+function functionValue(fn, key) {
+    if (key === 'avg') return fn.calls > 0 ? fn.total / fn.calls : 0;
+    return fn[key];
+}
+
+function sortFunctions(key) {
+    functionSort = key;
+    renderFunctionTable();
+}
+
+function renderFunctionTable() {
+    if (!functionTable) buildFunctionTable();
+    functionRowsStale = false;
+    const data = profile.data;
+    const counted = data.callCounts !== false;
+    const pct = function(cycles) { return data.totalCycles > 0 ? (cycles / data.totalCycles * 100).toFixed(1) + '%' : '0.0%'; };
+    const ids = [];
+    functionTable.forEach(function(fn, id) {
+        if (fn.hottest >= 0) ids.push(id);
     });
-});
-
-// Click on node name also toggles
-document.querySelectorAll('.node-name').forEach(function(nameEl) {
-    nameEl.addEventListener('click', function(e) {
-        e.stopPropagation();
-        const header = this.parentElement;
-        toggleNode(header);
+    ids.sort(function(a, b) {
+        return functionValue(functionTable[b], functionSort) - functionValue(functionTable[a], functionSort) ||
+            functionTable[b].self - functionTable[a].self;
     });
-});
-\`;
+
+    document.getElementById('functions-rows').innerHTML = ids.slice(0, functionLimit).map(function(id) {
+        const fn = functionTable[id];
+        return '<tr class="function-row" onclick="showButterfly(' + id + ')">' +
+            '<td class="label">' + escapeText(fn.name) + '</td>' +
+            '<td class="num self">' + fn.self.toLocaleString() + '</td>' +
+            '<td class="num self">' + pct(fn.self) + '</td>' +
+            '<td class="num primary">' + fn.total.toLocaleString() + '</td>' +
+            '<td class="num secondary">' + pct(fn.total) + '</td>' +
+            '<td class="num tertiary">' + (counted ? fn.calls.toLocaleString() : '–') + '</td>' +
+            '<td class="num quaternary">' + (counted && fn.calls > 0 ? Math.round(fn.total / fn.calls).toLocaleString() : '–') + '</td></tr>';
+    }).join('');
+    document.getElementById('functions-title').textContent = ids.length > functionLimit
+        ? 'Functions (top ' + functionLimit + ' of ' + ids.length + ')'
+        : 'Functions (' + ids.length + ')';
+    document.getElementById('functions-more').innerHTML = ids.length > functionLimit
+        ? '<a href="#" onclick="showAllFunctions(event)">Show all ' + ids.length + ' functions</a>'
+        : '';
+    document.querySelectorAll('.functions-table th[data-sort]').forEach(function(th) {
+        th.classList.toggle('sorted', th.getAttribute('data-sort') === functionSort);
+    });
+}
+
+function showAllFunctions(e) {
+    e.preventDefault();
+    functionLimit = Infinity;
+    renderFunctionTable();
+}
+
+// Callers above the function, callees below, each with its share of the function's total
+function showButterfly(id) {
+    if (!functionTable) buildFunctionTable();
+    const fn = functionTable[id];
+    const counted = profile.data.callCounts !== false;
+    const share = function(cycles) { return fn.total > 0 ? (cycles / fn.total * 100).toFixed(1) + '%' : '–'; };
+    const link = function(other) {
+        return other < 0 ? '(top level)' : '<a href="#" onclick="showButterfly(' + other + '); return false">' + escapeText(functionTable[other].name) + '</a>';
+    };
+    const edgeRows = function(map) {
+        return Object.keys(map).map(Number)
+            .sort(function(a, b) { return map[b].cycles - map[a].cycles; })
+            .map(function(other) {
+                return '<tr><td class="label">' + link(other) + '</td>' +
+                    '<td class="num tertiary">' + (counted ? map[other].calls.toLocaleString() : '–') + '</td>' +
+                    '<td class="num primary">' + (map[other].recursive ? 'recursive' : map[other].cycles.toLocaleString()) + '</td>' +
+                    '<td class="num secondary">' + (map[other].recursive ? '' : share(map[other].cycles)) + '</td></tr>';
+            }).join('');
+    };
+    const heading = '<tr><th>Function</th><th>Calls</th><th>Cycles</th><th>% of ' + escapeText(fn.name) + '</th></tr>';
+    const callees = edgeRows(fn.callees);
+
+    document.getElementById('butterfly').innerHTML =
+        '<h3>Callers</h3><table class="butterfly-table">' + heading + edgeRows(fn.callers) + '</table>' +
+        '<div class="butterfly-focus"><span class="node-name">' + escapeText(fn.name) + '</span> ' +
+        fn.total.toLocaleString() + ' cycles total, ' + fn.self.toLocaleString() + ' self' +
+        (counted ? ', ' + fn.calls.toLocaleString() + ' calls' : '') +
+        ' <a href="#" onclick="showInTree(' + id + '); return false">Show in call tree</a></div>' +
+        '<h3>Callees</h3><table class="butterfly-table">' + heading +
+        '<tr><td class="label">(self)</td><td></td><td class="num primary">' + fn.self.toLocaleString() + '</td>' +
+        '<td class="num secondary">' + share(fn.self) + '</td></tr>' + callees + '</table>';
+    showTab('functions');
+    document.getElementById('butterfly').scrollIntoView({ block: 'nearest' });
+}
+
+// From a tree row: open that function's butterfly without toggling the row
+function showFunction(e, id) {
+    e.preventDefault();
+    e.stopPropagation();
+    showButterfly(id);
+}
+
+// Open the tree down to the function's hottest call path and scroll to it
+function showInTree(id) {
+    if (!functionTable) buildFunctionTable();
+    const target = functionTable[id].hottest;
+    if (searchMask) {
+        document.getElementById('searchBox').value = '';
+        applySearch('');
     }
+    const nodes = profile.data.nodes;
+    for (let p = nodes[target][N_PARENT]; p > 0; p = nodes[p][N_PARENT]) {
+        expanded[p] = 1;
+    }
+    selectedNode = target;
+    showTab('tree');
+    rebuildRows();
+    const index = rows.findIndex(function(row) { return row.kind === 'node' && row.id === target; });
+    const viewport = document.getElementById('tree-viewport');
+    viewport.scrollTop = Math.max(0, index * ROW_HEIGHT - viewport.clientHeight / 2);
+    renderRows();
 }
 
-function main() {
-    const args = process.argv.slice(2);
+// ---------------------------------------------------------------------------
+// Dropped profiles: our JSON export, speedscope JSON or folded stacks
+// ---------------------------------------------------------------------------
+
+// Profile data from weighted stacks of frame names (formats without call counts)
+function createStackBuilder(name) {
+    const names = [];
+    const nameIndex = new Map();
+    const nameId = function(text) {
+        if (!nameIndex.has(text)) {
+            nameIndex.set(text, names.length);
+            names.push(text);
+        }
+        return nameIndex.get(text);
+    };
+    const newNode = function(text, parent) { return [nameId(text), parent, 0, 0, 0, 0, 0, -1, -1, 0, 0, 0]; };
+    const nodes = [newNode('all', -1)];
+    const childIndex = [new Map()];
+    return {
+        add: function(stack, weight) {
+            let id = 0;
+            nodes[0][N_TOTAL] += weight;
+            stack.forEach(function(frame) {
+                let child = childIndex[id].get(frame);
+                if (child === undefined) {
+                    child = nodes.length;
+                    childIndex[id].set(frame, child);
+                    childIndex.push(new Map());
+                    nodes.push(newNode(frame, id));
+                }
+                id = child;
+                nodes[id][N_TOTAL] += weight;
+            });
+            nodes[id][N_SELF] += weight;
+        },
+        finish: function() {
+            return { format: '6502-profile', version: 1, name: name, totalCycles: nodes[0][N_TOTAL], machine: null,
+                callCounts: false, names: names, nodes: nodes, addrLabels: {}, functions: {} };
+        }
+    };
+}
 
-    if (args.length < 2) {
-        console.log(\`
-Usage: node call-tree-profiler-v5-final.js <trace.json> <symbols.sym> [output.html]
+function fromSpeedscope(json, name) {
+    const frames = json.shared.frames;
+    const builder = createStackBuilder(name);
+    json.profiles.forEach(function(prof) {
+        if (prof.type === 'sampled') {
+            prof.samples.forEach(function(sample, i) {
+                builder.add(sample.map(function(f) { return frames[f].name; }), prof.weights ? prof.weights[i] : 1);
+            });
+        } else if (prof.type === 'evented') {
+            const stack = [];
+            let at = prof.startValue;
+            prof.events.forEach(function(event) {
+                if (event.at > at && stack.length > 0) builder.add(stack.slice(), event.at - at);
+                at = event.at;
+                if (event.type === 'O') stack.push(frames[event.frame].name);
+                else stack.pop();
+            });
+        }
+    });
+    return builder.finish();
+}
+
+function fromFolded(text, name) {
+    const builder = createStackBuilder(name);
+    let count = 0;
+    text.split(/\\r?\\n/).forEach(function(line) {
+        const match = line.match(/^(.*\\S)\\s+(\\d+)\\s*$/);
+        if (!match) return;
+        builder.add(match[1].split(';'), Number(match[2]));
+        count++;
+    });
+    return count > 0 ? builder.finish() : null;
+}
+
+// Dropped 6502 profiles go into the page's markup and onclick handlers, so
+// every node must have the expected shape: indexes in range, numbers as numbers
+function checkProfile(data) {
+    const isIndex = function(value, length) { return Number.isInteger(value) && value >= 0 && value < length; };
+    const isObject = function(value) { return value !== null && typeof value === 'object'; };
+    if (!Array.isArray(data.names) || !Array.isArray(data.nodes) || data.nodes.length === 0 || !Number.isFinite(data.totalCycles) ||
+        !isObject(data.addrLabels) || !isObject(data.functions)) {
+        throw new Error('malformed 6502 profile');
+    }
+    data.nodes.forEach(function(node, i) {
+        const valid = Array.isArray(node) && isIndex(node[N_NAME], data.names.length) &&
+            (i === 0 ? node[N_PARENT] === -1 : isIndex(node[N_PARENT], i)) &&
+            [N_SELF, N_TOTAL, N_CALLS, N_MIN, N_MAX, N_MIN_ADDR, N_MAX_ADDR, N_STOLEN].every(function(field) {
+                return Number.isFinite(node[field]);
+            });
+        if (!valid) throw new Error('malformed node ' + i + ' in 6502 profile');
+    });
+    // Instruction breakdowns: hot lines are [file, line, file index], instructions [mnemonic, operands, cycles, penalty]
+    Object.keys(data.functions).forEach(function(key) {
+        const fn = data.functions[key];
+        const valid = isObject(fn) && Number.isFinite(fn.cycles) && Array.isArray(fn.lines) && Array.isArray(fn.instructions) &&
+            fn.lines.every(function(line) {
+                return Array.isArray(line) && Number.isInteger(line[1]) && Number.isInteger(line[2]);
+            }) &&
+            fn.instructions.every(function(inst) {
+                return Array.isArray(inst) && Number.isFinite(inst[2]) && Number.isFinite(inst[3]);
+            });
+        if (!valid) throw new Error('malformed function ' + key + ' in 6502 profile');
+    });
+    if (data.totals !== undefined && !(Array.isArray(data.totals) && data.totals.every(function(totals) {
+        return totals === null || (Array.isArray(totals) && totals.length === 3 && totals.every(Number.isFinite));
+    }))) {
+        throw new Error('malformed totals in 6502 profile');
+    }
+    return data;
+}
+
+function parseProfile(text, name) {
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        const folded = fromFolded(text, name);
+        if (folded) return folded;
+    }
+    if (json && json.format === '6502-profile') return checkProfile(json);
+    if (json && json.shared && Array.isArray(json.profiles)) return fromSpeedscope(json, name);
+    throw new Error('not a 6502 profile, speedscope or folded-stacks file');
+}
 
-Generate interactive HTML call tree with proper instruction tracking.
+function showDroppedProfile(file) {
+    const reader = new FileReader();
+    const status = document.getElementById('profile-source');
+    reader.onload = function() {
+        try {
+            const data = parseProfile(reader.result, file.name);
+            document.getElementById('searchBox').value = '';
+            document.getElementById('tree-viewport').scrollTop = 0;
+            loadProfile(data);
+            showTab('tree');
+            document.getElementById('butterfly').innerHTML = '<div class="empty-message">Click a function to see its callers and callees</div>';
+            status.textContent = 'Showing ' + file.name + ' (' + data.totalCycles.toLocaleString() + ' cycles) in the Call Tree and Functions tabs; other tabs still show the original trace';
+        } catch (err) {
+            status.textContent = 'Could not load ' + file.name + ': ' + err.message;
+        }
+    };
+    reader.readAsText(file);
+}
+
+function initViewer() {
+    const source = document.getElementById('profile-data');
+    if (!source) return;
+    loadProfile(JSON.parse(source.textContent));
+
+    document.getElementById('tree-viewport').addEventListener('scroll', scheduleRender);
+    window.addEventListener('resize', scheduleRender);
+    document.getElementById('tree-rows').addEventListener('click', function(e) {
+        const header = e.target.closest('.node-header');
+        if (header) toggleRow(Number(header.getAttribute('data-row')));
+    });
+
+    let searchTimer = null;
+    const searchBox = document.getElementById('searchBox');
+    searchBox.addEventListener('input', function() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(function() { applySearch(searchBox.value.toLowerCase()); }, 150);
+    });
+
+    document.addEventListener('dragover', function(e) {
+        e.preventDefault();
+        document.body.classList.add('dragging');
+    });
+    document.addEventListener('dragleave', function(e) {
+        if (e.target === document.documentElement || e.relatedTarget === null) document.body.classList.remove('dragging');
+    });
+    document.addEventListener('drop', function(e) {
+        e.preventDefault();
+        document.body.classList.remove('dragging');
+        if (e.dataTransfer.files.length > 0) showDroppedProfile(e.dataTransfer.files[0]);
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initViewer);
+} else {
+    initViewer();
+}
+
+// Switch between report tabs
+function showTab(id) {
+    document.querySelectorAll('.tab').forEach(function(tab) {
+        tab.classList.toggle('active', tab.getAttribute('data-tab') === id);
+    });
+    document.querySelectorAll('.tab-panel').forEach(function(panel) {
+        panel.classList.toggle('active', panel.id === 'tab-' + id);
+    });
+    // The tree is only measured while visible
+    if (id === 'tree' && profile) renderRows();
+    if (id === 'functions' && profile && functionRowsStale) renderFunctionTable();
+}
+
+// Call tree of one frame, rebuilt from the per-frame self cycles
+let frameData = null;
+
+function showFrame(index) {
+    if (!frameData) {
+        frameData = JSON.parse(document.getElementById('frame-data').textContent);
+    }
+    const frame = frameData.frames[index];
+    const nodes = frameData.nodes;
+    const total = nodes.map(function() { return 0; });
+    Object.keys(frame.self).forEach(function(id) {
+        for (let i = Number(id); i >= 0; i = nodes[i].p) {
+            total[i] += frame.self[id];
+        }
+    });
+    const children = nodes.map(function() { return []; });
+    nodes.forEach(function(node, i) {
+        if (node.p >= 0 && total[i] > 0) children[node.p].push(i);
+    });
+
+    const pct = function(value, of) { return of > 0 ? (value / of * 100).toFixed(1) + '%' : '–'; };
+    const escape = function(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    };
+    const rows = [];
+    const render = function(i, level) {
+        rows.push('<div class="frame-row"><div style="padding-left: ' + (level * 20) + 'px">' + escape(nodes[i].n) + '</div>' +
+            '<div class="stat primary">' + total[i].toLocaleString() + '</div>' +
+            '<div class="stat secondary">' + pct(total[i], frame.c) + '</div>' +
+            '<div class="stat tertiary">' + pct(total[i], frameData.budget) + '</div>' +
+            '<div class="stat self">' + (frame.self[i] || 0).toLocaleString() + '</div></div>');
+        children[i].sort(function(a, b) { return total[b] - total[a]; });
+        children[i].forEach(function(child) { render(child, level + 1); });
+    };
+    render(0, 0);
+
+    const over = !frame.l && frame.c > frameData.budget;
+    document.getElementById('frame-detail').innerHTML =
+        '<h3>Frame ' + index + (frame.l ? ' (before first marker)' : '') + ': ' + frame.c.toLocaleString() + ' cycles, ' +
+        pct(frame.c, frameData.budget) + ' of budget' + (over ? ' — over budget' : '') + '</h3>' +
+        '<div class="frame-row heading"><div>Function</div><div class="stat primary">Total</div>' +
+        '<div class="stat secondary">% of frame</div><div class="stat tertiary">% of budget</div><div class="stat self">Self</div></div>' +
+        rows.join('');
+    document.querySelectorAll('.frame-bar').forEach(function(bar) {
+        bar.classList.toggle('selected', Number(bar.getAttribute('data-frame')) === index);
+    });
+}
+
+// Address grid of one page from the Memory tab's per-address counts
+let memoryData = null;
+
+function showPage(page) {
+    if (!memoryData) {
+        memoryData = JSON.parse(document.getElementById('memory-data').textContent);
+    }
+    const hex = function(value, digits) { return ('000' + value.toString(16).toUpperCase()).slice(-digits); };
+    const escape = function(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    };
+    const entries = memoryData.pages[page] || [];
+    const byOffset = {};
+    let max = 1;
+    entries.forEach(function(entry) {
+        byOffset[entry[0]] = entry;
+        max = Math.max(max, entry[1] + entry[2] + entry[3]);
+    });
+
+    const cells = [];
+    for (let offset = 0; offset < 256; offset++) {
+        const entry = byOffset[offset];
+        const addr = '$' + hex(page, 2) + hex(offset, 2);
+        if (!entry) {
+            cells.push('<div class="mem-cell empty" title="' + addr + '"></div>');
+            continue;
+        }
+        const total = entry[1] + entry[2] + entry[3];
+        const color = entry[3] >= entry[2] && entry[3] >= entry[1] ? '152, 195, 121' : entry[2] >= entry[1] ? '224, 108, 117' : '97, 175, 239';
+        const alpha = (0.2 + 0.8 * Math.log(1 + total) / Math.log(1 + max)).toFixed(2);
+        const title = addr + (entry[4] ? ' ' + entry[4] : '') + ': ' + entry[1].toLocaleString() + ' reads, ' +
+            entry[2].toLocaleString() + ' writes, ' + entry[3].toLocaleString() + ' executes';
+        cells.push('<div class="mem-cell" style="background: rgba(' + color + ', ' + alpha + ')" title="' + escape(title) + '">' +
+            hex(offset, 2) + '</div>');
+    }
+
+    document.getElementById('page-detail').innerHTML =
+        '<h3>Page $' + hex(page, 2) + '00–$' + hex(page, 2) + 'FF: ' + entries.length + ' addresses used</h3>' +
+        '<div class="mem-grid">' + cells.join('') + '</div>';
+    document.querySelectorAll('.mem-grid .mem-cell[data-page]').forEach(function(cell) {
+        cell.classList.toggle('selected', Number(cell.getAttribute('data-page')) === page);
+    });
+}
+
+// Jump from a call-tree node to one of its source lines
+function jumpToSource(e, id) {
+    e.preventDefault();
+    e.stopPropagation();
+    showTab('source');
+    const line = document.getElementById(id);
+    if (!line) return;
+    line.scrollIntoView({ block: 'center' });
+    line.classList.add('flash');
+    setTimeout(function() { line.classList.remove('flash'); }, 1500);
+}
+`;
+    }
+}
 
-Shows:
-  • Hierarchical function tree (parent → child)
-  • ALL instructions mapped to the ACTIVE subroutine
-  • Expand/collapse to explore call hierarchy
-  • Cumulative cycles + percentages
+// Progress line for streamed traces: redrawn in place on a terminal, every 10% otherwise
+function createProgressReporter() {
+    const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    let lastDecile = -1;
+    return (bytesRead, totalBytes) => {
+        const pct = totalBytes > 0 ? Math.floor((bytesRead / totalBytes) * 100) : 100;
+        const line = `  Reading trace: ${pct}% (${mb(bytesRead)} / ${mb(totalBytes)} MB)`;
+        if (process.stderr.isTTY) {
+            process.stderr.write('\r' + line + (bytesRead >= totalBytes ? '\n' : ''));
+        } else if (Math.floor(pct / 10) > lastDecile) {
+            lastDecile = Math.floor(pct / 10);
+            process.stderr.write(line + '\n');
+        }
+    };
+}
+
+const SCRIPT = 'call-tree-profiler-v5.js';
+
+// Options every command accepts, and those shaping the reported call tree
+const COMMON_OPTIONS = { machine: 'string', symbols: 'string', 'log-format': 'string', stream: 'flag', config: 'string', help: 'flag' };
+const TREE_OPTIONS = { timeline: 'flag', include: 'string', exclude: 'string', 'min-percent': 'number', 'out-dir': 'string' };
+
+// SVG formats the export command writes besides EXPORT_FORMATS
+const SVG_FORMATS = {
+    flamegraph: { extension: '-flamegraph.svg', inverted: false },
+    icicle: { extension: '-icicle.svg', inverted: true }
+};
+
+const COMMANDS = {
+    profile: {
+        summary: 'Interactive HTML call tree (the default command)',
+        usage: [
+            'profile <trace.json> <symbols.sym> [output.html]',
+            'profile <trace.json> <symbols.sym> <project-dir> --project'
+        ],
+        description: `Generate interactive HTML call tree with proper instruction tracking:
+hierarchical function tree, all instructions mapped to the active
+subroutine, cumulative cycles and percentages. The command name may be
+left out.`,
+        maxArgs: 3,
+        options: Object.assign({ project: 'flag', format: 'string', 'single-file': 'flag', 'embed-flamegraph': 'flag',
+            debug: 'string', frames: 'optional', 'frame-marker': 'string' },
+            TREE_OPTIONS, COMMON_OPTIONS),
+        run: runProfile
+    },
+    export: {
+        summary: 'Folded stacks, speedscope, pprof or flame graph SVG',
+        usage: ['export <trace.json> <symbols.sym> [output] --format=<fmt>'],
+        description: `Export the call tree for other tools: folded (default), speedscope,
+pprof, or a flamegraph / icicle SVG.`,
+        maxArgs: 3,
+        options: Object.assign({ format: 'string' }, TREE_OPTIONS, COMMON_OPTIONS),
+        run: runExport
+    },
+    diff: {
+        summary: 'Compare two traces, exit 2 on regression',
+        usage: ['diff <base.json> <base.sym> <new.json> <new.sym> [report.html]'],
+        description: `Compare a baseline trace with a new one: per-function and per-call-path
+cycle deltas, new and removed functions, instruction-mix changes and a
+differential flame graph (red = slower, blue = faster). Exits with status 2
+when any function's inclusive cycles grew by more than the threshold.`,
+        maxArgs: 5,
+        options: Object.assign({ threshold: 'number', 'min-cycles': 'number', 'out-dir': 'string' }, COMMON_OPTIONS),
+        run: runDiff
+    },
+    check: {
+        summary: 'Assert cycle budgets, exit 2 on violation',
+        usage: ['check <trace.json> <symbols.sym> <budget.json> [--junit=<report.xml>]'],
+        description: `Check a trace against a performance budget and print a pass/fail table.
+Exits with status 2 when a limit is exceeded. Budget file example:
+
+  { "binary_search": { "maxCyclesPerCall": 400 }, "total": 50000 }
+
+Function limits: maxCyclesPerCall (slowest call), maxAvgCyclesPerCall,
+maxCycles (inclusive), maxSelfCycles, maxCalls; a bare number means
+maxCyclesPerCall. "total" limits the whole trace's cycles.`,
+        maxArgs: 3,
+        options: Object.assign({ junit: 'string' }, COMMON_OPTIONS),
+        run: runCheck
+    },
+    record: {
+        summary: 'Run a program on the built-in 6502 core and write its trace',
+        usage: ['record <program.prg|program.bin> [trace.json] [--entry=<addr>] [--load=<addr>]'],
+        description: `Load a PRG (or a raw binary at --load) into 64K of RAM and run it from
+--entry (default: the load address) as a subroutine until it returns, hits
+a BRK or --max-cycles have passed. Writes the trace the other commands
+read, with exact cycle counts including page-crossing penalties.`,
+        maxArgs: 2,
+        options: { entry: 'string', load: 'string', 'max-cycles': 'number', 'out-dir': 'string', config: 'string', help: 'flag' },
+        run: runRecord
+    },
+    gallery: {
+        summary: 'Rebuild the gallery index.html from project folders',
+        usage: ['gallery [gallery-dir]'],
+        description: `Scan the project folders in gallery-dir (default: the current folder) and
+regenerate its index.html: one card per project with stats (from
+stats.json, or read from the flame graph for older folders), a
+simple/medium/complex badge from call depth and function count, a flame
+graph thumbnail and links to the artifacts that exist. Titles and
+descriptions come from ${GALLERY_CONFIG_FILE} in gallery-dir.`,
+        maxArgs: 1,
+        options: { help: 'flag' },
+        run: runGallery
+    },
+    help: {
+        summary: 'Show help for a command',
+        usage: ['help [command]'],
+        maxArgs: 1,
+        options: {},
+        run: (args) => printUsage(args[0] || null) && EXIT_OK
+    }
+};
+
+const OPTION_HELP = {
+    project: `Treat the third argument as a project folder and write
+calltree.html/.js, <name>-flamegraph.svg, <name>-icicle.svg and stats.json`,
+    format: `Output format: html (profile default), folded (export default),
+speedscope, pprof, json (profile data for the report viewer),
+flamegraph or icicle`,
+    'single-file': `Inline the script into the HTML so the report is one file that
+works from file://, e.g. attached to a ticket or mailed`,
+    'embed-flamegraph': 'Add a Flame Graph tab with the SVG embedded in the page',
+    debug: `ca65 .dbg, KickAssembler -debugdump or .lst listing; adds an
+annotated Source tab with per-line counts and cycles`,
+    frames: `Split the trace into frames of pal (19656), ntsc (17095) or N
+cycles, or the machine's frame length without a value, and add a Frames
+tab; also the frame budget when splitting at a marker`,
+    'frame-marker': `Start each frame at this address (e.g. the VBlank IRQ
+handler), label or B event name instead; the budget is the machine's frame
+unless --frames gives one`,
+    timeline: `Keep one node per invocation instead of merging repeated
+calls with the same call path`,
+    include: 'Only show call paths through these functions (comma-separated, * wildcards)',
+    exclude: 'Leave out these functions and everything they call',
+    'min-percent': 'Hide functions below this percentage of the total cycles',
+    'out-dir': 'Write output files into this folder (created if missing)',
+    threshold: 'Percent growth in a function\'s cycles that counts as a regression (default 5)',
+    'min-cycles': 'Ignore changes smaller than this many cycles (default 1)',
+    junit: 'Also write the results as JUnit XML to this file',
+    entry: 'Address to start at ($xxxx, 0x... or decimal); default the load address',
+    load: `Load address for a raw binary; a .prg's own header is used
+unless this is given`,
+    'max-cycles': `Stop after this many cycles (default ${DEFAULT_MAX_CYCLES.toLocaleString()})`,
+    machine: `Clock and frame length for time figures (default generic,
+1 MHz): ${Object.keys(MACHINES).join(', ')}`,
+    symbols: `Symbol file format: kickass, vice, ld65, ld65dbg, acme, 64tass
+or dasm (detected from the content when omitted)`,
+    'log-format': `Read the trace as an emulator log: vice (monitor chis/trace
+output), mame (trace command) or mesen (trace logger). Detected when the
+trace isn't JSON; JSR/RTS become calls and returns`,
+    stream: `Read the trace incrementally (automatic above 100 MB). Traces may
+be gzip-compressed, a {traceEvents} object, a bare array or JSON-lines`,
+    config: `JSON defaults for any option, keyed by its camelCased name
+(machine, frames, frameMarker, minPercent, threshold, ...);
+6502-profiler.json in the working directory is read when present`,
+    help: 'Show this help'
+};
+
+const VALUE_HINTS = { format: '<fmt>', debug: '<file>', frames: '[=<pal|ntsc|cycles>]', 'frame-marker': '<addr|label|event>',
+    include: '<names>', exclude: '<names>', 'min-percent': '<pct>', 'out-dir': '<dir>', threshold: '<pct>', 'min-cycles': '<n>',
+    junit: '<file>', machine: '<name>', symbols: '<fmt>', 'log-format': '<fmt>', config: '<file>', entry: '<addr>', load: '<addr>', 'max-cycles': '<n>' };
+
+function formatOptionHelp(name) {
+    const hint = VALUE_HINTS[name] || '';
+    const flag = '--' + name + (hint && !hint.startsWith('[') ? '=' + hint : hint);
+    const lines = OPTION_HELP[name].split('\n');
+    if (flag.length <= 12) {
+        return ['  ' + flag.padEnd(13) + lines[0]].concat(lines.slice(1).map(line => ' '.repeat(15) + line)).join('\n');
+    }
+    return ['  ' + flag].concat(lines.map(line => ' '.repeat(15) + line)).join('\n');
+}
+
+// Help for one command, or the command list; always returns true
+function printUsage(commandName) {
+    const command = commandName ? COMMANDS[commandName] : null;
+    if (commandName && !command) {
+        throw new Error(`Unknown command: ${commandName} (expected ${Object.keys(COMMANDS).join(', ')})`);
+    }
+    if (!command) {
+        const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 2;
+        console.log(`
+Usage: node ${SCRIPT} <command> [arguments] [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, entry]) => '  ' + name.padEnd(width) + entry.summary).join('\n')}
+
+Run "node ${SCRIPT} help <command>" for a command's arguments and options.
+
+Exit status: 0 success, 1 error (bad arguments, missing or invalid input),
+2 check failed (diff regression or budget violation).
 
 Examples:
-  node call-tree-profiler-v5-final.js trace.json symbols.js profiler.html
-  node call-tree-profiler-v5-final.js algorithms-flame.json projects/algorithms.sym
-\`);
-        process.exit(1);
+  node ${SCRIPT} trace.json symbols.sym profiler.html
+  node ${SCRIPT} profile algorithms-flame.json projects/algorithms.sym algorithms --project
+  node ${SCRIPT} export trace.json game.sym --format=speedscope --exclude=wait_*
+  node ${SCRIPT} diff before.json game.sym after.json game.sym compare.html
+  node ${SCRIPT} check trace.json game.sym budget.json --junit=budget.xml
+  node ${SCRIPT} record sort.prg sort-trace.json --entry=$0810
+  node ${SCRIPT} gallery .
+`);
+        return true;
     }
+    const options = Object.keys(command.options).filter(name => OPTION_HELP[name]);
+    console.log(`
+Usage: ${command.usage.map(line => 'node ' + SCRIPT + ' ' + line).join('\n       ')}
+${command.description ? '\n' + command.description + '\n' : ''}${options.length > 0 ? '\nOptions:\n' + options.map(formatOptionHelp).join('\n') + '\n' : ''}`);
+    return true;
+}
 
-    const traceFile = args[0];
-    const symFile = args[1];
-    const outputFile = args[2] || 'profiler.html';
+// Output file name, placed in --out-dir when given
+function outputPath(options, filename) {
+    if (!options.outDir || path.isAbsolute(filename)) return filename;
+    fs.mkdirSync(options.outDir, { recursive: true });
+    return path.join(options.outDir, filename);
+}
 
+// Open and analyze a trace, streaming it when large
+async function loadAnalyzedProfiler(traceFile, symFile, options) {
     if (!fs.existsSync(traceFile)) {
-        console.error(\`Error: Trace file not found: \${traceFile}\`);
-        process.exit(1);
+        throw new Error(`Trace file not found: ${traceFile}`);
+    }
+    if (options.debug && !fs.existsSync(options.debug)) {
+        throw new Error(`Debug info file not found: ${options.debug}`);
+    }
+    console.log(`Processing trace: ${traceFile}`);
+    console.log(`Loading symbols: ${symFile}`);
+    const stream = !!options.stream || fs.statSync(traceFile).size > STREAM_THRESHOLD_BYTES;
+    const profiler = new CallTreeProfiler(traceFile, symFile, {
+        timeline: !!options.timeline,
+        symbolFormat: options.symbols || null,
+        logFormat: options.logFormat || null,
+        debugInfo: options.debug || null,
+        stream: stream,
+        frameCycles: options.frames === true ? 'machine' : options.frames || null,
+        frameMarker: options.frameMarker || null,
+        machine: options.machine || null,
+        include: options.include || null,
+        exclude: options.exclude || null,
+        minPercent: options.minPercent || 0
+    });
+    if (profiler.symbolFormat) {
+        console.log(`  ${profiler.symbols.size} symbols (${profiler.symbolFormat})`);
+    }
+    if (stream) {
+        await profiler.analyzeStream(createProgressReporter());
+    } else {
+        profiler.getCallTree();
+    }
+    checkFilters(profiler, options);
+    return profiler;
+}
+
+// An --include that matches nothing would leave an empty report; unmatched --exclude patterns are only suspicious
+function checkFilters(profiler, options) {
+    const unmatched = profiler.unmatchedFilters();
+    const included = splitPatterns(options.include).length;
+    if (included > 0 && unmatched.include.length === included) {
+        throw new Error(`--include=${options.include} matches no function in ${profiler.traceName}`);
     }
+    for (const kind of ['include', 'exclude']) {
+        if (unmatched[kind].length > 0) {
+            console.warn(`Warning: --${kind} pattern(s) match no function: ${unmatched[kind].join(', ')}`);
+        }
+    }
+}
+
+function printAnalysisSummary(profiler) {
+    if (profiler.interruptCycles > 0) {
+        const pct = ((profiler.interruptCycles / profiler.totalCycles) * 100).toFixed(1);
+        console.log(`  Interrupts: ${profiler.interruptCycles.toLocaleString()} cycles (${pct}%) in handlers`);
+    }
+    if (profiler.frames) {
+        const frames = profiler.frames.measuredFrames().length;
+        console.log(`  Frames: ${frames.toLocaleString()}, ${profiler.frames.overruns().length} over the ${profiler.frames.frameCycles.toLocaleString()}-cycle budget`);
+    }
+    const stack = profiler.stack;
+    console.log(`  Stack: peak ${stack.peakBytes()} bytes${stack.fromRegister ? '' : ' (counted)'}, max call depth ${stack.maxDepth}`);
+    if (stack.nearlyFull()) {
+        // Innermost calls of the path; the Stack tab has all of it
+        const path = (stack.peakPath.length > 4 ? '... > ' : '') + stack.peakPath.slice(-4).join(' > ');
+        console.log(`  ⚠ Stack use is within ${STACK_PAGE_BYTES - stack.peakBytes()} bytes of the ${STACK_PAGE_BYTES}-byte page (${path})`);
+    }
+    const diagnosticKinds = Object.keys(profiler.diagnosticCounts);
+    if (diagnosticKinds.length > 0) {
+        console.log('  Call-stack diagnostics: ' + diagnosticKinds
+            .map(kind => `${profiler.diagnosticCounts[kind]} ${kind}`).join(', '));
+    }
+}
+
+/**
+ * profile <trace.json> <symbols.sym> [output.html | project-dir]
+ */
+async function runProfile(args, options) {
+    if (args.length < 2) {
+        printUsage(null);
+        return EXIT_ERROR;
+    }
+    if (options.format && options.format !== 'html') {
+        return runExport(args, options);
+    }
+    const profiler = await loadAnalyzedProfiler(args[0], args[1], options);
+    printAnalysisSummary(profiler);
+    const htmlOptions = { selfContained: !!options.singleFile, flameGraph: !!options.embedFlamegraph };
+    if (options.project) {
+        profiler.saveProject(args[2] ? outputPath(options, args[2]) : options.outDir || '.', null, htmlOptions);
+    } else {
+        profiler.saveHTML(outputPath(options, args[2] || 'profiler.html'), htmlOptions);
+    }
+    return EXIT_OK;
+}
+
+/**
+ * export <trace.json> <symbols.sym> [output] --format=<fmt>
+ */
+async function runExport(args, options) {
+    if (args.length < 2) {
+        printUsage('export');
+        return EXIT_ERROR;
+    }
+    const format = options.format || 'folded';
+    const svg = SVG_FORMATS[format];
+    if (!svg && !EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown format: ${format} (expected ${Object.keys(EXPORT_FORMATS).concat(Object.keys(SVG_FORMATS)).join(', ')})`);
+    }
+    const profiler = await loadAnalyzedProfiler(args[0], args[1], options);
+    printAnalysisSummary(profiler);
+    const outputFile = outputPath(options, args[2] || 'profile' + (svg || EXPORT_FORMATS[format]).extension);
+    if (svg) {
+        const title = profiler.traceName + (svg.inverted ? ' Icicle Graph' : ' Flame Graph');
+        profiler.saveFlameGraph(outputFile, { title: title, inverted: svg.inverted });
+    } else {
+        profiler.saveExport(outputFile, format);
+    }
+    return EXIT_OK;
+}
+
+/**
+ * check <trace.json> <symbols.sym> <budget.json> [--junit=<file>]
+ */
+async function runCheck(args, options) {
+    if (args.length < 3) {
+        printUsage('check');
+        return EXIT_ERROR;
+    }
+    const [traceFile, symFile, budgetFile] = args;
+    const limits = loadBudget(budgetFile);
+    const profiler = await loadAnalyzedProfiler(traceFile, symFile, options);
+    const results = checkBudget(profiler, limits);
+
+    console.log('');
+    console.log(formatBudgetTable(results));
+    if (options.junit) {
+        fs.writeFileSync(options.junit, generateJUnitXML(results, '6502 budget: ' + profiler.traceName));
+        console.log(`\nJUnit report written to ${options.junit}`);
+    }
+    const failed = results.filter(result => result.status === 'fail').length;
+    const skipped = results.filter(result => result.status === 'skipped').length;
+    console.log(`\n${results.length - failed - skipped} passed, ${failed} failed, ${skipped} skipped`);
+    return failed > 0 ? EXIT_FAILED : EXIT_OK;
+}
 
-    console.log(\`Processing trace: \${traceFile}\`);
-    console.log(\`Loading symbols: \${symFile}\`);
+/**
+ * diff <base.json> <base.sym> <new.json> <new.sym> [report.html]
+ * Writes the comparison report and a differential flame graph next to it.
+ */
+async function runDiff(args, options) {
+    if (args.length < 4) {
+        printUsage('diff');
+        return EXIT_ERROR;
+    }
+    const [baseTrace, baseSym, newTrace, newSym] = args;
+    const outputFile = outputPath(options, args[4] || 'compare.html');
+
+    const profilers = [
+        await loadAnalyzedProfiler(baseTrace, baseSym, options),
+        await loadAnalyzedProfiler(newTrace, newSym, options)
+    ];
 
-    const profiler = new CallTreeProfiler(traceFile, symFile);
-    profiler.saveHTML(outputFile);
+    const comparison = compareProfiles(profilers[0], profilers[1], {
+        threshold: options.threshold, minCycles: options.minCycles
+    });
+    const flameFile = outputFile.replace(/\.html?$/, '') + '-flamegraph.svg';
+    fs.writeFileSync(flameFile, generateDiffFlameGraph(comparison));
+    fs.writeFileSync(outputFile, generateCompareHTML(comparison, { flameGraph: path.basename(flameFile) }));
+
+    const delta = comparison.current.totalCycles - comparison.base.totalCycles;
+    console.log(`  Total: ${comparison.base.totalCycles.toLocaleString()} → ${comparison.current.totalCycles.toLocaleString()} cycles (${delta > 0 ? '+' : ''}${delta.toLocaleString()})`);
+    for (const status of ['new', 'removed', 'improved']) {
+        const names = comparison.functions.filter(fn => fn.status === status).map(fn => fn.name);
+        if (names.length > 0) console.log(`  ${status}: ${names.join(', ')}`);
+    }
+    for (const fn of comparison.regressions) {
+        console.log(`  REGRESSED ${fn.name}: ${fn.base.total.toLocaleString()} → ${fn.current.total.toLocaleString()} cycles (${fn.pct === null ? 'new cost' : '+' + fn.pct.toFixed(1) + '%'})`);
+    }
+    console.log(`Comparison written to ${outputFile} and ${flameFile}`);
+    if (comparison.regressions.length > 0) {
+        console.log(`${comparison.regressions.length} function(s) regressed by more than ${comparison.threshold}%`);
+        return EXIT_FAILED;
+    }
+    return EXIT_OK;
+}
+
+/**
+ * record <program.prg|program.bin> [trace.json] [--entry=<addr>] [--load=<addr>]
+ */
+async function runRecord(args, options) {
+    if (args.length < 1) {
+        printUsage('record');
+        return EXIT_ERROR;
+    }
+    const programFile = args[0];
+    if (!fs.existsSync(programFile)) {
+        throw new Error(`Program file not found: ${programFile}`);
+    }
+    const prg = /\.prg$/i.test(programFile);
+    const load = options.load === undefined ? null : parseAddress(options.load);
+    if (!prg && load === null) {
+        throw new Error('A raw binary needs --load=<addr> (only .prg files carry a load address)');
+    }
+    let data = fs.readFileSync(programFile);
+    if (prg && load !== null) {
+        data = data.subarray(2);
+    }
+
+    const outputFile = outputPath(options, args[1] || path.basename(programFile).replace(/\.[^.]*$/, '') + '-trace.json');
+    console.log(`Recording: ${programFile}`);
+    // Events are written in batches so long runs don't build the whole trace in memory
+    const fd = fs.openSync(outputFile, 'w');
+    let batch = [];
+    let written = 0;
+    const flush = () => {
+        if (batch.length === 0) return;
+        fs.writeSync(fd, (written > 0 ? ',\n' : '') + batch.join(',\n'));
+        written += batch.length;
+        batch = [];
+    };
+    let result;
+    try {
+        fs.writeSync(fd, '{"traceEvents":[\n');
+        result = recordProgram(data, {
+            load: load,
+            entry: options.entry === undefined ? null : parseAddress(options.entry),
+            maxCycles: options.maxCycles || DEFAULT_MAX_CYCLES
+        }, event => {
+            batch.push(JSON.stringify(event));
+            if (batch.length >= 10000) flush();
+        });
+        flush();
+        fs.writeSync(fd, '\n]}\n');
+        fs.closeSync(fd);
+    } catch (err) {
+        // Don't leave a truncated trace behind
+        fs.closeSync(fd);
+        fs.unlinkSync(outputFile);
+        throw err;
+    }
+
+    const stopped = { return: 'entry routine returned', brk: 'reached BRK', 'max-cycles': 'cycle limit reached' }[result.stopReason];
+    console.log(`  ${result.instructions.toLocaleString()} instructions, ${result.cycles.toLocaleString()} cycles (${stopped})`);
+    console.log(`✓ Trace saved to: ${outputFile}`);
+    return EXIT_OK;
+}
+
+/**
+ * gallery [gallery-dir]
+ */
+async function runGallery(args) {
+    const dir = args[0] || '.';
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Gallery folder not found: ${dir}`);
+    }
+    const { file, projects } = buildGallery(dir);
+    for (const project of projects) {
+        const artifacts = [project.calltree, project.flameGraph, project.icicle].filter(Boolean);
+        const stats = project.stats ? `${project.stats.functions} functions, depth ${project.stats.maxDepth}` : 'no stats';
+        console.log(`  ${project.name}: ${artifacts.join(', ')} (${stats})`);
+    }
+    console.log(`✓ Gallery with ${projects.length} projects saved to: ${file}`);
+    return EXIT_OK;
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    if (argv.length === 0) {
+        printUsage(null);
+        return EXIT_ERROR;
+    }
+    const { command, args, options } = parseArgs(argv, COMMANDS, 'profile');
+    if (options.help) {
+        printUsage(command === 'profile' && argv[0] !== 'profile' ? null : command);
+        return EXIT_OK;
+    }
+    const config = loadConfig(options.config);
+    return COMMANDS[command].run(args, applyConfig(options, config, COMMANDS[command].options));
 }
 
 if (require.main === module) {
-    main();
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(err => {
+        console.error('Error: ' + err.message);
+        process.exitCode = EXIT_ERROR;
+    });
 }
 
 module.exports = CallTreeProfiler;
@@ -0,0 +1,131 @@
+/**
+ * Performance Budgets
+ * Checks an analyzed trace against limits from a budget file, e.g.
+ *   { "binary_search": { "maxCyclesPerCall": 400 }, "total": 50000 }
+ * and reports each limit as passed, failed or skipped (function never
+ * called), as a text table or JUnit XML for CI.
+ */
+
+const fs = require('fs');
+const { functionTotals } = require('./compare');
+const { escapeHTML } = require('./html');
+
+// Limit name -> how it is measured on the function totals from compare.js
+const FUNCTION_LIMITS = {
+    maxCyclesPerCall: { label: 'slowest call', measure: fn => fn.maxCall },
+    maxAvgCyclesPerCall: { label: 'average call', measure: fn => fn.calls > 0 ? Math.round(fn.total / fn.calls) : 0 },
+    maxCycles: { label: 'inclusive cycles', measure: fn => fn.total },
+    maxSelfCycles: { label: 'self cycles', measure: fn => fn.self },
+    maxCalls: { label: 'calls', measure: fn => fn.calls }
+};
+
+/**
+ * Read and validate a budget file. "total" is the trace's total cycles
+ * (a number, or { "maxCycles": N }); every other key is a function name
+ * mapping to limits, or a number as shorthand for maxCyclesPerCall.
+ */
+function loadBudget(filename) {
+    if (!fs.existsSync(filename)) {
+        throw new Error('Budget file not found: ' + filename);
+    }
+    let budget;
+    try {
+        budget = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (err) {
+        throw new Error('Invalid budget file ' + filename + ': ' + err.message);
+    }
+    if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+        throw new Error('Invalid budget file ' + filename + ': expected a JSON object');
+    }
+
+    const limits = [];
+    for (const [key, value] of Object.entries(budget)) {
+        const spec = typeof value === 'number'
+            ? (key === 'total' ? { maxCycles: value } : { maxCyclesPerCall: value })
+            : value;
+        if (!spec || typeof spec !== 'object') {
+            throw new Error(`Invalid budget for ${key}: expected a number or an object of limits`);
+        }
+        for (const [limit, max] of Object.entries(spec)) {
+            if (key === 'total' ? limit !== 'maxCycles' : !FUNCTION_LIMITS[limit]) {
+                const known = key === 'total' ? 'maxCycles' : Object.keys(FUNCTION_LIMITS).join(', ');
+                throw new Error(`Unknown budget limit ${key}.${limit} (expected ${known})`);
+            }
+            if (typeof max !== 'number' || !(max >= 0)) {
+                throw new Error(`Invalid budget for ${key}.${limit}: ${JSON.stringify(max)}`);
+            }
+            limits.push({ name: key, limit: limit, max: max });
+        }
+    }
+    return limits;
+}
+
+/**
+ * Check limits from loadBudget() against an analyzed profiler. Returns
+ * [{ name, limit, label, max, actual, status: 'pass' | 'fail' | 'skipped' }].
+ */
+function checkBudget(profiler, limits) {
+    const functions = functionTotals(profiler, profiler.getCallTree());
+    return limits.map(entry => {
+        if (entry.name === 'total') {
+            const actual = profiler.totalCycles;
+            return Object.assign({ label: 'total cycles', actual: actual, status: actual <= entry.max ? 'pass' : 'fail' }, entry);
+        }
+        const fn = functions.get(entry.name);
+        const label = FUNCTION_LIMITS[entry.limit].label;
+        if (!fn) {
+            return Object.assign({ label: label, actual: null, status: 'skipped' }, entry);
+        }
+        const actual = FUNCTION_LIMITS[entry.limit].measure(fn);
+        return Object.assign({ label: label, actual: actual, status: actual <= entry.max ? 'pass' : 'fail' }, entry);
+    });
+}
+
+// Fixed-width pass/fail table for the terminal
+function formatBudgetTable(results) {
+    const rows = results.map(result => [
+        result.status.toUpperCase(),
+        result.name === 'total' ? 'total' : result.name,
+        result.label,
+        result.max.toLocaleString(),
+        result.actual === null ? 'not called' : result.actual.toLocaleString()
+    ]);
+    const header = ['Status', 'Function', 'Limit', 'Budget', 'Actual'];
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const line = (row) => row.map((cell, i) => i >= 3 ? cell.padStart(widths[i]) : cell.padEnd(widths[i])).join('  ');
+    return [line(header), widths.map(w => '-'.repeat(w)).join('  ')].concat(rows.map(line)).join('\n');
+}
+
+/**
+ * JUnit XML: one test suite for the trace, one test case per limit.
+ */
+function generateJUnitXML(results, suiteName) {
+    const failures = results.filter(result => result.status === 'fail').length;
+    const skipped = results.filter(result => result.status === 'skipped').length;
+    const cases = results.map(result => {
+        const name = `${result.name} ${result.limit} <= ${result.max}`;
+        let body = '';
+        if (result.status === 'fail') {
+            const message = `${result.label} ${result.actual} exceeds budget ${result.max} by ${result.actual - result.max}`;
+            body = `\n      <failure message="${escapeHTML(message)}" type="budget">${escapeHTML(message)}</failure>\n    `;
+        } else if (result.status === 'skipped') {
+            body = `\n      <skipped message="${escapeHTML(result.name + ' was not called in this trace')}"/>\n    `;
+        }
+        return `    <testcase classname="${escapeHTML(suiteName)}" name="${escapeHTML(name)}">${body}</testcase>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites tests="${results.length}" failures="${failures}" skipped="${skipped}">
+  <testsuite name="${escapeHTML(suiteName)}" tests="${results.length}" failures="${failures}" skipped="${skipped}" errors="0">
+${cases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
+
+module.exports = {
+    FUNCTION_LIMITS,
+    loadBudget,
+    checkBudget,
+    formatBudgetTable,
+    generateJUnitXML
+};
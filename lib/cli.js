@@ -0,0 +1,103 @@
+/**
+ * Command-Line Parsing
+ * Splits argv into a subcommand, positional arguments and --name[=value]
+ * options checked against the command's option list. Options left unset
+ * fall back to the same key, camelCased, in the config file
+ * (--frame-marker -> "frameMarker").
+ */
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1; // bad arguments, missing or invalid input
+const EXIT_FAILED = 2; // diff regression or budget violation
+
+// Option types: 'flag' (no value), 'string', 'number', 'optional' (flag with an optional =value)
+function camelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function optionValue(name, type, value) {
+    if (type === 'flag') {
+        if (value !== null) throw new Error(`--${name} takes no value`);
+        return true;
+    }
+    if (type === 'optional') {
+        return value === null ? true : value;
+    }
+    if (value === null || value === '') {
+        throw new Error(`--${name} needs a value (--${name}=<value>)`);
+    }
+    if (type === 'number') {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`--${name} expects a non-negative number, got ${value}`);
+        }
+        return number;
+    }
+    return value;
+}
+
+/**
+ * commands: { name: { maxArgs, options: { 'out-dir': 'string', ... } } }.
+ * Without a known command name first, defaultCommand is used (the original
+ * "<trace.json> <symbols.sym> [output]" form). Returns
+ * { command, args, options } with option keys in camelCase. Unknown
+ * options and more than maxArgs positional arguments are errors.
+ */
+function parseArgs(argv, commands, defaultCommand) {
+    const explicit = argv.length > 0 && Object.prototype.hasOwnProperty.call(commands, argv[0]);
+    const command = explicit ? argv[0] : defaultCommand;
+    const spec = commands[command].options;
+    const args = [];
+    const options = {};
+
+    for (const arg of explicit ? argv.slice(1) : argv) {
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (/^-[^-]/.test(arg)) {
+            throw new Error(`Unknown option ${arg} for ${command} (options are --name or --name=<value>)`);
+        }
+        if (!arg.startsWith('--')) {
+            args.push(arg);
+            continue;
+        }
+        const eq = arg.indexOf('=');
+        const name = eq < 0 ? arg.substring(2) : arg.substring(2, eq);
+        const type = spec[name];
+        if (!type) {
+            throw new Error(`Unknown option --${name} for ${command}`);
+        }
+        options[camelCase(name)] = optionValue(name, type, eq < 0 ? null : arg.substring(eq + 1));
+    }
+    const maxArgs = commands[command].maxArgs;
+    if (maxArgs !== undefined && args.length > maxArgs) {
+        throw new Error(`Too many arguments for ${command}: ${args.slice(maxArgs).join(' ')}`);
+    }
+    return { command, args, options };
+}
+
+/**
+ * Fill options not given on the command line from the config file, for
+ * the options this command accepts.
+ */
+function applyConfig(options, config, spec) {
+    const merged = Object.assign({}, options);
+    for (const [name, type] of Object.entries(spec)) {
+        const key = camelCase(name);
+        if (merged[key] !== undefined || config[key] === undefined || config[key] === null) continue;
+        if (type === 'number' && typeof config[key] !== 'number') {
+            throw new Error(`Config option ${key} should be a number`);
+        }
+        merged[key] = config[key];
+    }
+    return merged;
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_ERROR,
+    EXIT_FAILED,
+    parseArgs,
+    applyConfig
+};
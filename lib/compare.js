@@ -0,0 +1,321 @@
+/**
+ * Profile Comparison
+ * Matches two analyzed CallTreeProfiler runs (baseline and current) by
+ * function name and by call path, and reports cycle deltas, new and removed
+ * functions, instruction-mix changes and regressions beyond a threshold.
+ */
+
+const { generateFlameGraphSVG } = require('./flamegraph');
+const { formatDuration } = require('./machines');
+const { escapeHTML } = require('./html');
+
+const DEFAULT_THRESHOLD = 5; // percent
+const MAX_PATH_ROWS = 50;
+
+// Call path ("root;main;draw") -> { path, name, total, self, calls }
+function pathTotals(callTree) {
+    const paths = new Map();
+    const visit = (node, path) => {
+        // Timeline trees repeat paths; they are merged here
+        const entry = paths.get(path) || { path: path, name: node.name, total: 0, self: 0, calls: 0 };
+        entry.total += node.totalCycles;
+        entry.self += node.selfCycles;
+        entry.calls += node.callCount;
+        paths.set(path, entry);
+        for (const child of node.children) visit(child, path + ';' + child.name);
+    };
+    visit(callTree, callTree.name);
+    return paths;
+}
+
+/**
+ * Function name -> { name, total, self, calls, maxCall, instructions }.
+ * Inclusive cycles are only counted at the outermost frame of a recursive
+ * function; maxCall is the slowest single call.
+ */
+function functionTotals(profiler, callTree) {
+    const functions = new Map();
+    const onStack = new Map(); // name -> open frames with that name
+    const visit = (node) => {
+        let entry = functions.get(node.name);
+        if (!entry) {
+            const stats = profiler.functionStats.get(node.name);
+            entry = { name: node.name, total: 0, self: 0, calls: 0, maxCall: 0, instructions: stats ? stats.instructions : new Map() };
+            functions.set(node.name, entry);
+        }
+        if (!onStack.get(node.name)) entry.total += node.totalCycles;
+        entry.self += node.selfCycles;
+        entry.calls += node.callCount;
+        entry.maxCall = Math.max(entry.maxCall, node.maxCallCycles);
+        onStack.set(node.name, (onStack.get(node.name) || 0) + 1);
+        for (const child of node.children) visit(child);
+        onStack.set(node.name, onStack.get(node.name) - 1);
+    };
+    for (const child of callTree.children) visit(child);
+    return functions;
+}
+
+function classify(base, current, threshold, minCycles) {
+    if (!base) return 'new';
+    if (!current) return 'removed';
+    const delta = current.total - base.total;
+    const pct = base.total > 0 ? (delta / base.total) * 100 : (delta > 0 ? Infinity : 0);
+    if (pct > threshold && delta >= minCycles) return 'regressed';
+    if (pct < -threshold && -delta >= minCycles) return 'improved';
+    return 'same';
+}
+
+function change(base, current, threshold, minCycles) {
+    const baseTotal = base ? base.total : 0;
+    const currentTotal = current ? current.total : 0;
+    const delta = currentTotal - baseTotal;
+    return {
+        base: base,
+        current: current,
+        delta: delta,
+        pct: baseTotal > 0 ? (delta / baseTotal) * 100 : null,
+        status: classify(base, current, threshold, minCycles)
+    };
+}
+
+// Per-mnemonic count and cycles, baseline vs current, for functions whose mix changed
+function compareInstructionMix(baseFn, currentFn) {
+    const baseMix = baseFn ? baseFn.instructions : new Map();
+    const currentMix = currentFn ? currentFn.instructions : new Map();
+    const mnemonics = new Set([...baseMix.keys(), ...currentMix.keys()]);
+    const rows = [];
+    for (const mnemonic of mnemonics) {
+        const b = baseMix.get(mnemonic) || { count: 0, cycles: 0 };
+        const c = currentMix.get(mnemonic) || { count: 0, cycles: 0 };
+        if (b.count === c.count && b.cycles === c.cycles) continue;
+        rows.push({
+            mnemonic: mnemonic,
+            baseCount: b.count,
+            currentCount: c.count,
+            baseCycles: b.cycles,
+            currentCycles: c.cycles
+        });
+    }
+    return rows.sort((a, b) => Math.abs(b.currentCycles - b.baseCycles) - Math.abs(a.currentCycles - a.baseCycles));
+}
+
+/**
+ * Compare two profilers (analyzed on demand). options: { threshold: percent
+ * growth in a function's inclusive cycles that counts as a regression
+ * (default 5), minCycles: ignore changes smaller than this (default 1) }.
+ */
+function compareProfiles(base, current, options = {}) {
+    const threshold = options.threshold !== undefined && options.threshold !== null ? options.threshold : DEFAULT_THRESHOLD;
+    const minCycles = options.minCycles || 1;
+    const baseTree = base.getCallTree();
+    const currentTree = current.getCallTree();
+
+    const baseFns = functionTotals(base, baseTree);
+    const currentFns = functionTotals(current, currentTree);
+    const byDelta = (a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.name.localeCompare(b.name);
+
+    const functions = Array.from(new Set([...baseFns.keys(), ...currentFns.keys()]))
+        .map(name => Object.assign({ name: name }, change(baseFns.get(name), currentFns.get(name), threshold, minCycles)))
+        .sort(byDelta);
+
+    const basePaths = pathTotals(baseTree);
+    const currentPaths = pathTotals(currentTree);
+    const paths = Array.from(new Set([...basePaths.keys(), ...currentPaths.keys()]))
+        .filter(path => path !== baseTree.name)
+        .map(path => Object.assign({ name: path }, change(basePaths.get(path), currentPaths.get(path), threshold, minCycles)))
+        .filter(entry => entry.delta !== 0 || entry.status !== 'same')
+        .sort(byDelta);
+
+    const instructionMix = functions
+        .map(fn => ({ name: fn.name, rows: compareInstructionMix(baseFns.get(fn.name), currentFns.get(fn.name)) }))
+        .filter(entry => entry.rows.length > 0);
+
+    const baseline = new Map();
+    for (const [path, entry] of basePaths) baseline.set(path, entry.total);
+
+    return {
+        threshold: threshold,
+        minCycles: minCycles,
+        base: { name: base.traceName, totalCycles: base.totalCycles, machine: base.machine },
+        current: { name: current.traceName, totalCycles: current.totalCycles, machine: current.machine },
+        functions: functions,
+        paths: paths,
+        instructionMix: instructionMix,
+        regressions: functions.filter(fn => fn.status === 'regressed'),
+        baseline: baseline,
+        currentTree: currentTree
+    };
+}
+
+// Current call tree coloured by change against the baseline (red slower, blue faster)
+function generateDiffFlameGraph(comparison, options = {}) {
+    return generateFlameGraphSVG(comparison.currentTree, Object.assign({
+        title: 'Differential Flame Graph',
+        baseline: comparison.baseline,
+        machine: comparison.current.machine
+    }, options));
+}
+
+function signed(value) {
+    return (value > 0 ? '+' : '') + value.toLocaleString();
+}
+
+function pctText(pct) {
+    return pct === null ? '–' : (pct > 0 ? '+' : '') + pct.toFixed(1) + '%';
+}
+
+/**
+ * Standalone HTML report. options: { title, flameGraph: file name of the
+ * differential flame graph to embed }.
+ */
+function generateCompareHTML(comparison, options = {}) {
+    const title = options.title || `${comparison.base.name} → ${comparison.current.name}`;
+    const machine = comparison.current.machine;
+    const totalDelta = comparison.current.totalCycles - comparison.base.totalCycles;
+    const totalPct = comparison.base.totalCycles > 0 ? (totalDelta / comparison.base.totalCycles) * 100 : null;
+    const counts = {};
+    for (const fn of comparison.functions) counts[fn.status] = (counts[fn.status] || 0) + 1;
+
+    const functionRows = comparison.functions.map(fn => `<tr class="${fn.status}">
+                <td class="status">${fn.status}</td>
+                <td class="label">${escapeHTML(fn.name)}</td>
+                <td class="num">${fn.base ? fn.base.total.toLocaleString() : '–'}</td>
+                <td class="num">${fn.current ? fn.current.total.toLocaleString() : '–'}</td>
+                <td class="num delta">${signed(fn.delta)}</td>
+                <td class="num delta">${pctText(fn.pct)}</td>
+                <td class="num">${fn.base ? fn.base.calls.toLocaleString() : '–'} → ${fn.current ? fn.current.calls.toLocaleString() : '–'}</td>
+                <td class="num">${fn.base && fn.base.calls ? Math.round(fn.base.total / fn.base.calls).toLocaleString() : '–'} → ${fn.current && fn.current.calls ? Math.round(fn.current.total / fn.current.calls).toLocaleString() : '–'}</td>
+            </tr>`);
+
+    const pathRows = comparison.paths.slice(0, MAX_PATH_ROWS).map(entry => `<tr class="${entry.status}">
+                <td class="status">${entry.status}</td>
+                <td class="label">${escapeHTML(entry.name.split(';').slice(1).join(' → '))}</td>
+                <td class="num">${entry.base ? entry.base.total.toLocaleString() : '–'}</td>
+                <td class="num">${entry.current ? entry.current.total.toLocaleString() : '–'}</td>
+                <td class="num delta">${signed(entry.delta)}</td>
+                <td class="num delta">${pctText(entry.pct)}</td>
+            </tr>`);
+
+    const mixTables = comparison.instructionMix.map(entry => `<div class="report-table">
+            <h3>${escapeHTML(entry.name)}</h3>
+            <table>
+                <thead><tr><th>Instruction</th><th>Count</th><th>Cycles</th><th>Δ cycles</th></tr></thead>
+                <tbody>${entry.rows.map(row => `<tr>
+                    <td class="label">${escapeHTML(row.mnemonic)}</td>
+                    <td class="num">${row.baseCount.toLocaleString()} → ${row.currentCount.toLocaleString()}</td>
+                    <td class="num">${row.baseCycles.toLocaleString()} → ${row.currentCycles.toLocaleString()}</td>
+                    <td class="num delta">${signed(row.currentCycles - row.baseCycles)}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+        </div>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>6502 Profile Comparison: ${escapeHTML(title)}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+            font-size: 13px;
+            background: #1e1e1e;
+            color: #d4d4d4;
+            line-height: 1.5;
+            padding: 20px;
+        }
+        .container { max-width: 1400px; margin: 0 auto; }
+        .header, .report-table {
+            background: #2d2d2d;
+            padding: 20px;
+            border-radius: 8px;
+            margin-bottom: 20px;
+            border: 1px solid #3e3e3e;
+        }
+        h1 { font-size: 24px; color: #61afef; margin-bottom: 10px; }
+        h3 { color: #61afef; margin-bottom: 10px; }
+        .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-top: 15px; }
+        .stat-box { background: #3e3e3e; padding: 15px; border-radius: 4px; border: 1px solid #4e4e4e; }
+        .stat-label { color: #888; font-size: 12px; margin-bottom: 5px; }
+        .stat-value { font-size: 20px; font-weight: bold; color: #98c379; }
+        table { width: 100%; border-collapse: collapse; }
+        th { text-align: left; color: #888; font-weight: normal; border-bottom: 2px solid #3e3e3e; padding: 4px 8px; }
+        td { padding: 3px 8px; border-bottom: 1px solid #333; }
+        td.num { text-align: right; white-space: nowrap; }
+        .regressed .status, .regressed .delta { color: #e06c75; font-weight: bold; }
+        .improved .status, .improved .delta { color: #98c379; }
+        .new .status { color: #e5c07b; }
+        .removed .status { color: #888; }
+        .flame { width: 100%; background: #fff; border-radius: 4px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Profile Comparison</h1>
+            <div>${escapeHTML(comparison.base.name)} (baseline) → ${escapeHTML(comparison.current.name)}</div>
+            <div class="stats">
+                <div class="stat-box">
+                    <div class="stat-label">Baseline Cycles</div>
+                    <div class="stat-value">${comparison.base.totalCycles.toLocaleString()}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Current Cycles</div>
+                    <div class="stat-value">${comparison.current.totalCycles.toLocaleString()}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Change</div>
+                    <div class="stat-value">${signed(totalDelta)} (${pctText(totalPct)})</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Time (${escapeHTML(machine.name)})</div>
+                    <div class="stat-value">${formatDuration(comparison.base.totalCycles, machine)} → ${formatDuration(comparison.current.totalCycles, machine)}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Regressions (&gt; ${comparison.threshold}%)</div>
+                    <div class="stat-value">${comparison.regressions.length}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Improved / New / Removed</div>
+                    <div class="stat-value">${counts.improved || 0} / ${counts.new || 0} / ${counts.removed || 0}</div>
+                </div>
+            </div>
+        </div>
+
+        <div class="report-table">
+            <h3>Functions (inclusive cycles)</h3>
+            <table>
+                <thead><tr><th>Status</th><th>Function</th><th>Baseline</th><th>Current</th><th>Δ cycles</th><th>Δ %</th><th>Calls</th><th>Per call</th></tr></thead>
+                <tbody>${functionRows.join('\n')}</tbody>
+            </table>
+        </div>
+
+        ${options.flameGraph ? `<div class="report-table">
+            <h3>Differential flame graph (current run; red = slower, blue = faster)</h3>
+            <object class="flame" type="image/svg+xml" data="${escapeHTML(options.flameGraph)}"></object>
+        </div>` : ''}
+
+        <div class="report-table">
+            <h3>Call paths${comparison.paths.length > MAX_PATH_ROWS ? ` (largest ${MAX_PATH_ROWS} of ${comparison.paths.length} changes)` : ''}</h3>
+            <table>
+                <thead><tr><th>Status</th><th>Call path</th><th>Baseline</th><th>Current</th><th>Δ cycles</th><th>Δ %</th></tr></thead>
+                <tbody>${pathRows.join('\n')}</tbody>
+            </table>
+        </div>
+
+        ${mixTables.length > 0 ? '<h3>Instruction mix changes</h3>' + mixTables.join('\n') : ''}
+    </div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    compareProfiles,
+    generateDiffFlameGraph,
+    generateCompareHTML,
+    pathTotals,
+    functionTotals
+};
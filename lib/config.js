@@ -0,0 +1,37 @@
+/**
+ * Profiler Config File
+ * Optional JSON file holding defaults for the command-line options, keyed
+ * by camelCased option name (see lib/cli.js), e.g.
+ *   { "machine": "c64-pal", "frames": "pal", "frameMarker": "irq_vblank" }
+ * "machine" may also be { "name", "clockHz" | "clockMHz", "frameCycles" }.
+ * Read from --config=<file>, or 6502-profiler.json in the working directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = '6502-profiler.json';
+
+function loadConfig(filename) {
+    const file = filename || path.join(process.cwd(), DEFAULT_CONFIG_FILE);
+    if (!fs.existsSync(file)) {
+        if (filename) {
+            throw new Error('Config file not found: ' + filename);
+        }
+        return {};
+    }
+    try {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('expected a JSON object');
+        }
+        return config;
+    } catch (err) {
+        throw new Error('Invalid config file ' + file + ': ' + err.message);
+    }
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    loadConfig
+};
@@ -0,0 +1,310 @@
+/**
+ * 6502 CPU Core
+ * Instruction-stepped NMOS 6502: every documented opcode, cycle counts from
+ * lib/opcodes.js plus the indexed page-crossing and taken-branch penalties,
+ * decimal mode and the JMP ($xxFF) page wrap. Memory is a flat 64K array;
+ * override read()/write() to map I/O. Undocumented opcodes are an error.
+ */
+
+const { OPCODES } = require('./opcodes');
+const { hex4 } = require('./symbols');
+
+const FLAG_C = 0x01;
+const FLAG_Z = 0x02;
+const FLAG_I = 0x04;
+const FLAG_D = 0x08;
+const FLAG_B = 0x10;
+const FLAG_U = 0x20; // always reads as set
+const FLAG_V = 0x40;
+const FLAG_N = 0x80;
+
+const VECTORS = { NMI: 0xFFFA, RESET: 0xFFFC, IRQ: 0xFFFE };
+
+const BRANCH_CONDITIONS = {
+    BCC: [FLAG_C, false], BCS: [FLAG_C, true],
+    BNE: [FLAG_Z, false], BEQ: [FLAG_Z, true],
+    BPL: [FLAG_N, false], BMI: [FLAG_N, true],
+    BVC: [FLAG_V, false], BVS: [FLAG_V, true]
+};
+
+class CPU6502 {
+    constructor(memory) {
+        this.memory = memory || new Uint8Array(0x10000);
+        this.a = 0;
+        this.x = 0;
+        this.y = 0;
+        this.sp = 0xFD;
+        this.p = FLAG_I | FLAG_U;
+        this.pc = 0;
+        this.cycles = 0;
+    }
+
+    read(addr) {
+        return this.memory[addr];
+    }
+
+    write(addr, value) {
+        this.memory[addr] = value;
+    }
+
+    read16(addr) {
+        return this.read(addr) | (this.read((addr + 1) & 0xffff) << 8);
+    }
+
+    // Pointer in zero page; the high byte wraps to $00 rather than $0100
+    readPointer(zp) {
+        return this.read(zp & 0xff) | (this.read((zp + 1) & 0xff) << 8);
+    }
+
+    push(value) {
+        this.write(0x100 | this.sp, value);
+        this.sp = (this.sp - 1) & 0xff;
+    }
+
+    pull() {
+        this.sp = (this.sp + 1) & 0xff;
+        return this.read(0x100 | this.sp);
+    }
+
+    push16(value) {
+        this.push(value >> 8);
+        this.push(value & 0xff);
+    }
+
+    pull16() {
+        const lo = this.pull();
+        return lo | (this.pull() << 8);
+    }
+
+    flag(mask, on) {
+        this.p = on ? this.p | mask : this.p & ~mask;
+    }
+
+    setNZ(value) {
+        this.p = (this.p & ~(FLAG_N | FLAG_Z)) | (value & FLAG_N) | (value === 0 ? FLAG_Z : 0);
+        return value;
+    }
+
+    // Load PC from the reset vector
+    reset() {
+        this.sp = 0xFD;
+        this.p = FLAG_I | FLAG_U;
+        this.pc = this.read16(VECTORS.RESET);
+    }
+
+    /**
+     * Take an IRQ or NMI now: push PC and P, jump through the vector.
+     * Returns false when an IRQ is masked by the I flag.
+     */
+    interrupt(kind) {
+        if (kind === 'IRQ' && (this.p & FLAG_I)) return false;
+        this.push16(this.pc);
+        this.push((this.p & ~FLAG_B) | FLAG_U);
+        this.p |= FLAG_I;
+        this.pc = this.read16(VECTORS[kind]);
+        this.cycles += 7;
+        return true;
+    }
+
+    /**
+     * Execute one instruction. Returns { addr, entry, operand, ea, cycles }:
+     * entry from OPCODES, the raw operand byte/word (null for one-byte
+     * instructions) and the effective address (null when none).
+     */
+    step() {
+        const addr = this.pc;
+        const opcode = this.read(addr);
+        const entry = OPCODES[opcode];
+        if (!entry) {
+            throw new Error(`Undocumented opcode $${opcode.toString(16).toUpperCase().padStart(2, '0')} at ${hex4(addr)}`);
+        }
+        const operand = entry.size === 1 ? null
+            : entry.size === 2 ? this.read((addr + 1) & 0xffff) : this.read16((addr + 1) & 0xffff);
+        this.pc = (addr + entry.size) & 0xffff;
+
+        let ea = null;
+        let crossed = false;
+        switch (entry.mode) {
+            case 'zp': ea = operand; break;
+            case 'zpx': ea = (operand + this.x) & 0xff; break;
+            case 'zpy': ea = (operand + this.y) & 0xff; break;
+            case 'abs': ea = operand; break;
+            case 'abx':
+                ea = (operand + this.x) & 0xffff;
+                crossed = (ea & 0xff00) !== (operand & 0xff00);
+                break;
+            case 'aby':
+                ea = (operand + this.y) & 0xffff;
+                crossed = (ea & 0xff00) !== (operand & 0xff00);
+                break;
+            case 'izx': ea = this.readPointer(operand + this.x); break;
+            case 'izy': {
+                const base = this.readPointer(operand);
+                ea = (base + this.y) & 0xffff;
+                crossed = (ea & 0xff00) !== (base & 0xff00);
+                break;
+            }
+            // NMOS bug: the pointer's high byte is read from the same page
+            case 'ind': ea = this.read(operand) | (this.read((operand & 0xff00) | ((operand + 1) & 0xff)) << 8); break;
+            case 'rel': ea = (this.pc + ((operand ^ 0x80) - 0x80)) & 0xffff; break;
+        }
+
+        let cycles = entry.cycles + (crossed && entry.pagePenalty ? 1 : 0);
+        cycles += this.execute(entry, operand, ea);
+        this.cycles += cycles;
+        return { addr: addr, entry: entry, operand: operand, ea: ea, cycles: cycles };
+    }
+
+    // Carry out the instruction; returns extra cycles (taken branches)
+    execute(entry, operand, ea) {
+        const value = () => entry.mode === 'imm' ? operand : this.read(ea);
+        // Shifts and rotates work on A or read-modify-write memory
+        const modify = (fn) => {
+            if (entry.mode === 'acc') {
+                this.a = this.setNZ(fn(this.a));
+            } else {
+                this.write(ea, this.setNZ(fn(this.read(ea))));
+            }
+        };
+
+        switch (entry.mnemonic) {
+            case 'ADC': this.adc(value()); break;
+            case 'SBC': this.sbc(value()); break;
+            case 'AND': this.a = this.setNZ(this.a & value()); break;
+            case 'ORA': this.a = this.setNZ(this.a | value()); break;
+            case 'EOR': this.a = this.setNZ(this.a ^ value()); break;
+            case 'CMP': this.compare(this.a, value()); break;
+            case 'CPX': this.compare(this.x, value()); break;
+            case 'CPY': this.compare(this.y, value()); break;
+            case 'BIT': {
+                const v = value();
+                this.p = (this.p & ~(FLAG_N | FLAG_V | FLAG_Z)) | (v & (FLAG_N | FLAG_V)) | ((this.a & v) === 0 ? FLAG_Z : 0);
+                break;
+            }
+
+            case 'ASL': modify(v => { this.flag(FLAG_C, v & 0x80); return (v << 1) & 0xff; }); break;
+            case 'LSR': modify(v => { this.flag(FLAG_C, v & 0x01); return v >> 1; }); break;
+            case 'ROL': modify(v => { const c = this.p & FLAG_C; this.flag(FLAG_C, v & 0x80); return ((v << 1) | c) & 0xff; }); break;
+            case 'ROR': modify(v => { const c = this.p & FLAG_C; this.flag(FLAG_C, v & 0x01); return (v >> 1) | (c << 7); }); break;
+            case 'INC': this.write(ea, this.setNZ((this.read(ea) + 1) & 0xff)); break;
+            case 'DEC': this.write(ea, this.setNZ((this.read(ea) - 1) & 0xff)); break;
+            case 'INX': this.x = this.setNZ((this.x + 1) & 0xff); break;
+            case 'INY': this.y = this.setNZ((this.y + 1) & 0xff); break;
+            case 'DEX': this.x = this.setNZ((this.x - 1) & 0xff); break;
+            case 'DEY': this.y = this.setNZ((this.y - 1) & 0xff); break;
+
+            case 'LDA': this.a = this.setNZ(value()); break;
+            case 'LDX': this.x = this.setNZ(value()); break;
+            case 'LDY': this.y = this.setNZ(value()); break;
+            case 'STA': this.write(ea, this.a); break;
+            case 'STX': this.write(ea, this.x); break;
+            case 'STY': this.write(ea, this.y); break;
+            case 'TAX': this.x = this.setNZ(this.a); break;
+            case 'TAY': this.y = this.setNZ(this.a); break;
+            case 'TXA': this.a = this.setNZ(this.x); break;
+            case 'TYA': this.a = this.setNZ(this.y); break;
+            case 'TSX': this.x = this.setNZ(this.sp); break;
+            case 'TXS': this.sp = this.x; break;
+
+            case 'PHA': this.push(this.a); break;
+            case 'PHP': this.push(this.p | FLAG_B | FLAG_U); break;
+            case 'PLA': this.a = this.setNZ(this.pull()); break;
+            case 'PLP': this.p = (this.pull() & ~FLAG_B) | FLAG_U; break;
+
+            case 'CLC': this.p &= ~FLAG_C; break;
+            case 'CLD': this.p &= ~FLAG_D; break;
+            case 'CLI': this.p &= ~FLAG_I; break;
+            case 'CLV': this.p &= ~FLAG_V; break;
+            case 'SEC': this.p |= FLAG_C; break;
+            case 'SED': this.p |= FLAG_D; break;
+            case 'SEI': this.p |= FLAG_I; break;
+            case 'NOP': break;
+
+            case 'JMP': this.pc = ea; break;
+            case 'JSR':
+                // Pushes the address of the JSR's last byte
+                this.push16((this.pc - 1) & 0xffff);
+                this.pc = ea;
+                break;
+            case 'RTS': this.pc = (this.pull16() + 1) & 0xffff; break;
+            case 'RTI':
+                this.p = (this.pull() & ~FLAG_B) | FLAG_U;
+                this.pc = this.pull16();
+                break;
+            case 'BRK':
+                // Return address skips the padding byte after BRK
+                this.push16((this.pc + 1) & 0xffff);
+                this.push(this.p | FLAG_B | FLAG_U);
+                this.p |= FLAG_I;
+                this.pc = this.read16(VECTORS.IRQ);
+                break;
+
+            default: {
+                const [mask, set] = BRANCH_CONDITIONS[entry.mnemonic];
+                if (!!(this.p & mask) !== set) return 0;
+                const extra = (ea & 0xff00) !== (this.pc & 0xff00) ? 2 : 1;
+                this.pc = ea;
+                return extra;
+            }
+        }
+        return 0;
+    }
+
+    compare(register, v) {
+        this.flag(FLAG_C, register >= v);
+        this.setNZ((register - v) & 0xff);
+    }
+
+    adc(v) {
+        const carry = this.p & FLAG_C;
+        const binary = this.a + v + carry;
+        if (!(this.p & FLAG_D)) {
+            this.flag(FLAG_V, ~(this.a ^ v) & (this.a ^ binary) & 0x80);
+            this.flag(FLAG_C, binary > 0xff);
+            this.a = this.setNZ(binary & 0xff);
+            return;
+        }
+        // NMOS decimal mode: Z from the binary sum, N and V before the high-digit fix-up
+        let lo = (this.a & 0x0f) + (v & 0x0f) + carry;
+        if (lo > 0x09) lo = ((lo + 0x06) & 0x0f) + 0x10;
+        let sum = (this.a & 0xf0) + (v & 0xf0) + lo;
+        this.flag(FLAG_N, sum & 0x80);
+        this.flag(FLAG_V, ~(this.a ^ v) & (this.a ^ sum) & 0x80);
+        if (sum > 0x9f) sum += 0x60;
+        this.flag(FLAG_C, sum > 0xff);
+        this.flag(FLAG_Z, (binary & 0xff) === 0);
+        this.a = sum & 0xff;
+    }
+
+    sbc(v) {
+        const borrow = (this.p & FLAG_C) ? 0 : 1;
+        const binary = this.a - v - borrow;
+        const result = binary & 0xff;
+        // Flags always come from the binary subtraction
+        this.flag(FLAG_V, (this.a ^ v) & (this.a ^ result) & 0x80);
+        this.flag(FLAG_C, binary >= 0);
+        this.setNZ(result);
+        if (!(this.p & FLAG_D)) {
+            this.a = result;
+            return;
+        }
+        let lo = (this.a & 0x0f) - (v & 0x0f) - borrow;
+        if (lo < 0) lo = ((lo - 0x06) & 0x0f) - 0x10;
+        let diff = (this.a & 0xf0) - (v & 0xf0) + lo;
+        if (diff < 0) diff -= 0x60;
+        this.a = diff & 0xff;
+    }
+}
+
+module.exports = {
+    CPU6502,
+    VECTORS,
+    FLAG_C,
+    FLAG_Z,
+    FLAG_I,
+    FLAG_D,
+    FLAG_B,
+    FLAG_U,
+    FLAG_V,
+    FLAG_N
+};
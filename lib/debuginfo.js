@@ -0,0 +1,163 @@
+/**
+ * Debug Info Loader
+ * Maps instruction addresses back to assembler source lines using ca65/ld65
+ * --dbgfile output, KickAssembler -debugdump files or a .lst listing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDebugRecord } = require('./symbols');
+
+class SourceMap {
+    constructor(format) {
+        this.format = format;
+        this.files = []; // { name, text: string[] | null }
+        this.addrMap = new Map(); // addr -> { file, line }
+    }
+
+    addFile(name, text) {
+        this.files.push({ name: name, text: text });
+        return this.files.length - 1;
+    }
+
+    mapRange(start, end, file, line) {
+        for (let addr = start; addr <= end; addr++) {
+            // First mapping wins: macro bodies should not hide the invoking line
+            if (!this.addrMap.has(addr)) {
+                this.addrMap.set(addr, { file: file, line: line });
+            }
+        }
+    }
+
+    lookup(addr) {
+        return this.addrMap.get(addr) || null;
+    }
+}
+
+function readSource(baseDir, name) {
+    const candidates = [name, path.join(baseDir, name), path.join(baseDir, path.basename(name))];
+    for (const candidate of candidates) {
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+            return fs.readFileSync(candidate, 'utf8').split(/\r?\n/);
+        }
+    }
+    return null;
+}
+
+// ca65/ld65 --dbgfile: line records point at spans, spans at segments
+function parseCa65Debug(content, baseDir) {
+    const map = new SourceMap('ca65');
+    const files = new Map();
+    const segs = new Map();
+    const spans = new Map();
+    const lines = [];
+
+    for (const raw of content.split(/\r?\n/)) {
+        const record = parseDebugRecord(raw.trim());
+        if (!record) continue;
+        const f = record.fields;
+        if (record.kind === 'file') {
+            files.set(f.id, map.addFile(f.name, readSource(baseDir, f.name)));
+        } else if (record.kind === 'seg') {
+            segs.set(f.id, parseInt(f.start, 16));
+        } else if (record.kind === 'span') {
+            spans.set(f.id, { seg: f.seg, start: parseInt(f.start, 10), size: parseInt(f.size, 10) });
+        } else if (record.kind === 'line' && f.span !== undefined) {
+            lines.push(f);
+        }
+    }
+
+    // Plain source lines first, macro expansions (type=2) only fill gaps
+    lines.sort((a, b) => (a.type === '2') - (b.type === '2'));
+    for (const f of lines) {
+        for (const spanId of f.span.split('+')) {
+            const span = spans.get(spanId);
+            if (!span || !segs.has(span.seg) || span.size <= 0) continue;
+            const start = segs.get(span.seg) + span.start;
+            map.mapRange(start, start + span.size - 1, files.get(f.file), parseInt(f.line, 10));
+        }
+    }
+    return map;
+}
+
+// KickAssembler -debugdump (C64 Debugger XML): <Sources> and <Block> entries
+function parseKickAssDebug(content, baseDir) {
+    const map = new SourceMap('kickass');
+    const files = new Map();
+
+    const sources = content.match(/<Sources[^>]*>([\s\S]*?)<\/Sources>/);
+    if (sources) {
+        for (const raw of sources[1].split(/\r?\n/)) {
+            const match = raw.trim().match(/^(\d+),(.*)$/);
+            if (!match) continue;
+            const name = match[2].replace(/^KickAss\.jar:/, '');
+            files.set(match[1], map.addFile(name, readSource(baseDir, name)));
+        }
+    }
+
+    const blockRe = /<Block[^>]*>([\s\S]*?)<\/Block>/g;
+    let block;
+    while ((block = blockRe.exec(content)) !== null) {
+        for (const raw of block[1].split(/\r?\n/)) {
+            const match = raw.trim().match(/^\$([0-9A-Fa-f]+),\$([0-9A-Fa-f]+),(\d+),(\d+)/);
+            if (!match || !files.has(match[3])) continue;
+            map.mapRange(parseInt(match[1], 16), parseInt(match[2], 16), files.get(match[3]), parseInt(match[4], 10));
+        }
+    }
+    return map;
+}
+
+/**
+ * Assembler listing (.lst): any line with an address followed by opcode bytes.
+ * Handles the common ACME/DASM/ca65/64tass layouts:
+ *   "  12  0810 a9 00     lda #0"   "000810r 1  A9 00   lda #0"   ".0810  a9 00  lda #$00"
+ * The listing itself is the source shown in the report.
+ */
+function parseListing(content, name) {
+    const map = new SourceMap('listing');
+    const text = content.split(/\r?\n/);
+    const file = map.addFile(name, text);
+    const re = /^\s*(?:\d+\s+)?\.?([0-9A-Fa-f]{4,6})r?\s+(?:\d+\s{2,})?((?:[0-9A-Fa-f]{2}\s){1,3})/;
+
+    text.forEach((raw, index) => {
+        const match = raw.match(re);
+        if (!match) return;
+        const addr = parseInt(match[1], 16) & 0xffff;
+        const size = match[2].trim().split(/\s+/).length;
+        map.mapRange(addr, addr + size - 1, file, index + 1);
+    });
+    return map;
+}
+
+function detectDebugFormat(content) {
+    if (/<C64debugger/.test(content)) return 'kickass';
+    if (/^version\s+major=/m.test(content) || /^line\s+id=/m.test(content)) return 'ca65';
+    return 'listing';
+}
+
+/**
+ * Load a debug info or listing file into a SourceMap. Source files referenced
+ * by ca65/KickAssembler debug info are read relative to the debug file when
+ * they exist; otherwise lines are reported without their text.
+ */
+function loadDebugInfo(filename, options = {}) {
+    const content = fs.readFileSync(filename, 'utf8');
+    const baseDir = path.dirname(filename);
+    const format = options.format || detectDebugFormat(content);
+    switch (format) {
+        case 'ca65': return parseCa65Debug(content, baseDir);
+        case 'kickass': return parseKickAssDebug(content, baseDir);
+        case 'listing': return parseListing(content, path.basename(filename));
+        default:
+            throw new Error('Unknown debug info format: ' + format + ' (expected ca65, kickass or listing)');
+    }
+}
+
+module.exports = {
+    SourceMap,
+    loadDebugInfo,
+    detectDebugFormat,
+    parseCa65Debug,
+    parseKickAssDebug,
+    parseListing
+};
@@ -0,0 +1,313 @@
+/**
+ * Emulator Log Importers
+ * Converts instruction trace logs from VICE (chis / trace monitor output),
+ * MAME (trace command) and Mesen (trace logger) into the profiler's trace
+ * events: an X event per instruction, B/E events synthesised from JSR/RTS
+ * and a B "IRQ" event where execution jumps somewhere the previous
+ * instruction could not have gone (an interrupt was taken). The stack
+ * pointer (VICE, Mesen) and effective addresses (Mesen) the log prints are
+ * passed on as args.sp and args.ea, and X as args.x for (zp,X) instructions,
+ * whose pointer address it gives.
+ *
+ * Cycles come from the log's cycle counter when it has one (exact: page
+ * crossings and stalls such as badlines or DMA included) and from the
+ * opcode table otherwise, with taken branches told apart by the next address.
+ * Without a counter, the +1 of a page-crossing indexed read (abs,X, abs,Y,
+ * (zp),Y) needs the effective address or the X/Y register from the log;
+ * MAME's trace prints neither by default, so those reads are timed without
+ * it and counted in untimed.
+ */
+
+const { OPCODES, BRANCH_MNEMONICS, formatInstruction, lookupInstruction } = require('./opcodes');
+const { hex4, hex2 } = require('./symbols');
+
+const CONTROL_FLOW = new Set([...BRANCH_MNEMONICS, 'JMP', 'JSR', 'RTS', 'RTI', 'BRK']);
+const INTERRUPT_ENTRY_CYCLES = 7;
+const MAX_DELTA_CYCLES = 1000; // longer between two lines means tracing was paused
+const DETECT_LINES = 200; // lines looked at when guessing the format
+// A label where the operand's address would be: "JSR init", "LDA (ptr),Y"
+const SYMBOLIC_OPERAND = /(?<=^[A-Z]{3} [#(]?)[A-Za-z_.@][\w.@]*(?:[+-]\d+)?/;
+
+function parseBytes(text) {
+    const bytes = text.trim().split(/\s+/).filter(Boolean).map(byte => parseInt(byte.replace('$', ''), 16));
+    return bytes.length > 0 ? bytes : null;
+}
+
+// Register value from a log's register dump, or null
+function parseRegister(text, pattern) {
+    const match = text.match(pattern);
+    return match ? parseInt(match[1], 16) : null;
+}
+
+// .C:0810  A2 05       LDX #$05       - A:00 X:00 Y:00 SP:f3 ..-..I..   20435124
+function parseViceLine(line) {
+    const match = line.match(/^\s*\.?C:([0-9A-Fa-f]{4})\s+((?:[0-9A-Fa-f]{2} )+)\s*(\S.*)$/);
+    if (!match) return null;
+    const cycle = match[3].match(/\s(\d+)\s*$/);
+    return {
+        addr: parseInt(match[1], 16),
+        bytes: parseBytes(match[2]),
+        text: match[3].split(/\s{2,}|\s-\s/)[0],
+        cycle: cycle ? Number(cycle[1]) : null,
+        ea: null,
+        sp: parseRegister(match[3], /\bSP:([0-9A-Fa-f]{2})\b/),
+        x: parseRegister(match[3], /\bX:([0-9A-Fa-f]{2})\b/),
+        y: parseRegister(match[3], /\bY:([0-9A-Fa-f]{2})\b/)
+    };
+}
+
+// 0810: ldx #$05   (anything a tracelog expression printed may come first)
+function parseMameLine(line) {
+    const match = line.match(/^(?:.*\s)?([0-9A-Fa-f]{4}):\s+([A-Za-z]{3}\b.*?)\s*$/);
+    if (!match) return null;
+    return { addr: parseInt(match[1], 16), bytes: null, text: match[2], cycle: null, ea: null, sp: null, x: null, y: null };
+}
+
+// Mesen 2: 8000  LDA $2002 = $00          A:00 X:00 Y:00 S:FD P:nvUbdIzc V:0 H:27 Fr:0 Cycle:8
+// Mesen 1: 8000 $AD $02 $20 LDA $2002 = $00  A:00 X:00 Y:00 P:24 SP:FD CYC:27 SL:0 CPU Cycle:8
+function parseMesenLine(line) {
+    const match = line.match(/^\s*\$?([0-9A-Fa-f]{4})[\s:]+((?:\$?[0-9A-Fa-f]{2} )*)\s*([A-Za-z]{3}\b.*?)\s+A:[0-9A-Fa-f]{2}\s/);
+    if (!match) return null;
+    // "CYC:" is the PPU dot, not the CPU cycle
+    const cycle = line.match(/\b(?:CPU )?Cycle:\s*(\d+)/);
+    // Effective address of indexed/indirect operands: "[$0345]" (Mesen 2) or "@ $0345" (Mesen 1)
+    const ea = match[3].match(/(?:\[|@\s*)\$([0-9A-Fa-f]{4})\]?/);
+    return {
+        addr: parseInt(match[1], 16),
+        bytes: parseBytes(match[2]),
+        text: match[3],
+        cycle: cycle ? Number(cycle[1]) : null,
+        ea: ea ? parseInt(ea[1], 16) : null,
+        sp: parseRegister(line, /\bSP?:([0-9A-Fa-f]{2})\b/),
+        x: parseRegister(line, /\bX:([0-9A-Fa-f]{2})\b/),
+        y: parseRegister(line, /\bY:([0-9A-Fa-f]{2})\b/)
+    };
+}
+
+const LOG_FORMATS = {
+    vice: { name: 'VICE monitor log', parse: parseViceLine },
+    mesen: { name: 'Mesen trace log', parse: parseMesenLine },
+    mame: { name: 'MAME trace log', parse: parseMameLine }
+};
+
+/**
+ * Format of a log from its first lines: the parser that understands the
+ * most of them. Returns a LOG_FORMATS key, or null when none does.
+ */
+function detectLogFormat(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, DETECT_LINES);
+    let best = null;
+    let bestCount = 0;
+    for (const [format, spec] of Object.entries(LOG_FORMATS)) {
+        const count = lines.filter(line => spec.parse(line)).length;
+        if (count > bestCount) {
+            best = format;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// Disassembly without emulator annotations: "LDA $2002 = $00" -> "LDA $2002"
+function cleanText(text) {
+    return text
+        .replace(/\s*\[[^\]]*\]/g, '')
+        .replace(/\s*(?:=|@).*$/, '')
+        .trim()
+        .replace(/^([A-Za-z]{3})/, mnemonic => mnemonic.toUpperCase())
+        .replace(/(,\s*)([xy])\b/g, (all, comma, index) => comma + index.toUpperCase())
+        .replace(/\$([0-9a-f]+)/g, (all, digits) => '$' + digits.toUpperCase())
+        .replace(/^([A-Z]{3}) a$/, '$1 A');
+}
+
+/**
+ * Opcode entry, canonical text, operand and jump/branch target of a logged
+ * instruction. Raw bytes are decoded when the log has them, so labels in
+ * the disassembly don't matter.
+ */
+function decodeInstruction(insn) {
+    if (insn.bytes) {
+        const entry = OPCODES[insn.bytes[0]];
+        if (entry && insn.bytes.length >= entry.size) {
+            const operand = entry.size === 1 ? null : entry.size === 2 ? insn.bytes[1] : insn.bytes[1] | (insn.bytes[2] << 8);
+            const target = entry.mode === 'abs' ? operand
+                : entry.mode === 'rel' ? (insn.addr + 2 + ((operand ^ 0x80) - 0x80)) & 0xffff : null;
+            return { entry: entry, text: formatInstruction(entry, operand, insn.addr), operand: operand, target: target };
+        }
+    }
+    const text = cleanText(insn.text);
+    // Labels are timed as the absolute form, else zero page
+    const entry = lookupInstruction(text) ||
+        lookupInstruction(text.replace(SYMBOLIC_OPERAND, '$FFFF')) ||
+        lookupInstruction(text.replace(SYMBOLIC_OPERAND, '$FF'));
+    const target = text.match(/^[A-Z]{3} \$([0-9A-F]{4})$/);
+    const operand = text.match(/\$([0-9A-F]{2,4})\b/);
+    return { entry: entry, text: text, operand: operand ? parseInt(operand[1], 16) : null, target: target ? parseInt(target[1], 16) : null };
+}
+
+/**
+ * Line-by-line converter with the same write()/end() interface as the
+ * JSON TraceEventParser. An instruction is emitted once the next one is
+ * seen, since its timing and any interrupt show in the next line.
+ */
+class LogConverter {
+    constructor(format, onEvent) {
+        if (!LOG_FORMATS[format]) {
+            throw new Error(`Unknown log format: ${format} (expected ${Object.keys(LOG_FORMATS).join(', ')})`);
+        }
+        this.format = format;
+        this.parse = LOG_FORMATS[format].parse;
+        this.onEvent = onEvent;
+        this.partial = '';
+        this.pending = null;
+        this.ts = 0;
+        this.open = []; // B events from JSRs still awaiting their RTS
+        this.eventCount = 0;
+        this.skippedLines = 0; // lines that aren't instructions (headers, register dumps, ...)
+        this.untimed = 0; // instructions whose cycles couldn't be determined exactly
+    }
+
+    write(chunk) {
+        const lines = (this.partial + chunk).split('\n');
+        this.partial = lines.pop();
+        for (const line of lines) {
+            this.line(line);
+        }
+    }
+
+    end() {
+        if (this.partial !== '') {
+            this.line(this.partial);
+            this.partial = '';
+        }
+        if (this.pending) {
+            this.emitInstruction(this.pending, null);
+            this.pending = null;
+        }
+        if (this.eventCount === 0 && this.skippedLines > 0) {
+            throw new Error(`No instructions found in ${this.skippedLines} lines read as a ${LOG_FORMATS[this.format].name} (wrong --log-format?)`);
+        }
+    }
+
+    line(text) {
+        const parsed = text.trim() === '' ? null : this.parse(text.replace(/\r$/, ''));
+        if (!parsed) {
+            if (text.trim() !== '') this.skippedLines++;
+            return;
+        }
+        const insn = Object.assign(parsed, decodeInstruction(parsed));
+        if (this.pending) {
+            this.emitInstruction(this.pending, insn);
+        }
+        this.pending = insn;
+    }
+
+    emit(event) {
+        this.eventCount++;
+        this.onEvent(event);
+    }
+
+    // Addresses execution can continue at without an interrupt, or null when unknown (RTS, RTI, JMP ($xxxx))
+    nextAddresses(insn) {
+        const fallThrough = (insn.addr + insn.entry.size) & 0xffff;
+        const mnemonic = insn.entry.mnemonic;
+        if (!CONTROL_FLOW.has(mnemonic)) return [fallThrough];
+        if (insn.target === null) return null;
+        if (insn.entry.mode === 'rel') return [fallThrough, insn.target];
+        if (mnemonic === 'JSR' || mnemonic === 'JMP') return [insn.target];
+        return null;
+    }
+
+    emitInstruction(insn, next) {
+        const expected = insn.entry && next ? this.nextAddresses(insn) : null;
+        const interrupted = expected !== null && !expected.includes(next.addr);
+        const cycles = this.instructionCycles(insn, next, interrupted);
+        const mnemonic = insn.entry ? insn.entry.mnemonic : insn.text.split(' ')[0];
+
+        const args = { addr: hex4(insn.addr), cycles: cycles };
+        if (insn.ea !== null) {
+            args.ea = hex4(insn.ea);
+        }
+        if (insn.sp !== null) {
+            args.sp = hex2(insn.sp);
+        }
+        if (insn.x !== null && insn.entry && insn.entry.mode === 'izx') {
+            args.x = hex2(insn.x);
+        }
+        this.emit({ name: insn.text, cat: 'instruction', ph: 'X', ts: this.ts, dur: cycles, args: args });
+        this.ts += cycles;
+
+        if (mnemonic === 'JSR') {
+            const operand = insn.text.substring(4).trim();
+            this.open.push(insn.target !== null ? hex4(insn.target) : operand);
+            this.emit({ name: this.open[this.open.length - 1], cat: 'subroutine', ph: 'B', ts: this.ts });
+        } else if (mnemonic === 'RTS' && this.open.length > 0) {
+            this.emit({ name: this.open.pop(), cat: 'subroutine', ph: 'E', ts: this.ts });
+        }
+        if (interrupted) {
+            this.emit({ name: 'IRQ', cat: 'interrupt', ph: 'B', ts: this.ts });
+        }
+    }
+
+    instructionCycles(insn, next, interrupted) {
+        const base = insn.entry ? insn.entry.cycles : null;
+        // Cycle counter: the difference to the next line, less an interrupt's entry sequence
+        if (insn.cycle !== null && next && next.cycle !== null) {
+            let delta = next.cycle - insn.cycle;
+            if (interrupted && delta - INTERRUPT_ENTRY_CYCLES >= (base || 1)) {
+                delta -= INTERRUPT_ENTRY_CYCLES;
+            }
+            // Gaps (tracing paused) and counter resets fall back to the table
+            if (delta > 0 && delta < MAX_DELTA_CYCLES) {
+                return delta;
+            }
+        }
+        if (base === null) {
+            this.untimed++;
+            return 0;
+        }
+        let cycles = base;
+        if (insn.entry.mode === 'rel' && next && next.addr === insn.target && !interrupted) {
+            cycles += ((insn.addr + 2) & 0xff00) !== (insn.target & 0xff00) ? 2 : 1;
+        }
+        if (insn.entry.pagePenalty) {
+            const crossed = this.pageCrossed(insn);
+            if (crossed === null) this.untimed++;
+            else if (crossed) cycles++;
+        }
+        return cycles;
+    }
+
+    // Whether an indexed read crossed a page, or null when the log doesn't say
+    pageCrossed(insn) {
+        const mode = insn.entry.mode;
+        if (mode === 'izy') {
+            // Only the pointer plus Y is known, so the pointer comes from Y
+            if (insn.ea === null || insn.y === null) return null;
+            return (insn.ea & 0xff00) !== (((insn.ea - insn.y) & 0xffff) & 0xff00);
+        }
+        if (insn.operand === null) return null;
+        const index = mode === 'abx' ? insn.x : insn.y;
+        const ea = insn.ea !== null ? insn.ea : index !== null ? (insn.operand + index) & 0xffff : null;
+        return ea === null ? null : (ea & 0xff00) !== (insn.operand & 0xff00);
+    }
+}
+
+/**
+ * Convert a whole log held in memory. Returns the events.
+ */
+function convertLog(text, format) {
+    const events = [];
+    const converter = new LogConverter(format || detectLogFormat(text), event => events.push(event));
+    converter.write(text);
+    converter.end();
+    return events;
+}
+
+module.exports = {
+    LOG_FORMATS,
+    detectLogFormat,
+    decodeInstruction,
+    LogConverter,
+    convertLog
+};
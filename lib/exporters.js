@@ -0,0 +1,229 @@
+/**
+ * Profile Exporters
+ * Converts a CallTreeProfiler call tree into formats other tools read:
+ * Brendan Gregg folded stacks, speedscope JSON and pprof protobuf.
+ * All formats are weighted by 6502 cycles.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Walk every node below the root with its call path (root excluded).
+ */
+function walkStacks(callTree, visit) {
+    const recurse = (node, stack) => {
+        for (const child of node.children) {
+            const childStack = stack.concat(child.name);
+            visit(child, childStack);
+            recurse(child, childStack);
+        }
+    };
+    // Cycles spent outside any subroutine are reported as their own frame
+    visit(callTree, [callTree.name]);
+    recurse(callTree, []);
+}
+
+// ---------------------------------------------------------------------------
+// Folded stacks: "main;init;loop 123"
+// ---------------------------------------------------------------------------
+
+function exportFolded(callTree) {
+    const lines = new Map();
+    walkStacks(callTree, (node, stack) => {
+        if (node.selfCycles <= 0) return;
+        const key = stack.map(name => name.replace(/[;\s]/g, '_')).join(';');
+        lines.set(key, (lines.get(key) || 0) + node.selfCycles);
+    });
+    return Array.from(lines.entries())
+        .map(([stack, cycles]) => stack + ' ' + cycles)
+        .join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// speedscope: https://www.speedscope.app/file-format-schema.json
+// ---------------------------------------------------------------------------
+
+function exportSpeedscope(callTree, options = {}) {
+    const frames = [];
+    const frameIndex = new Map();
+    const samples = [];
+    const weights = [];
+
+    const frameFor = (name) => {
+        if (!frameIndex.has(name)) {
+            frameIndex.set(name, frames.length);
+            frames.push({ name: name });
+        }
+        return frameIndex.get(name);
+    };
+
+    walkStacks(callTree, (node, stack) => {
+        if (node.selfCycles <= 0) return;
+        samples.push(stack.map(frameFor));
+        weights.push(node.selfCycles);
+    });
+
+    const name = options.name || '6502 profile';
+    return {
+        $schema: 'https://www.speedscope.app/file-format-schema.json',
+        shared: { frames: frames },
+        profiles: [{
+            type: 'sampled',
+            name: name,
+            unit: 'none',
+            startValue: 0,
+            endValue: callTree.totalCycles,
+            samples: samples,
+            weights: weights
+        }],
+        name: name,
+        activeProfileIndex: 0,
+        exporter: 'call-tree-profiler-v5'
+    };
+}
+
+// ---------------------------------------------------------------------------
+// pprof: github.com/google/pprof/blob/main/proto/profile.proto
+// ---------------------------------------------------------------------------
+
+/**
+ * Minimal protobuf writer covering the wire types profile.proto uses.
+ * Numbers are kept as JS doubles, which is exact for the 53-bit values
+ * a 6502 trace can produce.
+ */
+class ProtoWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    varint(value) {
+        let v = value;
+        while (v >= 0x80) {
+            this.bytes.push((v % 0x80) | 0x80);
+            v = Math.floor(v / 0x80);
+        }
+        this.bytes.push(v);
+        return this;
+    }
+
+    tag(field, wireType) {
+        return this.varint(field * 8 + wireType);
+    }
+
+    uint(field, value) {
+        if (!value) return this; // proto3 default values are omitted
+        return this.tag(field, 0).varint(value);
+    }
+
+    bytesField(field, data) {
+        this.tag(field, 2).varint(data.length);
+        for (const b of data) this.bytes.push(b);
+        return this;
+    }
+
+    string(field, text) {
+        return this.bytesField(field, Buffer.from(text, 'utf8'));
+    }
+
+    message(field, writer) {
+        return this.bytesField(field, writer.bytes);
+    }
+
+    packed(field, values) {
+        const inner = new ProtoWriter();
+        for (const v of values) inner.varint(v);
+        return this.bytesField(field, inner.bytes);
+    }
+
+    toBuffer() {
+        return Buffer.from(this.bytes);
+    }
+}
+
+// options.machine adds a second sample value: wall-clock nanoseconds at its clock
+function exportPprof(callTree, options = {}) {
+    const strings = [''];
+    const stringIndex = new Map([['', 0]]);
+    const str = (text) => {
+        if (!stringIndex.has(text)) {
+            stringIndex.set(text, strings.length);
+            strings.push(text);
+        }
+        return stringIndex.get(text);
+    };
+
+    // One function + location per distinct name; the location address is the
+    // lowest instruction address seen for that name, when known
+    const functionIds = new Map();
+    const addresses = new Map();
+    walkStacks(callTree, (node, stack) => {
+        const name = stack[stack.length - 1];
+        if (!functionIds.has(name)) {
+            functionIds.set(name, functionIds.size + 1);
+        }
+        if (node.minAddr !== Infinity) {
+            addresses.set(name, Math.min(addresses.has(name) ? addresses.get(name) : Infinity, node.minAddr));
+        }
+    });
+
+    const profile = new ProtoWriter();
+    const valueType = (type, unit) => new ProtoWriter().uint(1, str(type)).uint(2, str(unit));
+
+    const clockHz = options.machine ? options.machine.clockHz : null;
+    profile.message(1, valueType('cycles', 'count'));
+    if (clockHz) {
+        profile.message(1, valueType('cpu', 'nanoseconds'));
+    }
+
+    walkStacks(callTree, (node, stack) => {
+        if (node.selfCycles <= 0) return;
+        // pprof expects the leaf first
+        const locations = stack.slice().reverse().map(name => functionIds.get(name));
+        const sample = new ProtoWriter()
+            .packed(1, locations)
+            .packed(2, clockHz ? [node.selfCycles, Math.round(node.selfCycles * 1e9 / clockHz)] : [node.selfCycles]);
+        profile.message(2, sample);
+    });
+
+    for (const [name, id] of functionIds) {
+        const line = new ProtoWriter().uint(1, id);
+        const location = new ProtoWriter()
+            .uint(1, id)
+            .uint(3, addresses.has(name) ? addresses.get(name) : 0)
+            .message(4, line);
+        profile.message(4, location);
+    }
+
+    for (const [name, id] of functionIds) {
+        const fn = new ProtoWriter()
+            .uint(1, id)
+            .uint(2, str(name))
+            .uint(3, str(name))
+            .uint(4, str(options.filename || ''));
+        profile.message(5, fn);
+    }
+
+    // Interned strings must be complete before the table is written
+    const periodType = valueType('cycles', 'count');
+    for (const text of strings) {
+        profile.string(6, text);
+    }
+    profile.message(11, periodType);
+    profile.uint(12, 1);
+
+    return zlib.gzipSync(profile.toBuffer());
+}
+
+const FORMATS = {
+    folded: { extension: '.folded', generate: exportFolded },
+    speedscope: { extension: '.speedscope.json', generate: (tree, opts) => JSON.stringify(exportSpeedscope(tree, opts)) },
+    pprof: { extension: '.pb.gz', generate: exportPprof }
+};
+
+module.exports = {
+    exportFolded,
+    exportSpeedscope,
+    exportPprof,
+    ProtoWriter,
+    FORMATS
+};
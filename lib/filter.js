@@ -0,0 +1,103 @@
+/**
+ * Call Tree Filters
+ * Narrows a call tree for reports and exports: include keeps only the call
+ * paths through matching functions, exclude drops matching functions with
+ * everything they call, and minPercent hides nodes below that share of the
+ * trace. Patterns are function names with * wildcards, comma-separated.
+ * Hidden nodes' cycles stay in their parent's total; exporters, which weight
+ * stacks by self cycles, can ask for them to be kept as the parent's self
+ * time instead (keepPrunedCycles) so the stacks still add up to the trace.
+ */
+
+function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "name,prefix_*" (or an array of patterns) as a list of patterns
+function splitPatterns(spec) {
+    if (!spec) return [];
+    return (Array.isArray(spec) ? spec : String(spec).split(','))
+        .map(pattern => pattern.trim())
+        .filter(pattern => pattern.length > 0);
+}
+
+function patternRegExp(pattern) {
+    return new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$');
+}
+
+// Matcher for "name,prefix_*" (or an array of patterns); null when empty
+function compilePatterns(spec) {
+    const patterns = splitPatterns(spec).map(patternRegExp);
+    return patterns.length > 0 ? (name => patterns.some(pattern => pattern.test(name))) : null;
+}
+
+// Patterns in spec that match no function in the tree (typos, or names from another build)
+function unmatchedPatterns(callTree, spec) {
+    const names = new Set();
+    const visit = (node) => {
+        names.add(node.name);
+        node.children.forEach(visit);
+    };
+    callTree.children.forEach(visit);
+    return splitPatterns(spec).filter(pattern => {
+        const regExp = patternRegExp(pattern);
+        for (const name of names) {
+            if (regExp.test(name)) return false;
+        }
+        return true;
+    });
+}
+
+function hasFilters(options) {
+    return !!(compilePatterns(options.include) || compilePatterns(options.exclude) || options.minPercent > 0);
+}
+
+/**
+ * Filtered copy of the tree; the original is left untouched. Inclusive
+ * totals are recomputed after include/exclude. minPercent is relative to
+ * the unfiltered total and only hides nodes, so a parent's total still
+ * counts its hidden callees; with options.keepPrunedCycles their cycles
+ * are added to the parent's self cycles as well.
+ */
+function filterCallTree(callTree, options = {}) {
+    const include = compilePatterns(options.include);
+    const exclude = compilePatterns(options.exclude);
+    const minCycles = options.minPercent > 0 ? (callTree.totalCycles * options.minPercent) / 100 : 0;
+
+    // Outside an included function only the path down to it is kept, without its own cycles
+    const copy = (node, focused) => {
+        const children = [];
+        for (const child of node.children) {
+            if (exclude && exclude(child.name)) continue;
+            const kept = copy(child, focused || !include || include(child.name));
+            if (kept) children.push(kept);
+        }
+        if (!focused && children.length === 0 && node !== callTree) return null;
+        const selfCycles = focused ? node.selfCycles : 0;
+        return Object.assign({}, node, {
+            children: children,
+            selfCycles: selfCycles,
+            totalCycles: children.reduce((sum, child) => sum + child.totalCycles, selfCycles)
+        });
+    };
+
+    const prune = (node) => {
+        const kept = node.children.filter(child => child.totalCycles >= minCycles);
+        if (options.keepPrunedCycles) {
+            node.selfCycles = kept.reduce((cycles, child) => cycles - child.totalCycles, node.totalCycles);
+        }
+        node.children = kept;
+        node.children.forEach(prune);
+        return node;
+    };
+
+    return prune(copy(callTree, !include));
+}
+
+module.exports = {
+    splitPatterns,
+    compilePatterns,
+    unmatchedPatterns,
+    hasFilters,
+    filterCallTree
+};
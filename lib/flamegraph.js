@@ -0,0 +1,297 @@
+/**
+ * Flame Graph SVG Generator
+ * Renders a CallTreeProfiler call tree as an interactive flame graph
+ * (or inverted icicle graph) weighted by 6502 cycles.
+ */
+
+const { formatDuration, formatClock } = require('./machines');
+const { escapeHTML } = require('./html');
+
+const FRAME_HEIGHT = 16;
+const FONT_SIZE = 12;
+const FONT_WIDTH = 0.59; // average glyph width relative to font size
+const MIN_FRAME_WIDTH = 0.1; // px; narrower frames are not drawn
+const PAD_TOP = 60;
+const PAD_BOTTOM = 36;
+const PAD_SIDE = 10;
+
+// Deterministic warm colour per function name so frames keep their colour between runs
+function frameColor(name) {
+    let hash = 0;
+    for (let i = 0; i < name.length; i++) {
+        hash = ((hash << 5) - hash + name.charCodeAt(i)) | 0;
+    }
+    const v1 = (hash & 0xff) / 255;
+    const v2 = ((hash >> 8) & 0xff) / 255;
+    const v3 = ((hash >> 16) & 0xff) / 255;
+    const r = 205 + Math.round(50 * v3);
+    const g = Math.round(230 * v1);
+    const b = Math.round(55 * v2);
+    return `rgb(${r},${g},${b})`;
+}
+
+/**
+ * Differential colour: red where a frame grew against the baseline, blue
+ * where it shrank, saturating at a 100% change; new frames are full red.
+ */
+function diffColor(cycles, baseline) {
+    if (baseline === undefined) return 'rgb(220,40,40)';
+    const delta = cycles - baseline;
+    if (delta === 0 || baseline === 0 && cycles === 0) return 'rgb(245,245,245)';
+    const strength = Math.min(1, Math.abs(delta) / Math.max(baseline, 1));
+    const fade = Math.round(235 - 190 * strength);
+    return delta > 0 ? `rgb(250,${fade},${fade})` : `rgb(${fade},${fade},250)`;
+}
+
+function formatDelta(cycles, baseline) {
+    if (baseline === undefined) return 'new';
+    const delta = cycles - baseline;
+    const pct = baseline > 0 ? ` (${delta >= 0 ? '+' : ''}${((delta / baseline) * 100).toFixed(1)}%)` : '';
+    return `${delta >= 0 ? '+' : ''}${delta.toLocaleString()}${pct} vs baseline`;
+}
+
+function fitLabel(name, width) {
+    const maxChars = Math.floor((width - 6) / (FONT_SIZE * FONT_WIDTH));
+    if (maxChars < 3) return '';
+    if (name.length <= maxChars) return name;
+    return name.substring(0, maxChars - 2) + '..';
+}
+
+function maxDepth(node) {
+    let depth = 0;
+    for (const child of node.children) {
+        depth = Math.max(depth, 1 + maxDepth(child));
+    }
+    return depth;
+}
+
+/**
+ * Flatten the tree into positioned frames. x0/x1 are fractions of the root;
+ * path is the ";"-joined call path from the root, as used by diff baselines.
+ */
+function layoutFrames(root, totalCycles) {
+    const frames = [];
+    const visit = (node, depth, x0, path) => {
+        const x1 = x0 + node.totalCycles / totalCycles;
+        frames.push({ node, depth, x0, x1, path });
+        let childX = x0;
+        for (const child of node.children) {
+            if (child.totalCycles <= 0) continue;
+            visit(child, depth + 1, childX, path + ';' + child.name);
+            childX += child.totalCycles / totalCycles;
+        }
+    };
+    visit(root, 0, 0, root.name);
+    return frames;
+}
+
+/**
+ * Generate the flame graph SVG for a call tree.
+ * options: { title, width, inverted, rootName, unit, machine }
+ * machine (see lib/machines.js) adds wall-clock time to tooltips and the subtitle.
+ * baseline (Map of call path -> total cycles) makes it a differential flame
+ * graph: frames are coloured and labelled by their change against it.
+ */
+function generateFlameGraphSVG(callTree, options = {}) {
+    const width = options.width || 1200;
+    const inverted = !!options.inverted;
+    const title = options.title || (inverted ? 'Icicle Graph' : 'Flame Graph');
+    const unit = options.unit || 'cycles';
+    const rootName = options.rootName || 'all';
+    const totalCycles = callTree.totalCycles;
+    const machine = options.machine || null;
+    const time = (cycles) => machine ? ', ' + formatDuration(cycles, machine) : '';
+    const baseline = options.baseline || null;
+
+    const depth = maxDepth(callTree) + 1;
+    const height = PAD_TOP + depth * FRAME_HEIGHT + PAD_BOTTOM;
+    const graphWidth = width - 2 * PAD_SIDE;
+
+    const frames = totalCycles > 0 ? layoutFrames(callTree, totalCycles) : [];
+    const frameY = (d) => inverted
+        ? PAD_TOP + d * FRAME_HEIGHT
+        : PAD_TOP + (depth - d - 1) * FRAME_HEIGHT;
+
+    const frameSVG = frames
+        .filter(frame => (frame.x1 - frame.x0) * graphWidth >= MIN_FRAME_WIDTH)
+        .map(frame => {
+            const node = frame.node;
+            const name = frame.depth === 0 ? rootName : node.name;
+            const x = PAD_SIDE + frame.x0 * graphWidth;
+            const w = (frame.x1 - frame.x0) * graphWidth;
+            const y = frameY(frame.depth);
+            const pct = ((node.totalCycles / totalCycles) * 100).toFixed(2);
+            const calls = frame.depth === 0 ? '' : `, ${node.callCount.toLocaleString()} calls`;
+            const change = baseline ? ', ' + formatDelta(node.totalCycles, baseline.get(frame.path)) : '';
+            const tip = `${name} (${node.totalCycles.toLocaleString()} ${unit}${time(node.totalCycles)}, ${pct}%, self ${node.selfCycles.toLocaleString()}${calls}${change})`;
+            const color = baseline ? diffColor(node.totalCycles, baseline.get(frame.path)) : frameColor(name);
+            return `<g class="frame" data-name="${escapeHTML(name)}" data-x0="${frame.x0}" data-x1="${frame.x1}" data-depth="${frame.depth}">
+<title>${escapeHTML(tip)}</title>
+<rect x="${x.toFixed(1)}" y="${y}" width="${w.toFixed(1)}" height="${FRAME_HEIGHT - 1}" fill="${color}" rx="2" ry="2" />
+<text x="${(x + 3).toFixed(1)}" y="${y + FRAME_HEIGHT - 4.5}">${escapeHTML(fitLabel(name, w))}</text>
+</g>`;
+        }).join('\n');
+
+    return `<?xml version="1.0" standalone="no"?>
+<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">
+<svg version="1.1" width="${width}" height="${height}" onload="init(evt)" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+<!-- Generated by CallTreeProfiler. Frame widths are proportional to 6502 cycles. -->
+<defs>
+    <linearGradient id="background" y1="0" y2="1" x1="0" x2="0">
+        <stop stop-color="#eeeeee" offset="5%" />
+        <stop stop-color="#eeeeb0" offset="95%" />
+    </linearGradient>
+</defs>
+<style type="text/css">
+    text { font-family: Verdana, sans-serif; font-size: ${FONT_SIZE}px; fill: rgb(0,0,0); }
+    #title { text-anchor: middle; font-size: 17px; }
+    #subtitle { text-anchor: middle; fill: rgb(110,110,110); }
+    #search, #unzoom { cursor: pointer; opacity: 0.6; }
+    #search:hover, #unzoom:hover { opacity: 1; }
+    #matched { text-anchor: end; }
+    .frame:hover rect { stroke: black; stroke-width: 0.5; cursor: pointer; }
+    .hide { display: none; }
+    .parent { opacity: 0.5; }
+</style>
+<script type="text/ecmascript">
+<![CDATA[
+    "use strict";
+    var GRAPH_X = ${PAD_SIDE}, GRAPH_W = ${graphWidth}, CHAR_W = ${FONT_SIZE * FONT_WIDTH};
+    var details, unzoomBtn, matchedText, frames;
+
+    function init(evt) {
+        details = document.getElementById("details").firstChild;
+        unzoomBtn = document.getElementById("unzoom");
+        matchedText = document.getElementById("matched");
+        frames = Array.prototype.slice.call(document.querySelectorAll("g.frame"));
+        frames.forEach(function(g) {
+            g.addEventListener("click", function() { zoom(g); });
+            g.addEventListener("mouseover", function() {
+                details.nodeValue = "Function: " + g.querySelector("title").firstChild.nodeValue;
+            });
+            g.addEventListener("mouseout", function() { details.nodeValue = " "; });
+        });
+        document.getElementById("search").addEventListener("click", searchPrompt);
+        unzoomBtn.addEventListener("click", unzoom);
+        window.addEventListener("keydown", function(e) {
+            if (e.keyCode === 114 || (e.ctrlKey && e.keyCode === 70)) {
+                e.preventDefault();
+                searchPrompt();
+            } else if (e.keyCode === 27) {
+                resetSearch();
+            }
+        });
+    }
+
+    function bounds(g) {
+        return {
+            x0: parseFloat(g.getAttribute("data-x0")),
+            x1: parseFloat(g.getAttribute("data-x1")),
+            depth: parseInt(g.getAttribute("data-depth"), 10)
+        };
+    }
+
+    function place(g, x, w) {
+        var rect = g.querySelector("rect");
+        var text = g.querySelector("text");
+        rect.setAttribute("x", x.toFixed(1));
+        rect.setAttribute("width", w.toFixed(1));
+        text.setAttribute("x", (x + 3).toFixed(1));
+        var name = g.getAttribute("data-name");
+        var maxChars = Math.floor((w - 6) / CHAR_W);
+        text.textContent = maxChars < 3 ? "" : (name.length <= maxChars ? name : name.substring(0, maxChars - 2) + "..");
+    }
+
+    function zoom(target) {
+        var t = bounds(target);
+        var span = t.x1 - t.x0;
+        if (span <= 0) return;
+        unzoomBtn.classList.remove("hide");
+        frames.forEach(function(g) {
+            var b = bounds(g);
+            g.classList.remove("parent");
+            g.classList.remove("hide");
+            if (b.depth < t.depth && b.x0 <= t.x0 && b.x1 >= t.x1) {
+                g.classList.add("parent");
+                place(g, GRAPH_X, GRAPH_W);
+            } else if (b.depth >= t.depth && b.x0 >= t.x0 - 1e-12 && b.x1 <= t.x1 + 1e-12) {
+                place(g, GRAPH_X + (b.x0 - t.x0) / span * GRAPH_W, (b.x1 - b.x0) / span * GRAPH_W);
+            } else {
+                g.classList.add("hide");
+            }
+        });
+    }
+
+    function unzoom() {
+        unzoomBtn.classList.add("hide");
+        frames.forEach(function(g) {
+            var b = bounds(g);
+            g.classList.remove("parent");
+            g.classList.remove("hide");
+            place(g, GRAPH_X + b.x0 * GRAPH_W, (b.x1 - b.x0) * GRAPH_W);
+        });
+    }
+
+    function searchPrompt() {
+        var term = prompt("Search for function (regular expression):", "");
+        if (term) search(term);
+        else resetSearch();
+    }
+
+    function resetSearch() {
+        frames.forEach(function(g) {
+            var rect = g.querySelector("rect");
+            if (rect.hasAttribute("data-fill")) {
+                rect.setAttribute("fill", rect.getAttribute("data-fill"));
+                rect.removeAttribute("data-fill");
+            }
+        });
+        matchedText.textContent = "";
+    }
+
+    function search(term) {
+        var re;
+        try {
+            re = new RegExp(term);
+        } catch (e) {
+            alert("Invalid regular expression: " + term);
+            return;
+        }
+        resetSearch();
+        // Union of matched ranges so nested matches are not counted twice
+        var ranges = [];
+        frames.forEach(function(g) {
+            if (g.getAttribute("data-depth") === "0") return;
+            if (!re.test(g.getAttribute("data-name"))) return;
+            var rect = g.querySelector("rect");
+            rect.setAttribute("data-fill", rect.getAttribute("fill"));
+            rect.setAttribute("fill", "rgb(230,0,230)");
+            var b = bounds(g);
+            ranges.push([b.x0, b.x1]);
+        });
+        ranges.sort(function(a, b) { return a[0] - b[0]; });
+        var covered = 0, end = 0;
+        ranges.forEach(function(r) {
+            if (r[1] <= end) return;
+            covered += r[1] - Math.max(r[0], end);
+            end = r[1];
+        });
+        matchedText.textContent = ranges.length ? "Matched: " + (covered * 100).toFixed(1) + "%" : "No match";
+    }
+]]>
+</script>
+<rect x="0" y="0" width="${width}" height="${height}" fill="url(#background)" />
+<text id="title" x="${width / 2}" y="24">${escapeHTML(title)}</text>
+<text id="subtitle" x="${width / 2}" y="44">${totalCycles.toLocaleString()} ${escapeHTML(unit)} total${machine ? escapeHTML(` (${formatDuration(totalCycles, machine)} at ${formatClock(machine)})`) : ''} · click a frame to zoom</text>
+<text id="unzoom" class="hide" x="${PAD_SIDE}" y="24">Reset Zoom</text>
+<text id="search" x="${width - PAD_SIDE - 60}" y="24">Search</text>
+<text id="matched" x="${width - PAD_SIDE}" y="${height - 12}"></text>
+<text id="details" x="${PAD_SIDE}" y="${height - 12}"> </text>
+<g id="frames">
+${frameSVG}
+</g>
+</svg>
+`;
+}
+
+module.exports = { generateFlameGraphSVG };
@@ -0,0 +1,221 @@
+/**
+ * Frame Timeline
+ * Splits a trace into video frames, either every N cycles (PAL 19656,
+ * NTSC 17095) or at a marker (an address, label or B event name such as
+ * the VBlank IRQ), and keeps each frame's self cycles per call-tree node
+ * so a single frame's call tree can be rebuilt in the report.
+ */
+
+const { escapeHTML } = require('./html');
+
+const FRAME_PRESETS = {
+    pal: 19656,
+    ntsc: 17095
+};
+
+// Top-level functions shown in their own colour in the chart; the rest are "other"
+const CHART_SERIES = 8;
+const BAR_WIDTH = 6;
+const BAR_GAP = 1;
+const CHART_HEIGHT = 160;
+const SERIES_COLORS = ['#61afef', '#98c379', '#e5c07b', '#c678dd', '#56b6c2', '#d19a66', '#be5046', '#abb2bf'];
+const OTHER_COLOR = '#5c6370';
+
+// "pal", "ntsc" or a cycle count; null when not given
+function parseFrameCycles(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const key = String(value).toLowerCase();
+    if (FRAME_PRESETS[key]) return FRAME_PRESETS[key];
+    const cycles = parseInt(value, 10);
+    if (!(cycles > 0) || String(cycles) !== String(value).trim()) {
+        throw new Error('Invalid frame length: ' + value + ' (expected pal, ntsc or a cycle count)');
+    }
+    return cycles;
+}
+
+/**
+ * Marker from "$EA31", "0xEA31", a label in the symbol table or an event
+ * name ("IRQ", "vblank"). Returns { addr } or { name }.
+ */
+function parseFrameMarker(value, symbols) {
+    const hex = String(value).match(/^(?:\$|0x)([0-9A-Fa-f]{1,4})$/);
+    if (hex) return { addr: parseInt(hex[1], 16) };
+    if (symbols) {
+        for (const [addr, label] of symbols) {
+            if (label === value) return { addr: addr };
+        }
+    }
+    return { name: value };
+}
+
+class FrameTracker {
+    /**
+     * frameCycles: budget per frame, and the split interval without a marker.
+     * marker: { addr } or { name } to start a frame there instead.
+     */
+    constructor(frameCycles, marker) {
+        this.frameCycles = frameCycles;
+        this.marker = marker || null;
+        this.frames = []; // { index, start, cycles, leadIn, self: Map(node -> cycles) }
+        this.current = null;
+    }
+
+    startFrame(start, leadIn) {
+        this.current = { index: this.frames.length, start: start, cycles: 0, leadIn: leadIn, self: new Map() };
+        this.frames.push(this.current);
+    }
+
+    /**
+     * Charge an instruction to the current frame; cycle is the running total
+     * before it executes. Fixed-length frames split an instruction that
+     * straddles the boundary, so only marker frames can run over budget.
+     */
+    add(addr, cycle, node, cycles) {
+        if (this.marker) {
+            if (this.marker.addr === addr) {
+                this.startFrame(cycle, false);
+            } else if (!this.current) {
+                // Code before the first marker
+                this.startFrame(cycle, true);
+            }
+            this.charge(node, cycles);
+            return;
+        }
+        if (!this.current) {
+            this.startFrame(0, false);
+        }
+        let remaining = cycles;
+        let at = cycle;
+        while (remaining > 0) {
+            const end = this.current.start + this.frameCycles;
+            if (at >= end) {
+                this.startFrame(end, false);
+                continue;
+            }
+            const part = Math.min(remaining, end - at);
+            this.charge(node, part);
+            remaining -= part;
+            at += part;
+        }
+    }
+
+    // B events (subroutine or interrupt) can mark frames by name
+    event(names, cycle) {
+        if (this.marker && this.marker.name !== undefined && names.includes(this.marker.name)) {
+            this.startFrame(cycle, false);
+        }
+    }
+
+    charge(node, cycles) {
+        this.current.cycles += cycles;
+        this.current.self.set(node, (this.current.self.get(node) || 0) + cycles);
+    }
+
+    // Frames counted against the budget (the lead-in before the first marker is not)
+    measuredFrames() {
+        return this.frames.filter(frame => !frame.leadIn);
+    }
+
+    overruns() {
+        return this.measuredFrames().filter(frame => frame.cycles > this.frameCycles);
+    }
+
+    /**
+     * Compact data for the report: the call tree as { n: name, p: parent }
+     * entries in preorder and each frame's self cycles keyed by entry index.
+     */
+    toJSON(callTree) {
+        const nodes = [];
+        const ids = new Map();
+        const visit = (node, parent) => {
+            ids.set(node, nodes.length);
+            nodes.push({ n: node.name, p: parent });
+            const id = nodes.length - 1;
+            for (const child of node.children) visit(child, id);
+        };
+        visit(callTree, -1);
+
+        return {
+            budget: this.frameCycles,
+            nodes: nodes,
+            frames: this.frames.map(frame => {
+                const self = {};
+                for (const [node, cycles] of frame.self) {
+                    self[ids.get(node)] = cycles;
+                }
+                return { s: frame.start, c: frame.cycles, l: frame.leadIn ? 1 : 0, self: self };
+            })
+        };
+    }
+
+    /**
+     * Stacked bar per frame, split by top-level function (mainline calls and
+     * interrupt handlers), with the budget as a dashed line and overruns in red.
+     * Bars call showFrame(index) when clicked.
+     */
+    generateChartSVG(callTree) {
+        const top = new Map(); // node -> top-level ancestor
+        const mark = (node, root) => {
+            top.set(node, root);
+            for (const child of node.children) mark(child, root);
+        };
+        top.set(callTree, callTree);
+        for (const child of callTree.children) mark(child, child);
+
+        const series = callTree.children.slice()
+            .sort((a, b) => b.totalCycles - a.totalCycles)
+            .slice(0, CHART_SERIES);
+        const colorOf = new Map(series.map((node, i) => [node, SERIES_COLORS[i]]));
+
+        const maxCycles = this.frames.reduce((max, frame) => Math.max(max, frame.cycles), this.frameCycles);
+        const scale = CHART_HEIGHT / maxCycles;
+        const budgetY = CHART_HEIGHT - this.frameCycles * scale;
+        const width = Math.max(1, this.frames.length) * (BAR_WIDTH + BAR_GAP);
+
+        const bars = this.frames.map(frame => {
+            const parts = new Map();
+            for (const [node, cycles] of frame.self) {
+                const root = top.get(node);
+                const key = colorOf.has(root) ? root : null;
+                parts.set(key, (parts.get(key) || 0) + cycles);
+            }
+            const x = frame.index * (BAR_WIDTH + BAR_GAP);
+            let y = CHART_HEIGHT;
+            const rects = [];
+            for (const node of series.concat([null])) {
+                const cycles = parts.get(node) || 0;
+                if (cycles === 0) continue;
+                const h = cycles * scale;
+                y -= h;
+                rects.push(`<rect x="${x}" y="${y.toFixed(2)}" width="${BAR_WIDTH}" height="${h.toFixed(2)}" fill="${node ? colorOf.get(node) : OTHER_COLOR}"/>`);
+            }
+            const over = !frame.leadIn && frame.cycles > this.frameCycles;
+            const pct = ((frame.cycles / this.frameCycles) * 100).toFixed(1);
+            const label = `Frame ${frame.index}${frame.leadIn ? ' (before first marker)' : ''}: ${frame.cycles.toLocaleString()} cycles, ${pct}% of budget`;
+            return `<g class="frame-bar${over ? ' overrun' : ''}${frame.leadIn ? ' lead-in' : ''}" data-frame="${frame.index}" onclick="showFrame(${frame.index})">` +
+                `<title>${escapeHTML(label)}</title>` +
+                `<rect x="${x}" y="0" width="${BAR_WIDTH}" height="${CHART_HEIGHT}" fill="${over ? 'rgba(224,108,117,0.25)' : 'transparent'}"/>` +
+                rects.join('') + '</g>';
+        });
+
+        const legend = series.map(node => `<span class="frame-legend-item"><span class="frame-swatch" style="background: ${colorOf.get(node)}"></span>${escapeHTML(node.name)}</span>`);
+        if (callTree.children.length > series.length || callTree.selfCycles > 0) {
+            legend.push(`<span class="frame-legend-item"><span class="frame-swatch" style="background: ${OTHER_COLOR}"></span>other</span>`);
+        }
+
+        return `<div class="frame-chart">
+            <svg width="${width}" height="${CHART_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+                ${bars.join('\n                ')}
+                <line x1="0" y1="${budgetY.toFixed(2)}" x2="${width}" y2="${budgetY.toFixed(2)}" stroke="#e06c75" stroke-dasharray="4,3"/>
+            </svg>
+        </div>
+        <div class="frame-legend">${legend.join('')}</div>`;
+    }
+}
+
+module.exports = {
+    FRAME_PRESETS,
+    FrameTracker,
+    parseFrameCycles,
+    parseFrameMarker
+};
@@ -0,0 +1,394 @@
+/**
+ * Gallery Generator
+ * Scans project folders for profiler output (calltree.html, flame and
+ * icicle graphs, stats.json) and rebuilds the gallery index.html with one
+ * card per project. Stats come from stats.json (written by --project); for
+ * older folders they are read back from the flame graph SVG. Titles and
+ * descriptions live in gallery.json next to index.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getMachine, formatDuration } = require('./machines');
+const { escapeHTML } = require('./html');
+
+const GALLERY_CONFIG_FILE = 'gallery.json';
+
+const DEFAULTS = {
+    title: '6502 Profilers Gallery',
+    subtitle: 'Interactive profiling tools for 6502 assembly code',
+    footer: '<p>6502 Assembly Profiling Tools</p>'
+};
+
+// Badge from call depth and function count; the first match wins
+const BADGES = [
+    { id: 'complex', label: 'COMPLEX', minDepth: 5, minFunctions: 30 },
+    { id: 'medium', label: 'MEDIUM', minDepth: 3, minFunctions: 10 },
+    { id: 'simple', label: 'SIMPLE', minDepth: 0, minFunctions: 0 }
+];
+
+const CALLTREE_ICON = '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10c1.1 0 1.99-.9 1.99-1.99V10c0 1.1-.9 2-2 2H5v8h6V6c0-1.1.9-2 2-2s2-.9 2-2-2V5c0-1.1-.9-2-2-2s-2 .9-2 2v13c0 1.1.9 2 2 2s2-.9 2-2 2V7c0 1.1.9 2 2 2s2 .9 2 2 2v6h-2z"/>';
+const FLAME_ICON = '<path d="M13.5.67 11.03C14.22 10.39 15 10 16 10c1.66 0 3 .39 4.33 1.03L17 9l-2-2c-.39-.39-1.03-.39-1.42 0L12 9.58 9.42 10.42c-.39.39-.39 1.03 0 1.42l-2 2 2-2c-.39-.39-.39-1.03 0-1.42l.58-1.59c-.39-.39-1.03-.39-1.42 0L6 9.58 5.42 10.42c-.39.39-.39 1.03 0 1.42l-2 2 2-2c-.39-.39-.39-1.03 0-1.42l.58-1.59C6.39 10.39 7 10 8 10c1.66 0 3 .39 4.33 1.03L11 9l-2-2c-.39-.39-1.03-.39-1.42 0L7.5 9.58 6.42 10.42z"/>';
+
+function loadGalleryConfig(rootDir) {
+    const file = path.join(rootDir, GALLERY_CONFIG_FILE);
+    if (!fs.existsSync(file)) return Object.assign({ projects: {} }, DEFAULTS);
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error('Invalid ' + file + ': ' + err.message);
+    }
+    return Object.assign({}, DEFAULTS, config, { projects: config.projects || {} });
+}
+
+/**
+ * Totals from a flame graph SVG (ours or flamegraph.pl): the root frame's
+ * count, the frames above it (call-tree nodes, as stats.json counts
+ * functions) and the number of stacked levels.
+ */
+function statsFromFlameGraph(file) {
+    const svg = fs.readFileSync(file, 'utf8');
+    const pattern = /<title>([^<]*?) \(([\d,]+) (?:samples|cycles)[^<]*<\/title>\s*<rect x="[^"]*" y="([\d.]+)"/g;
+    let frames = 0;
+    const levels = new Set();
+    let root = null;
+    let match;
+    while ((match = pattern.exec(svg)) !== null) {
+        const cycles = parseInt(match[2].replace(/,/g, ''), 10);
+        const y = parseFloat(match[3]);
+        if (!root || cycles > root.cycles || (cycles === root.cycles && y > root.y)) {
+            root = { name: match[1], cycles: cycles, y: y };
+        }
+        frames++;
+        levels.add(y);
+    }
+    if (!root) return null;
+    return { totalCycles: root.cycles, functions: frames - 1, maxDepth: levels.size - 1 };
+}
+
+// A call tree page only counts when the script it loads is there too
+function hasCallTree(dir) {
+    const html = path.join(dir, 'calltree.html');
+    if (!fs.existsSync(html)) return false;
+    const script = fs.readFileSync(html, 'utf8').match(/<script src="([^"]+)"/);
+    return !script || /^[a-z]+:/i.test(script[1]) || fs.existsSync(path.join(dir, script[1]));
+}
+
+function findFile(files, name, suffix) {
+    if (files.includes(name + suffix)) return name + suffix;
+    return files.find(file => file.endsWith(suffix)) || null;
+}
+
+/**
+ * Projects under rootDir: sub-folders holding a call tree or flame graph,
+ * sorted by name. Each is { name, calltree, flameGraph, icicle, stats }.
+ */
+function scanProjects(rootDir) {
+    return fs.readdirSync(rootDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules')
+        .map(entry => {
+            const dir = path.join(rootDir, entry.name);
+            const files = fs.readdirSync(dir);
+            const project = {
+                name: entry.name,
+                calltree: hasCallTree(dir) ? 'calltree.html' : null,
+                flameGraph: findFile(files, entry.name, '-flamegraph.svg'),
+                icicle: findFile(files, entry.name, '-icicle.svg'),
+                stats: null
+            };
+            if (files.includes('stats.json')) {
+                project.stats = JSON.parse(fs.readFileSync(path.join(dir, 'stats.json'), 'utf8'));
+            } else if (project.flameGraph) {
+                project.stats = statsFromFlameGraph(path.join(dir, project.flameGraph));
+            }
+            return project;
+        })
+        .filter(project => project.calltree || project.flameGraph)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function badgeFor(stats) {
+    if (!stats) return null;
+    return BADGES.find(badge => stats.maxDepth >= badge.minDepth || stats.functions >= badge.minFunctions);
+}
+
+function projectTime(stats) {
+    if (stats.time) return stats.time;
+    return formatDuration(stats.totalCycles, getMachine(null));
+}
+
+function generateCardHTML(project, settings) {
+    const href = (file) => escapeHTML(project.name + '/' + file);
+    const stats = project.stats;
+    const badge = badgeFor(stats);
+    const stat = (label, value) => `
+                    <div class="stat">
+                        <span class="stat-label">${label}:</span>
+                        ${escapeHTML(value)}
+                    </div>`;
+    const link = (file, icon, label) => `
+                    <a href="${href(file)}" class="link">
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">
+                            ${icon}
+                        </svg>
+                        ${label}
+                    </a>`;
+
+    const links = [];
+    if (project.calltree) links.push(link(project.calltree, CALLTREE_ICON, 'Call Tree'));
+    if (project.flameGraph) links.push(link(project.flameGraph, FLAME_ICON, 'Flame Graph'));
+    if (project.icicle) links.push(link(project.icicle, FLAME_ICON, 'Icicle Graph'));
+
+    return `
+            <!-- ${escapeHTML(project.name)} -->
+            <div class="card">
+                <h2>${escapeHTML(project.name)}${badge ? ` <span class="badge badge-${badge.id}">${badge.label}</span>` : ''}</h2>${project.flameGraph ? `
+                <a href="${href(project.flameGraph)}" class="thumbnail">
+                    <img src="${href(project.flameGraph)}" alt="${escapeHTML(project.name)} flame graph" loading="lazy">
+                </a>` : ''}${settings.description ? `
+                <div class="description">
+                    ${escapeHTML(settings.description)}
+                </div>` : ''}${stats ? `
+                <div class="stats">${stat('Time', projectTime(stats))}${stat('Cycles', stats.totalCycles.toLocaleString('en-US'))}${stat('Functions', String(stats.functions))}${stat('Max Depth', String(stats.maxDepth))}${stats.stackBytes !== undefined ? stat('Stack', stats.stackBytes + ' B') : ''}${stats.machineName && stats.machine !== 'generic' ? stat('Machine', stats.machineName) : ''}
+                </div>` : ''}
+                <div class="links">${links.join('')}
+                </div>
+            </div>`;
+}
+
+/**
+ * The gallery page for the projects from scanProjects(). config:
+ * { title, subtitle, footer (HTML), projects: { name: { description } } }.
+ */
+function generateGalleryHTML(projects, config) {
+    const cards = projects.map(project => generateCardHTML(project, config.projects[project.name] || {}));
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(config.title)}</title>
+    <!-- Generated by: node call-tree-profiler-v5.js gallery -->
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: #333;
+            line-height: 1.6;
+            padding: 20px;
+            min-height: 100vh;
+        }
+
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+        }
+
+        .header {
+            background: rgba(255, 255, 255, 0.95);
+            padding: 40px;
+            border-radius: 16px;
+            margin-bottom: 30px;
+            box-shadow: 0 10px 40px rgba(0, 0, 0, 0.2);
+            text-align: center;
+        }
+
+        .header h1 {
+            font-size: 36px;
+            color: #667eea;
+            margin-bottom: 10px;
+        }
+
+        .header p {
+            font-size: 18px;
+            color: #666;
+            margin-top: 10px;
+        }
+
+        .grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(350px, 1fr));
+            gap: 25px;
+            margin-bottom: 40px;
+        }
+
+        .card {
+            background: rgba(255, 255, 255, 0.95);
+            border-radius: 12px;
+            padding: 25px;
+            box-shadow: 0 5px 20px rgba(0, 0, 0, 0.15);
+            transition: transform 0.3s, box-shadow 0.3s;
+        }
+
+        .card:hover {
+            transform: translateY(-5px);
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.25);
+        }
+
+        .card h2 {
+            font-size: 24px;
+            color: #764ba2;
+            margin-bottom: 15px;
+            padding-bottom: 10px;
+            border-bottom: 2px solid #667eea;
+        }
+
+        .thumbnail {
+            display: block;
+            height: 90px;
+            margin-bottom: 15px;
+            border-radius: 6px;
+            overflow: hidden;
+            background: #f5f5f5;
+        }
+
+        .thumbnail img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+            object-position: bottom;
+        }
+
+        .card .description {
+            color: #666;
+            margin-bottom: 20px;
+            line-height: 1.8;
+        }
+
+        .stats {
+            display: flex;
+            gap: 15px;
+            margin-bottom: 20px;
+            flex-wrap: wrap;
+        }
+
+        .stat {
+            background: #f5f5f5;
+            padding: 8px 12px;
+            border-radius: 6px;
+            font-size: 14px;
+        }
+
+        .stat-label {
+            color: #999;
+            font-size: 12px;
+            margin-right: 5px;
+        }
+
+        .links {
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+        }
+
+        .link {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 12px 20px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border-radius: 8px;
+            font-weight: 600;
+            transition: transform 0.2s;
+            box-shadow: 0 3px 10px rgba(102, 126, 234, 0.3);
+        }
+
+        .link:hover {
+            transform: scale(1.02);
+        }
+
+        .link svg {
+            width: 20px;
+            height: 20px;
+            fill: white;
+        }
+
+        .badge {
+            display: inline-block;
+            background: #e74c3c;
+            color: white;
+            padding: 4px 8px;
+            border-radius: 4px;
+            font-size: 11px;
+            font-weight: bold;
+            margin-left: 8px;
+        }
+
+        .badge-simple {
+            background: #27ae60;
+        }
+
+        .badge-medium {
+            background: #e67e22;
+        }
+
+        .footer {
+            background: rgba(255, 255, 255, 0.95);
+            padding: 20px;
+            border-radius: 12px;
+            text-align: center;
+            color: #666;
+            font-size: 14px;
+        }
+
+        .footer a {
+            color: #667eea;
+            text-decoration: none;
+            font-weight: 600;
+        }
+
+        @media (max-width: 768px) {
+            .header h1 {
+                font-size: 28px;
+            }
+            .grid {
+                grid-template-columns: 1fr;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🔥 ${escapeHTML(config.title)}</h1>
+            <p>${escapeHTML(config.subtitle)}</p>
+        </div>
+
+        <div class="grid">${cards.join('\n')}
+        </div>
+
+        <div class="footer">
+            ${config.footer}
+        </div>
+    </div>
+</body>
+</html>
+`;
+}
+
+// Rebuild <rootDir>/index.html; returns { file, projects }
+function buildGallery(rootDir) {
+    const config = loadGalleryConfig(rootDir);
+    const projects = scanProjects(rootDir);
+    const file = path.join(rootDir, 'index.html');
+    fs.writeFileSync(file, generateGalleryHTML(projects, config));
+    return { file, projects };
+}
+
+module.exports = {
+    GALLERY_CONFIG_FILE,
+    BADGES,
+    scanProjects,
+    statsFromFlameGraph,
+    generateGalleryHTML,
+    buildGallery
+};
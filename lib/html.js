@@ -0,0 +1,17 @@
+/**
+ * HTML Helpers
+ * Escaping shared by the HTML reports, SVG graphs and JUnit XML. Quotes are
+ * escaped too, so the result is safe in attribute values as well as text.
+ */
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    escapeHTML
+};
@@ -0,0 +1,108 @@
+/**
+ * Machine Presets
+ * CPU clock and video frame length for common 6502 machines, used to turn
+ * cycle counts into time and frame-budget figures, and their I/O ranges
+ * (end inclusive; registers: false for memory such as colour RAM) for the
+ * Memory tab's register counts.
+ */
+
+const C64_IO = [
+    { start: 0xD000, end: 0xD3FF, name: 'VIC-II' },
+    { start: 0xD400, end: 0xD7FF, name: 'SID' },
+    { start: 0xD800, end: 0xDBFF, name: 'Colour RAM', registers: false },
+    { start: 0xDC00, end: 0xDCFF, name: 'CIA 1' },
+    { start: 0xDD00, end: 0xDDFF, name: 'CIA 2' },
+    { start: 0xDE00, end: 0xDFFF, name: 'I/O 1-2' }
+];
+const NES_IO = [
+    { start: 0x2000, end: 0x3FFF, name: 'PPU' },
+    { start: 0x4000, end: 0x401F, name: 'APU / I/O' }
+];
+const ATARI_IO = [
+    { start: 0xD000, end: 0xD0FF, name: 'GTIA' },
+    { start: 0xD200, end: 0xD2FF, name: 'POKEY' },
+    { start: 0xD300, end: 0xD3FF, name: 'PIA' },
+    { start: 0xD400, end: 0xD4FF, name: 'ANTIC' }
+];
+
+const MACHINES = {
+    generic: { name: 'Generic 1 MHz', clockHz: 1000000, frameCycles: null, io: [] },
+    'c64-pal': { name: 'Commodore 64 (PAL)', clockHz: 985248, frameCycles: 19656, io: C64_IO },
+    'c64-ntsc': { name: 'Commodore 64 (NTSC)', clockHz: 1022727, frameCycles: 17095, io: C64_IO },
+    apple2: { name: 'Apple II', clockHz: 1022727, frameCycles: 17030, io: [{ start: 0xC000, end: 0xC0FF, name: 'Soft switches' }] },
+    nes: { name: 'NES (NTSC)', clockHz: 1789773, frameCycles: 29781, io: NES_IO },
+    'nes-pal': { name: 'NES (PAL)', clockHz: 1662607, frameCycles: 33248, io: NES_IO },
+    atari8: { name: 'Atari 8-bit (NTSC)', clockHz: 1789790, frameCycles: 29868, io: ATARI_IO },
+    'atari8-pal': { name: 'Atari 8-bit (PAL)', clockHz: 1773447, frameCycles: 35568, io: ATARI_IO },
+    bbc: { name: 'BBC Micro', clockHz: 2000000, frameCycles: 40000, io: [{ start: 0xFE00, end: 0xFEFF, name: 'SHEILA' }] }
+};
+
+const ALIASES = {
+    c64: 'c64-pal',
+    pal: 'c64-pal',
+    ntsc: 'c64-ntsc',
+    'apple-ii': 'apple2',
+    atari: 'atari8',
+    'bbc-micro': 'bbc'
+};
+
+// Custom I/O range: { start, end, name, registers } with "$D000"-style or numeric addresses
+function parseIORange(range) {
+    const addr = (value) => typeof value === 'number' ? value : parseInt(String(value).replace(/^\$|^0x/i, ''), 16);
+    const start = addr(range.start);
+    const end = range.end === undefined ? start : addr(range.end);
+    if (!(start >= 0 && end >= start && end <= 0xffff)) {
+        throw new Error('Invalid I/O range: ' + JSON.stringify(range));
+    }
+    return { start: start, end: end, name: range.name || 'I/O', registers: range.registers !== false };
+}
+
+/**
+ * Machine from a preset name or a config object
+ * { name, clockHz | clockMHz, frameCycles, io }. Returns { id, name, clockHz, frameCycles, io }.
+ */
+function getMachine(spec) {
+    if (spec === null || spec === undefined || spec === '') {
+        return Object.assign({ id: 'generic' }, MACHINES.generic);
+    }
+    if (typeof spec === 'object') {
+        const clockHz = spec.clockHz || (spec.clockMHz ? spec.clockMHz * 1e6 : null);
+        if (!(clockHz > 0)) {
+            throw new Error('Custom machine needs clockHz or clockMHz');
+        }
+        return {
+            id: spec.id || 'custom',
+            name: spec.name || 'Custom',
+            clockHz: clockHz,
+            frameCycles: spec.frameCycles || null,
+            io: (spec.io || []).map(parseIORange)
+        };
+    }
+    const key = String(spec).toLowerCase();
+    const id = ALIASES[key] || key;
+    if (!MACHINES[id]) {
+        throw new Error('Unknown machine: ' + spec + ' (expected ' + Object.keys(MACHINES).join(', ') + ')');
+    }
+    return Object.assign({ id: id }, MACHINES[id]);
+}
+
+// "1.743 ms", "820 µs", "2.41 s"
+function formatDuration(cycles, machine) {
+    const seconds = cycles / machine.clockHz;
+    if (seconds >= 1) return seconds.toFixed(2) + ' s';
+    if (seconds >= 0.001) return (seconds * 1000).toFixed(3) + ' ms';
+    return (seconds * 1e6).toFixed(1) + ' µs';
+}
+
+// "0.985 MHz", "2.0 MHz"
+function formatClock(machine) {
+    const mhz = (machine.clockHz / 1e6).toFixed(3).replace(/0+$/, '');
+    return (mhz.endsWith('.') ? mhz + '0' : mhz) + ' MHz';
+}
+
+module.exports = {
+    MACHINES,
+    getMachine,
+    formatDuration,
+    formatClock
+};
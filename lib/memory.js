@@ -0,0 +1,318 @@
+/**
+ * Memory Access Map
+ * Counts the reads, writes and executes of every address from the
+ * instruction events: executes for each byte of an instruction, data
+ * accesses from the operand or, for indexed and indirect modes, from the
+ * event's effective address (args.ea) when the trace has one. Pointers read
+ * by (zp),Y and JMP ($xxxx) come from the operand; (zp,X) pointers need X,
+ * which traces give as args.x on those instructions (without it they go
+ * uncounted, see unresolvedPointers). Also keeps
+ * zero-page usage per function, I/O register accesses (from the machine's
+ * I/O ranges) and addresses that are both written and executed, i.e.
+ * self-modifying or generated code. Stack pushes and pulls aren't counted.
+ */
+
+const { lookupInstruction } = require('./opcodes');
+const { escapeHTML } = require('./html');
+
+const READS = new Set(['LDA', 'LDX', 'LDY', 'ADC', 'SBC', 'AND', 'ORA', 'EOR', 'CMP', 'CPX', 'CPY', 'BIT']);
+const WRITES = new Set(['STA', 'STX', 'STY']);
+const READ_WRITES = new Set(['ASL', 'LSR', 'ROL', 'ROR', 'INC', 'DEC']);
+const NO_DATA_MODES = new Set(['imp', 'acc', 'imm', 'rel']);
+
+const READ = 1;
+const WRITE = 2;
+
+// Page cell colours by what dominates: executes, writes, reads
+const KIND_COLORS = { x: '152, 195, 121', w: '224, 108, 117', r: '97, 175, 239' };
+
+function hex(value, digits) {
+    return '$' + value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+// args.ea as a number ($xxxx string or number), or null when missing
+function parseEffectiveAddress(value) {
+    if (value === undefined || value === null) return null;
+    const addr = typeof value === 'number' ? value : parseInt(String(value).replace(/^\$|^0x/i, ''), 16);
+    return addr >= 0 && addr <= 0xffff ? addr : null;
+}
+
+// args.x as a number ("$05" or a number), or null when missing
+function parseIndex(value) {
+    if (value === undefined || value === null) return null;
+    const index = typeof value === 'number' ? value : parseInt(String(value).replace(/^\$|^0x/i, ''), 16);
+    return index >= 0 && index <= 0xff ? index : null;
+}
+
+// What an instruction's text says about its accesses; null when it can't be decoded
+function decodeAccess(text) {
+    const entry = lookupInstruction(text);
+    if (!entry) return null;
+    const m = entry.mnemonic;
+    let access = 0;
+    if (!NO_DATA_MODES.has(entry.mode)) {
+        if (READS.has(m)) access = READ;
+        else if (WRITES.has(m)) access = WRITE;
+        else if (READ_WRITES.has(m)) access = READ | WRITE;
+    }
+    const operand = text.match(/\$([0-9A-Fa-f]{1,4})/);
+    return {
+        size: entry.size,
+        mode: entry.mode,
+        access: access,
+        operand: operand ? parseInt(operand[1], 16) : null
+    };
+}
+
+class MemoryMap {
+    /**
+     * ioRanges: [{ start, end, name, registers }] with end inclusive, from
+     * the machine preset (lib/machines.js); registers: false counts the
+     * range as one entry instead of per address.
+     */
+    constructor(ioRanges = []) {
+        this.reads = new Uint32Array(0x10000);
+        this.writes = new Uint32Array(0x10000);
+        this.executes = new Uint32Array(0x10000);
+        this.executor = new Array(0x10000).fill(null); // last function to execute each byte
+        this.writers = new Map(); // addr -> Set of functions that wrote it
+        this.lateWrites = new Uint32Array(0x10000); // writes to bytes that had already executed
+        this.zeroPage = new Map(); // function -> Uint32Array(512): reads then writes per zp address
+        this.ioRanges = ioRanges;
+        this.ioIndex = new Uint8Array(0x10000); // addr -> 1 + index into ioRanges, 0 for none
+        ioRanges.forEach((range, i) => this.ioIndex.fill(i + 1, range.start, range.end + 1));
+        this.io = new Map(); // addr -> { addr, end, range, reads, writes, owners: Map }
+        this.decoded = new Map(); // instruction text -> decodeAccess() result
+        this.undecoded = 0; // instructions whose text couldn't be decoded (one byte counted)
+        this.unresolved = 0; // indexed/indirect accesses with no effective address
+        this.unresolvedPointers = 0; // (zp,X) pointer reads with no X
+    }
+
+    /**
+     * One instruction: addr is where it sits, text its disassembly, ea and
+     * x the event's args.ea and args.x (or undefined) and owner the
+     * function it belongs to.
+     */
+    record(addr, text, ea, owner, x) {
+        let op = this.decoded.get(text);
+        if (op === undefined) {
+            op = decodeAccess(text);
+            this.decoded.set(text, op);
+        }
+        const size = op ? op.size : 1;
+        for (let i = 0; i < size; i++) {
+            const byte = (addr + i) & 0xffff;
+            this.executes[byte]++;
+            this.executor[byte] = owner;
+        }
+        if (!op) {
+            this.undecoded++;
+            return;
+        }
+
+        // Pointers read from zero page (or memory, for JMP ($xxxx))
+        if (op.mode === 'izy' && op.operand !== null) {
+            this.access(op.operand, READ, owner);
+            this.access((op.operand + 1) & 0xff, READ, owner);
+        } else if (op.mode === 'izx' && op.operand !== null) {
+            const index = parseIndex(x);
+            if (index === null) {
+                this.unresolvedPointers++;
+            } else {
+                this.access((op.operand + index) & 0xff, READ, owner);
+                this.access((op.operand + index + 1) & 0xff, READ, owner);
+            }
+        } else if (op.mode === 'ind' && op.operand !== null) {
+            this.access(op.operand, READ, owner);
+            this.access((op.operand & 0xff00) | ((op.operand + 1) & 0xff), READ, owner);
+        }
+        if (op.access === 0) return;
+
+        let target = parseEffectiveAddress(ea);
+        if (target === null && (op.mode === 'zp' || op.mode === 'abs')) {
+            target = op.operand;
+        }
+        if (target === null) {
+            this.unresolved++;
+            return;
+        }
+        this.access(target, op.access, owner);
+    }
+
+    access(addr, kind, owner) {
+        if (kind & READ) this.reads[addr]++;
+        if (kind & WRITE) {
+            this.writes[addr]++;
+            if (this.executes[addr] > 0) this.lateWrites[addr]++;
+            let writers = this.writers.get(addr);
+            if (!writers) {
+                writers = new Set();
+                this.writers.set(addr, writers);
+            }
+            writers.add(owner);
+        }
+        if (addr < 0x100) {
+            let usage = this.zeroPage.get(owner);
+            if (!usage) {
+                usage = new Uint32Array(512);
+                this.zeroPage.set(owner, usage);
+            }
+            if (kind & READ) usage[addr]++;
+            if (kind & WRITE) usage[256 + addr]++;
+        }
+        if (this.ioIndex[addr] > 0) {
+            // Ranges that aren't registers (e.g. colour RAM) count as a whole
+            const range = this.ioRanges[this.ioIndex[addr] - 1];
+            const key = range.registers === false ? range.start : addr;
+            let reg = this.io.get(key);
+            if (!reg) {
+                reg = { addr: key, end: range.registers === false ? range.end : key, range: range.name, reads: 0, writes: 0, owners: new Map() };
+                this.io.set(key, reg);
+            }
+            if (kind & READ) reg.reads++;
+            if (kind & WRITE) reg.writes++;
+            reg.owners.set(owner, (reg.owners.get(owner) || 0) + 1);
+        }
+    }
+
+    // Totals per 256-byte page: [{ page, reads, writes, executes, addresses }]
+    pages() {
+        const pages = [];
+        for (let page = 0; page < 256; page++) {
+            const stats = { page: page, reads: 0, writes: 0, executes: 0, addresses: 0 };
+            for (let addr = page << 8; addr < (page + 1) << 8; addr++) {
+                const r = this.reads[addr], w = this.writes[addr], x = this.executes[addr];
+                stats.reads += r;
+                stats.writes += w;
+                stats.executes += x;
+                if (r + w + x > 0) stats.addresses++;
+            }
+            pages.push(stats);
+        }
+        return pages;
+    }
+
+    // Data addresses by reads + writes, busiest first
+    topDataAddresses(limit) {
+        const addresses = [];
+        for (let addr = 0; addr < 0x10000; addr++) {
+            if (this.reads[addr] + this.writes[addr] > 0) addresses.push(addr);
+        }
+        return addresses
+            .sort((a, b) => (this.reads[b] + this.writes[b]) - (this.reads[a] + this.writes[a]))
+            .slice(0, limit)
+            .map(addr => ({ addr: addr, reads: this.reads[addr], writes: this.writes[addr], executes: this.executes[addr] }));
+    }
+
+    /**
+     * Zero-page bytes each function touched, most used first:
+     * [{ owner, addresses, reads, writes }].
+     */
+    zeroPageUsage() {
+        return Array.from(this.zeroPage.entries()).map(([owner, usage]) => {
+            const addresses = [];
+            let reads = 0;
+            let writes = 0;
+            for (let zp = 0; zp < 256; zp++) {
+                if (usage[zp] + usage[256 + zp] === 0) continue;
+                addresses.push(zp);
+                reads += usage[zp];
+                writes += usage[256 + zp];
+            }
+            return { owner, addresses, reads, writes };
+        }).sort((a, b) => b.addresses.length - a.addresses.length || (b.reads + b.writes) - (a.reads + a.writes));
+    }
+
+    // Zero-page addresses used by more than one function -> the functions
+    sharedZeroPage() {
+        const users = new Map();
+        for (const [owner, usage] of this.zeroPage) {
+            for (let zp = 0; zp < 256; zp++) {
+                if (usage[zp] + usage[256 + zp] === 0) continue;
+                if (!users.has(zp)) users.set(zp, []);
+                users.get(zp).push(owner);
+            }
+        }
+        return new Map(Array.from(users.entries()).filter(([, owners]) => owners.length > 1));
+    }
+
+    ioAccesses() {
+        return Array.from(this.io.values()).sort((a, b) => a.addr - b.addr);
+    }
+
+    /**
+     * Addresses both written and executed: [{ addr, writes, lateWrites,
+     * executes, writers, executor }]. lateWrites counts writes after the
+     * byte first ran (code modified in place rather than copied then run).
+     */
+    selfModifying() {
+        const found = [];
+        for (const [addr, writers] of this.writers) {
+            if (this.executes[addr] === 0) continue;
+            found.push({
+                addr: addr,
+                writes: this.writes[addr],
+                lateWrites: this.lateWrites[addr],
+                executes: this.executes[addr],
+                writers: Array.from(writers),
+                executor: this.executor[addr]
+            });
+        }
+        return found.sort((a, b) => a.addr - b.addr);
+    }
+
+    /**
+     * Compact per-address data for the page detail view: touched pages
+     * only, each a list of [offset, reads, writes, executes, label?].
+     * label(addr) returns a symbol name or null.
+     */
+    toJSON(label) {
+        const pages = {};
+        for (let addr = 0; addr < 0x10000; addr++) {
+            const r = this.reads[addr], w = this.writes[addr], x = this.executes[addr];
+            if (r + w + x === 0) continue;
+            const page = addr >> 8;
+            if (!pages[page]) pages[page] = [];
+            const entry = [addr & 0xff, r, w, x];
+            const name = label(addr);
+            if (name) entry.push(name);
+            pages[page].push(entry);
+        }
+        return { pages: pages };
+    }
+
+    /**
+     * 16×16 grid of pages, shaded by accesses (log scale) in the colour of
+     * the dominant kind. Cells call showPage(page) when clicked.
+     */
+    generateHeatMapHTML() {
+        const pages = this.pages();
+        const totals = pages.map(p => p.reads + p.writes + p.executes);
+        const max = Math.log1p(Math.max(1, ...totals));
+
+        const cells = pages.map((p, i) => {
+            const label = `${hex(p.page, 2)}00–${hex(p.page, 2).substring(1)}FF: ${p.reads.toLocaleString()} reads, ` +
+                `${p.writes.toLocaleString()} writes, ${p.executes.toLocaleString()} executes, ${p.addresses} addresses`;
+            if (totals[i] === 0) {
+                return `<div class="mem-cell empty" title="${escapeHTML(label)}"></div>`;
+            }
+            const kind = p.executes >= p.writes && p.executes >= p.reads ? 'x' : p.writes >= p.reads ? 'w' : 'r';
+            const alpha = (0.2 + 0.8 * Math.log1p(totals[i]) / max).toFixed(2);
+            return `<div class="mem-cell" data-page="${p.page}" style="background: rgba(${KIND_COLORS[kind]}, ${alpha})" ` +
+                `title="${escapeHTML(label)}" onclick="showPage(${p.page})">${hex(p.page, 2).substring(1)}</div>`;
+        });
+
+        return `<div class="mem-grid">${cells.join('')}</div>
+        <div class="frame-legend">
+            <span class="frame-legend-item"><span class="frame-swatch" style="background: rgb(${KIND_COLORS.x})"></span>mostly executed</span>
+            <span class="frame-legend-item"><span class="frame-swatch" style="background: rgb(${KIND_COLORS.r})"></span>mostly read</span>
+            <span class="frame-legend-item"><span class="frame-swatch" style="background: rgb(${KIND_COLORS.w})"></span>mostly written</span>
+        </div>`;
+    }
+}
+
+module.exports = {
+    MemoryMap,
+    parseEffectiveAddress,
+    decodeAccess
+};
@@ -0,0 +1,166 @@
+/**
+ * 6502 Opcode Table
+ * Documented NMOS 6502 opcodes with addressing mode, base cycle count and
+ * whether an indexed page crossing adds a cycle. Shared by the timing
+ * analysis and the CPU core.
+ */
+
+// Instruction size in bytes per addressing mode
+const MODE_SIZES = {
+    imp: 1, acc: 1, imm: 2, zp: 2, zpx: 2, zpy: 2, rel: 2, izx: 2, izy: 2,
+    abs: 3, abx: 3, aby: 3, ind: 3
+};
+
+// [opcode, mnemonic, mode, cycles, pagePenalty]
+const TABLE = [
+    [0x69, 'ADC', 'imm', 2], [0x65, 'ADC', 'zp', 3], [0x75, 'ADC', 'zpx', 4], [0x6D, 'ADC', 'abs', 4],
+    [0x7D, 'ADC', 'abx', 4, true], [0x79, 'ADC', 'aby', 4, true], [0x61, 'ADC', 'izx', 6], [0x71, 'ADC', 'izy', 5, true],
+    [0x29, 'AND', 'imm', 2], [0x25, 'AND', 'zp', 3], [0x35, 'AND', 'zpx', 4], [0x2D, 'AND', 'abs', 4],
+    [0x3D, 'AND', 'abx', 4, true], [0x39, 'AND', 'aby', 4, true], [0x21, 'AND', 'izx', 6], [0x31, 'AND', 'izy', 5, true],
+    [0x0A, 'ASL', 'acc', 2], [0x06, 'ASL', 'zp', 5], [0x16, 'ASL', 'zpx', 6], [0x0E, 'ASL', 'abs', 6], [0x1E, 'ASL', 'abx', 7],
+    [0x90, 'BCC', 'rel', 2], [0xB0, 'BCS', 'rel', 2], [0xF0, 'BEQ', 'rel', 2], [0x30, 'BMI', 'rel', 2],
+    [0xD0, 'BNE', 'rel', 2], [0x10, 'BPL', 'rel', 2], [0x50, 'BVC', 'rel', 2], [0x70, 'BVS', 'rel', 2],
+    [0x24, 'BIT', 'zp', 3], [0x2C, 'BIT', 'abs', 4],
+    [0x00, 'BRK', 'imp', 7],
+    [0x18, 'CLC', 'imp', 2], [0xD8, 'CLD', 'imp', 2], [0x58, 'CLI', 'imp', 2], [0xB8, 'CLV', 'imp', 2],
+    [0xC9, 'CMP', 'imm', 2], [0xC5, 'CMP', 'zp', 3], [0xD5, 'CMP', 'zpx', 4], [0xCD, 'CMP', 'abs', 4],
+    [0xDD, 'CMP', 'abx', 4, true], [0xD9, 'CMP', 'aby', 4, true], [0xC1, 'CMP', 'izx', 6], [0xD1, 'CMP', 'izy', 5, true],
+    [0xE0, 'CPX', 'imm', 2], [0xE4, 'CPX', 'zp', 3], [0xEC, 'CPX', 'abs', 4],
+    [0xC0, 'CPY', 'imm', 2], [0xC4, 'CPY', 'zp', 3], [0xCC, 'CPY', 'abs', 4],
+    [0xC6, 'DEC', 'zp', 5], [0xD6, 'DEC', 'zpx', 6], [0xCE, 'DEC', 'abs', 6], [0xDE, 'DEC', 'abx', 7],
+    [0xCA, 'DEX', 'imp', 2], [0x88, 'DEY', 'imp', 2],
+    [0x49, 'EOR', 'imm', 2], [0x45, 'EOR', 'zp', 3], [0x55, 'EOR', 'zpx', 4], [0x4D, 'EOR', 'abs', 4],
+    [0x5D, 'EOR', 'abx', 4, true], [0x59, 'EOR', 'aby', 4, true], [0x41, 'EOR', 'izx', 6], [0x51, 'EOR', 'izy', 5, true],
+    [0xE6, 'INC', 'zp', 5], [0xF6, 'INC', 'zpx', 6], [0xEE, 'INC', 'abs', 6], [0xFE, 'INC', 'abx', 7],
+    [0xE8, 'INX', 'imp', 2], [0xC8, 'INY', 'imp', 2],
+    [0x4C, 'JMP', 'abs', 3], [0x6C, 'JMP', 'ind', 5],
+    [0x20, 'JSR', 'abs', 6],
+    [0xA9, 'LDA', 'imm', 2], [0xA5, 'LDA', 'zp', 3], [0xB5, 'LDA', 'zpx', 4], [0xAD, 'LDA', 'abs', 4],
+    [0xBD, 'LDA', 'abx', 4, true], [0xB9, 'LDA', 'aby', 4, true], [0xA1, 'LDA', 'izx', 6], [0xB1, 'LDA', 'izy', 5, true],
+    [0xA2, 'LDX', 'imm', 2], [0xA6, 'LDX', 'zp', 3], [0xB6, 'LDX', 'zpy', 4], [0xAE, 'LDX', 'abs', 4], [0xBE, 'LDX', 'aby', 4, true],
+    [0xA0, 'LDY', 'imm', 2], [0xA4, 'LDY', 'zp', 3], [0xB4, 'LDY', 'zpx', 4], [0xAC, 'LDY', 'abs', 4], [0xBC, 'LDY', 'abx', 4, true],
+    [0x4A, 'LSR', 'acc', 2], [0x46, 'LSR', 'zp', 5], [0x56, 'LSR', 'zpx', 6], [0x4E, 'LSR', 'abs', 6], [0x5E, 'LSR', 'abx', 7],
+    [0xEA, 'NOP', 'imp', 2],
+    [0x09, 'ORA', 'imm', 2], [0x05, 'ORA', 'zp', 3], [0x15, 'ORA', 'zpx', 4], [0x0D, 'ORA', 'abs', 4],
+    [0x1D, 'ORA', 'abx', 4, true], [0x19, 'ORA', 'aby', 4, true], [0x01, 'ORA', 'izx', 6], [0x11, 'ORA', 'izy', 5, true],
+    [0x48, 'PHA', 'imp', 3], [0x08, 'PHP', 'imp', 3], [0x68, 'PLA', 'imp', 4], [0x28, 'PLP', 'imp', 4],
+    [0x2A, 'ROL', 'acc', 2], [0x26, 'ROL', 'zp', 5], [0x36, 'ROL', 'zpx', 6], [0x2E, 'ROL', 'abs', 6], [0x3E, 'ROL', 'abx', 7],
+    [0x6A, 'ROR', 'acc', 2], [0x66, 'ROR', 'zp', 5], [0x76, 'ROR', 'zpx', 6], [0x6E, 'ROR', 'abs', 6], [0x7E, 'ROR', 'abx', 7],
+    [0x40, 'RTI', 'imp', 6], [0x60, 'RTS', 'imp', 6],
+    [0xE9, 'SBC', 'imm', 2], [0xE5, 'SBC', 'zp', 3], [0xF5, 'SBC', 'zpx', 4], [0xED, 'SBC', 'abs', 4],
+    [0xFD, 'SBC', 'abx', 4, true], [0xF9, 'SBC', 'aby', 4, true], [0xE1, 'SBC', 'izx', 6], [0xF1, 'SBC', 'izy', 5, true],
+    [0x38, 'SEC', 'imp', 2], [0xF8, 'SED', 'imp', 2], [0x78, 'SEI', 'imp', 2],
+    [0x85, 'STA', 'zp', 3], [0x95, 'STA', 'zpx', 4], [0x8D, 'STA', 'abs', 4], [0x9D, 'STA', 'abx', 5],
+    [0x99, 'STA', 'aby', 5], [0x81, 'STA', 'izx', 6], [0x91, 'STA', 'izy', 6],
+    [0x86, 'STX', 'zp', 3], [0x96, 'STX', 'zpy', 4], [0x8E, 'STX', 'abs', 4],
+    [0x84, 'STY', 'zp', 3], [0x94, 'STY', 'zpx', 4], [0x8C, 'STY', 'abs', 4],
+    [0xAA, 'TAX', 'imp', 2], [0xA8, 'TAY', 'imp', 2], [0xBA, 'TSX', 'imp', 2],
+    [0x8A, 'TXA', 'imp', 2], [0x9A, 'TXS', 'imp', 2], [0x98, 'TYA', 'imp', 2]
+];
+
+const OPCODES = new Array(256).fill(null); // opcode byte -> entry
+const BY_MNEMONIC = new Map(); // "LDA abx" -> entry
+
+for (const [opcode, mnemonic, mode, cycles, pagePenalty] of TABLE) {
+    const entry = {
+        opcode: opcode,
+        mnemonic: mnemonic,
+        mode: mode,
+        cycles: cycles,
+        pagePenalty: !!pagePenalty,
+        size: MODE_SIZES[mode]
+    };
+    OPCODES[opcode] = entry;
+    BY_MNEMONIC.set(mnemonic + ' ' + mode, entry);
+}
+
+const BRANCH_MNEMONICS = new Set(['BCC', 'BCS', 'BEQ', 'BMI', 'BNE', 'BPL', 'BVC', 'BVS']);
+const ACCUMULATOR_MNEMONICS = new Set(['ASL', 'LSR', 'ROL', 'ROR']);
+
+/**
+ * Addressing mode from disassembly text, e.g. "LDA $C000,X" → abx.
+ * Returns null when the operand is missing or symbolic and the mode can't
+ * be told (zero page vs absolute).
+ */
+function parseAddressingMode(text) {
+    const trimmed = text.trim();
+    const space = trimmed.indexOf(' ');
+    const mnemonic = (space < 0 ? trimmed : trimmed.substring(0, space)).toUpperCase();
+    const operand = space < 0 ? '' : trimmed.substring(space + 1).trim().toUpperCase();
+
+    if (BRANCH_MNEMONICS.has(mnemonic)) return { mnemonic, mode: 'rel' };
+    if (operand === '') {
+        if (BY_MNEMONIC.has(mnemonic + ' imp')) return { mnemonic, mode: 'imp' };
+        if (ACCUMULATOR_MNEMONICS.has(mnemonic)) return { mnemonic, mode: 'acc' };
+        return { mnemonic, mode: null };
+    }
+    if (operand === 'A') return { mnemonic, mode: 'acc' };
+    if (operand.startsWith('#')) return { mnemonic, mode: 'imm' };
+
+    let match = operand.match(/^\(\$([0-9A-F]+)\s*,\s*X\)$/);
+    if (match) return { mnemonic, mode: 'izx' };
+    match = operand.match(/^\(\$([0-9A-F]+)\)\s*,\s*Y$/);
+    if (match) return { mnemonic, mode: 'izy' };
+    match = operand.match(/^\(\$([0-9A-F]+)\)$/);
+    if (match) return { mnemonic, mode: 'ind' };
+
+    match = operand.match(/^\$([0-9A-F]+)(?:\s*,\s*([XY]))?$/);
+    if (!match) return { mnemonic, mode: null };
+    const zeroPage = match[1].length <= 2;
+    const index = match[2];
+    let mode;
+    if (!index) mode = zeroPage ? 'zp' : 'abs';
+    else if (index === 'X') mode = zeroPage ? 'zpx' : 'abx';
+    else mode = zeroPage ? 'zpy' : 'aby';
+    // Absolute-only instructions written with a short operand
+    if (!BY_MNEMONIC.has(mnemonic + ' ' + mode) && zeroPage) {
+        const wide = { zp: 'abs', zpx: 'abx', zpy: 'aby' }[mode];
+        if (BY_MNEMONIC.has(mnemonic + ' ' + wide)) mode = wide;
+    }
+    return { mnemonic, mode };
+}
+
+// Opcode entry for disassembly text, or null when unknown
+function lookupInstruction(text) {
+    const { mnemonic, mode } = parseAddressingMode(text);
+    if (!mode) return null;
+    return BY_MNEMONIC.get(mnemonic + ' ' + mode) || null;
+}
+
+function hex(value, digits) {
+    return '$' + value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+/**
+ * Disassembly text in the form the profiler parses back, e.g. "LDA ($FB),Y"
+ * or "BNE $0812" (branches show their target). operand is the instruction's
+ * byte or word; addr is where it sits, needed for branches.
+ */
+function formatInstruction(entry, operand, addr) {
+    const m = entry.mnemonic;
+    switch (entry.mode) {
+        case 'imp': return m;
+        case 'acc': return m + ' A';
+        case 'imm': return m + ' #' + hex(operand, 2);
+        case 'zp': return m + ' ' + hex(operand, 2);
+        case 'zpx': return m + ' ' + hex(operand, 2) + ',X';
+        case 'zpy': return m + ' ' + hex(operand, 2) + ',Y';
+        case 'abs': return m + ' ' + hex(operand, 4);
+        case 'abx': return m + ' ' + hex(operand, 4) + ',X';
+        case 'aby': return m + ' ' + hex(operand, 4) + ',Y';
+        case 'izx': return m + ' (' + hex(operand, 2) + ',X)';
+        case 'izy': return m + ' (' + hex(operand, 2) + '),Y';
+        case 'ind': return m + ' (' + hex(operand, 4) + ')';
+        case 'rel': return m + ' ' + hex((addr + 2 + ((operand ^ 0x80) - 0x80)) & 0xffff, 4);
+        default: return m;
+    }
+}
+
+module.exports = {
+    OPCODES,
+    MODE_SIZES,
+    BRANCH_MNEMONICS,
+    parseAddressingMode,
+    lookupInstruction,
+    formatInstruction
+};
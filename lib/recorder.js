@@ -0,0 +1,154 @@
+/**
+ * Trace Recorder
+ * Runs a program on the built-in CPU core (lib/cpu.js) and records the
+ * Chrome trace events the profiler reads: an X event per instruction (with
+ * the stack pointer before it as args.sp, args.ea, the effective address,
+ * for indexed and indirect operands and X as args.x for (zp,X), whose
+ * pointer address it gives) and B/E events around each
+ * JSR ... RTS. Routines can then be profiled
+ * headlessly, e.g. from unit tests, without an external emulator.
+ */
+
+const { CPU6502 } = require('./cpu');
+const { formatInstruction } = require('./opcodes');
+const { hex4, hex2 } = require('./symbols');
+
+const DEFAULT_MAX_CYCLES = 1000000;
+// RTS from the entry routine lands here and ends the run
+const DEFAULT_RETURN_ADDR = 0xFFFF;
+// Modes whose address is already in the instruction text
+const NO_EA_MODES = new Set(['zp', 'abs', 'rel']);
+
+// "$0810", "0x0810" or decimal "2064"
+function parseAddress(value) {
+    const text = String(value).trim();
+    const hex = text.match(/^(?:\$|0x)([0-9A-Fa-f]{1,4})$/);
+    const addr = hex ? parseInt(hex[1], 16) : (/^\d+$/.test(text) ? Number(text) : NaN);
+    if (!(addr >= 0 && addr <= 0xffff)) {
+        throw new Error(`Invalid address: ${value} (expected $xxxx, 0x... or a decimal number)`);
+    }
+    return addr;
+}
+
+/**
+ * Copy a program into memory. Without loadAddr the data is a PRG: its
+ * first two bytes are the load address (little-endian). Returns
+ * { start, end } with end exclusive.
+ */
+function loadProgram(memory, data, loadAddr = null) {
+    let bytes = data;
+    let start = loadAddr;
+    if (start === null) {
+        if (data.length < 2) {
+            throw new Error('PRG file too short for its load address');
+        }
+        start = data[0] | (data[1] << 8);
+        bytes = data.subarray(2);
+    }
+    const end = start + bytes.length;
+    if (end > 0x10000) {
+        throw new Error(`Program of ${bytes.length} bytes at ${hex4(start)} runs past $FFFF`);
+    }
+    memory.set(bytes, start);
+    return { start: start, end: end };
+}
+
+/**
+ * Run from options.entry as a subroutine until it returns, a BRK is
+ * reached or options.maxCycles have passed, calling onEvent(event) for
+ * each trace event (all events are collected and returned without it).
+ *
+ * options:
+ *   entry: start address (default: the CPU's current PC)
+ *   maxCycles: cycle limit (default 1,000,000)
+ *   returnAddr: where the entry routine's RTS goes; reaching it ends the run
+ *   stopOnBrk: end the run at BRK instead of entering the IRQ/BRK handler (default true)
+ *
+ * Returns { traceEvents (when collected), stopReason: 'return' | 'brk' |
+ * 'max-cycles', cycles, instructions }.
+ */
+function recordTrace(cpu, options = {}, onEvent = null) {
+    const opts = Object.assign({ entry: null, maxCycles: DEFAULT_MAX_CYCLES, returnAddr: DEFAULT_RETURN_ADDR, stopOnBrk: true }, options);
+    const events = onEvent ? null : [];
+    const emit = onEvent || (event => events.push(event));
+
+    if (opts.entry !== null) {
+        cpu.pc = opts.entry;
+    }
+    // Enter like a JSR from just before returnAddr, so the final RTS ends the run
+    cpu.push16((opts.returnAddr - 1) & 0xffff);
+    const start = cpu.cycles;
+    // Routines with an open B event. Every RTS closes the innermost one, so
+    // an RTS used as a jump (RTS dispatch) ends that routine's event early
+    const open = [hex4(cpu.pc)];
+    emit({ name: open[0], cat: 'subroutine', ph: 'B', ts: 0 });
+    let instructions = 0;
+    let stopReason = 'max-cycles';
+
+    while (cpu.cycles - start < opts.maxCycles) {
+        if (cpu.pc === opts.returnAddr && open.length === 0) {
+            stopReason = 'return';
+            break;
+        }
+        if (opts.stopOnBrk && cpu.read(cpu.pc) === 0x00) {
+            stopReason = 'brk';
+            break;
+        }
+        const ts = cpu.cycles - start;
+        const sp = cpu.sp;
+        const x = cpu.x;
+        const step = cpu.step();
+        instructions++;
+        const mnemonic = step.entry.mnemonic;
+        const args = { addr: hex4(step.addr), cycles: step.cycles, sp: hex2(sp) };
+        // Data address of indexed/indirect operands (jump targets are in the name)
+        if (step.ea !== null && !NO_EA_MODES.has(step.entry.mode) && mnemonic !== 'JMP' && mnemonic !== 'JSR') {
+            args.ea = hex4(step.ea);
+        }
+        if (step.entry.mode === 'izx') {
+            args.x = hex2(x);
+        }
+        emit({
+            name: formatInstruction(step.entry, step.operand, step.addr),
+            cat: 'instruction',
+            ph: 'X',
+            ts: ts,
+            dur: step.cycles,
+            args: args
+        });
+        if (mnemonic === 'JSR') {
+            open.push(hex4(step.ea));
+            emit({ name: open[open.length - 1], cat: 'subroutine', ph: 'B', ts: cpu.cycles - start });
+        } else if (mnemonic === 'RTS' && open.length > 0) {
+            emit({ name: open.pop(), cat: 'subroutine', ph: 'E', ts: cpu.cycles - start });
+        }
+    }
+
+    const result = { stopReason: stopReason, cycles: cpu.cycles - start, instructions: instructions };
+    if (events) {
+        result.traceEvents = events;
+    }
+    return result;
+}
+
+/**
+ * Load a program into a fresh CPU and record it: the usual one-call use.
+ * options: recordTrace() options plus load (load address for raw binaries;
+ * PRG header when omitted). entry defaults to the load address.
+ */
+function recordProgram(data, options = {}, onEvent = null) {
+    const cpu = new CPU6502();
+    const load = options.load === undefined || options.load === null ? null : options.load;
+    const { start } = loadProgram(cpu.memory, data, load);
+    const entry = options.entry === undefined || options.entry === null ? start : options.entry;
+    return recordTrace(cpu, Object.assign({}, options, { entry: entry }), onEvent);
+}
+
+module.exports = {
+    DEFAULT_MAX_CYCLES,
+    DEFAULT_RETURN_ADDR,
+    parseAddress,
+    loadProgram,
+    recordTrace,
+    recordProgram
+};
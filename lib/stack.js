@@ -0,0 +1,124 @@
+/**
+ * Stack Usage
+ * Follows the 6502 hardware stack ($0100-$01FF) through a trace. With the
+ * SP register in the events (args.sp) usage is exact: $FF - SP bytes of the
+ * page. Without it, bytes are counted from the instructions (JSR/RTS 2,
+ * PHA/PHP/PLA/PLP 1, BRK/RTI and interrupt entry 3) relative to the lowest
+ * level seen, so a TXS restarts the count. Also records the deepest call
+ * nesting, and the call path at each peak.
+ */
+
+const STACK_PAGE_BYTES = 256;
+// Peak usage from which the report warns that the page is nearly full
+const STACK_WARNING_BYTES = 224;
+const INTERRUPT_ENTRY_BYTES = 3;
+
+// Net bytes each instruction pushes (negative: pulls)
+const STACK_EFFECT = { JSR: 2, RTS: -2, PHA: 1, PHP: 1, PLA: -1, PLP: -1, BRK: 3, RTI: -3 };
+
+// args.sp as a number ("$F3", "F3" or a number), or null when missing
+function parseStackPointer(value) {
+    if (value === undefined || value === null) return null;
+    const sp = typeof value === 'number' ? value : parseInt(String(value).replace(/^\$|^0x/i, ''), 16);
+    return sp >= 0 && sp <= 0xff ? sp : null;
+}
+
+// Names of the open calls, outermost first (interrupt frames without a node yet show their kind)
+function callPath(callStack) {
+    return callStack.slice(1).map(frame => frame.node ? frame.node.name : frame.interrupt);
+}
+
+class StackTracker {
+    constructor() {
+        this.fromRegister = null; // true once the first instruction had args.sp
+        this.bytes = 0; // counted mode: net bytes pushed since the start
+        this.low = 0; // counted mode: lowest level seen, the baseline
+        this.high = 0;
+        this.startSp = null; // register mode: SP at the first instruction
+        this.minSp = null;
+        this.peakPath = [];
+        this.resets = 0; // TXS instructions (counted mode restarts there)
+        this.maxDepth = 0;
+        this.depthPath = [];
+    }
+
+    /**
+     * Before an instruction runs: sp is its args.sp (or undefined) and
+     * callStack the profiler's open frames, the innermost owning the
+     * instruction. node.stackPeak keeps the most each call path used.
+     */
+    instruction(mnemonic, sp, callStack) {
+        const register = parseStackPointer(sp);
+        if (this.fromRegister === null) {
+            this.fromRegister = register !== null;
+            if (register !== null) this.startSp = register;
+        }
+
+        const depth = callStack.length - 1;
+        if (depth > this.maxDepth) {
+            this.maxDepth = depth;
+            this.depthPath = callPath(callStack);
+        }
+
+        let used;
+        if (this.fromRegister) {
+            if (register === null) return;
+            if (this.minSp === null || register < this.minSp) {
+                this.minSp = register;
+                this.peakPath = callPath(callStack);
+            }
+            used = 0xff - register;
+        } else {
+            if (this.bytes > this.high) {
+                this.high = this.bytes;
+                this.peakPath = callPath(callStack);
+            }
+            used = this.bytes;
+            this.bytes += STACK_EFFECT[mnemonic] || 0;
+            if (mnemonic === 'TXS') {
+                this.resets++;
+                this.bytes = this.low;
+            }
+            if (this.bytes < this.low) this.low = this.bytes;
+        }
+        const node = callStack[callStack.length - 1].node;
+        if (node && (node.stackPeak === undefined || used > node.stackPeak)) {
+            node.stackPeak = used;
+        }
+    }
+
+    // An interrupt was taken (not BRK, which is counted as an instruction)
+    interrupt() {
+        if (!this.fromRegister) {
+            this.bytes += INTERRUPT_ENTRY_BYTES;
+        }
+    }
+
+    /**
+     * Peak bytes in use: of the page below $01FF with the register, else
+     * above the lowest counted level.
+     */
+    peakBytes() {
+        if (this.fromRegister) {
+            return this.minSp === null ? 0 : 0xff - this.minSp;
+        }
+        return this.high - this.low;
+    }
+
+    // Counted usage is relative to the lowest level, so node peaks are shifted by the baseline
+    nodePeak(node) {
+        if (node.stackPeak === undefined) return null;
+        return this.fromRegister ? node.stackPeak : node.stackPeak - this.low;
+    }
+
+    nearlyFull() {
+        return this.peakBytes() >= STACK_WARNING_BYTES;
+    }
+}
+
+module.exports = {
+    STACK_PAGE_BYTES,
+    STACK_WARNING_BYTES,
+    StackTracker,
+    parseStackPointer
+};
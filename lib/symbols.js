@@ -0,0 +1,227 @@
+/**
+ * Symbol Table
+ * Address → label map with nearest-label lookup, used to name raw JSR
+ * targets and annotate instruction operands, plus loaders for the label
+ * files written by KickAssembler, VICE, ca65/ld65, ACME, DASM and 64tass.
+ */
+
+// Only resolve to a preceding label within this many bytes
+const MAX_LABEL_OFFSET = 0x100;
+
+function hex4(addr) {
+    return '$' + addr.toString(16).toUpperCase().padStart(4, '0');
+}
+
+function hex2(value) {
+    return '$' + value.toString(16).toUpperCase().padStart(2, '0');
+}
+
+class SymbolTable extends Map {
+    constructor(entries) {
+        super(entries);
+        this.sortedAddrs = null;
+    }
+
+    set(addr, label) {
+        this.sortedAddrs = null;
+        return super.set(addr, label);
+    }
+
+    // Nearest label at or below addr: { name, offset } or null
+    nearest(addr) {
+        if (this.has(addr)) {
+            return { name: this.get(addr), offset: 0 };
+        }
+        if (!this.sortedAddrs) {
+            this.sortedAddrs = Array.from(this.keys()).sort((a, b) => a - b);
+        }
+        const addrs = this.sortedAddrs;
+        let lo = 0;
+        let hi = addrs.length - 1;
+        let found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (addrs[mid] <= addr) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        if (found < 0 || addr - addrs[found] > MAX_LABEL_OFFSET) {
+            return null;
+        }
+        return { name: this.get(addrs[found]), offset: addr - addrs[found] };
+    }
+
+    // "label", "label+12" or "$0835" when nothing is close
+    formatAddress(addr) {
+        const hit = this.nearest(addr);
+        if (!hit) return hex4(addr);
+        return hit.offset === 0 ? hit.name : hit.name + '+' + hit.offset;
+    }
+
+    /**
+     * Replace operand addresses with labels: "LDA $C000,X" → "LDA table,X".
+     * Absolute operands use nearest label + offset; zero-page operands are
+     * only replaced on an exact match, since ZP labels are sparse.
+     */
+    annotateInstruction(text) {
+        if (this.size === 0) return text;
+        return text.replace(/(^|[\s(])\$([0-9A-Fa-f]{2,4})(?![0-9A-Fa-f])/, (match, prefix, digits) => {
+            const addr = parseInt(digits, 16);
+            if (digits.length <= 2) {
+                return this.has(addr) ? prefix + this.get(addr) : match;
+            }
+            const label = this.formatAddress(addr);
+            return label.startsWith('$') ? match : prefix + label;
+        });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Symbol file parsers. Each takes the file content and returns
+// { symbols, unparsed } where unparsed lists { line, text } for every
+// non-blank, non-comment line it did not understand.
+// ---------------------------------------------------------------------------
+
+function parseLines(content, parseLine) {
+    const symbols = new SymbolTable();
+    const unparsed = [];
+    content.split(/\r?\n/).forEach((raw, index) => {
+        const text = raw.trim();
+        if (text === '' || /^(;|\/\/|#)/.test(text)) return;
+        const result = parseLine(text);
+        if (result === null) {
+            unparsed.push({ line: index + 1, text: text });
+        } else if (result) {
+            symbols.set(result.addr, result.name);
+        }
+        // result === false: understood, but not an address label
+    });
+    return { symbols, unparsed };
+}
+
+function parseNumber(text) {
+    if (/^\$[0-9A-Fa-f]+$/.test(text)) return parseInt(text.substring(1), 16);
+    if (/^0x[0-9A-Fa-f]+$/i.test(text)) return parseInt(text.substring(2), 16);
+    if (/^[0-9]+$/.test(text)) return parseInt(text, 10);
+    return NaN;
+}
+
+// KickAssembler -symbolfile / -vicesymbols off: ".label name = $0810"
+function parseKickAssembler(content) {
+    return parseLines(content, (text) => {
+        const match = text.match(/^\.label\s+([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(\$[0-9A-Fa-f]+|[0-9]+)/);
+        if (match) return { name: match[1], addr: parseNumber(match[2]) };
+        if (/^\.(const|var|namespace)\b/.test(text) || text === '}') return false;
+        return null;
+    });
+}
+
+// VICE monitor labels, also written by ld65 -Ln and 64tass --vice-labels:
+// "al C:0810 .main" / "al 000810 .main"
+function parseVice(content) {
+    return parseLines(content, (text) => {
+        const match = text.match(/^al\s+(?:[A-Za-z]:)?([0-9A-Fa-f]{1,6})\s+\.?(\S+)/);
+        if (match) return { name: match[2], addr: parseInt(match[1], 16) & 0xffff };
+        return null;
+    });
+}
+
+// ld65 --dbgfile: tab-separated records; only "sym" records carry labels
+const LD65_RECORDS = ['version', 'info', 'csym', 'file', 'lib', 'line', 'mod', 'scope', 'seg', 'span', 'sym', 'type'];
+
+function parseDebugRecord(text) {
+    const tab = text.search(/\s/);
+    if (tab < 0) return null;
+    const record = { kind: text.substring(0, tab), fields: {} };
+    const body = text.substring(tab + 1);
+    const re = /([a-z]+)=("(?:[^"\\]|\\.)*"|[^,]*)/g;
+    let m;
+    while ((m = re.exec(body)) !== null) {
+        let value = m[2];
+        if (value.startsWith('"')) value = value.slice(1, -1);
+        record.fields[m[1]] = value;
+    }
+    return record;
+}
+
+function parseLd65Debug(content) {
+    return parseLines(content, (text) => {
+        const record = parseDebugRecord(text);
+        if (!record || !LD65_RECORDS.includes(record.kind)) return null;
+        if (record.kind !== 'sym') return false;
+        const f = record.fields;
+        if (f.type === 'imp' || f.type === 'equ') return false;
+        if (f.val === undefined) return null;
+        return { name: f.name, addr: parseNumber(f.val) };
+    });
+}
+
+// ACME --symbollist and 64tass --labels: "main = $0810" (ACME adds "; ?" for unused)
+function parseAssignments(content) {
+    return parseLines(content, (text) => {
+        const match = text.match(/^([A-Za-z_.@][A-Za-z0-9_.@]*)\s*=\s*(\$[0-9A-Fa-f]+|0x[0-9A-Fa-f]+|[0-9]+)\s*(;.*)?$/);
+        if (match) return { name: match[1], addr: parseNumber(match[2]) };
+        return null;
+    });
+}
+
+// DASM -s: "main                     0810              (R )"
+function parseDasm(content) {
+    return parseLines(content, (text) => {
+        if (/^---/.test(text)) return false;
+        const match = text.match(/^([A-Za-z_.][A-Za-z0-9_.]*)\s+([0-9A-Fa-f]{1,4})\b(\s+\(?[A-Za-z ]*\)?)?$/);
+        if (match) return { name: match[1], addr: parseInt(match[2], 16) };
+        return null;
+    });
+}
+
+const SYMBOL_FORMATS = {
+    kickass: parseKickAssembler,
+    vice: parseVice,
+    ld65: parseVice,
+    ld65dbg: parseLd65Debug,
+    acme: parseAssignments,
+    '64tass': parseAssignments,
+    dasm: parseDasm
+};
+
+// Guess the format from the file content
+function detectSymbolFormat(content) {
+    if (/^\s*\.label\s/m.test(content)) return 'kickass';
+    if (/^al\s+(?:[A-Za-z]:)?[0-9A-Fa-f]{1,6}\s/m.test(content)) return 'vice';
+    if (/^version\s+major=/m.test(content) || /^sym\s+id=/m.test(content)) return 'ld65dbg';
+    if (/^---\s*Symbol List/m.test(content)) return 'dasm';
+    if (/^\s*[A-Za-z_.@][A-Za-z0-9_.@]*\s*=\s*(\$|0x|[0-9])/m.test(content)) {
+        return /;\s*\?/.test(content) || /^\s+\S+\s*=/m.test(content) ? 'acme' : '64tass';
+    }
+    if (/^[A-Za-z_.][A-Za-z0-9_.]*\s+[0-9A-Fa-f]{4}\b/m.test(content)) return 'dasm';
+    return 'kickass';
+}
+
+/**
+ * Parse symbol file content. options.format forces a parser; otherwise it is
+ * detected. Returns { symbols, format, unparsed }.
+ */
+function parseSymbols(content, options = {}) {
+    const format = options.format || detectSymbolFormat(content);
+    const parser = SYMBOL_FORMATS[format];
+    if (!parser) {
+        throw new Error('Unknown symbol format: ' + format + ' (expected ' + Object.keys(SYMBOL_FORMATS).join(', ') + ')');
+    }
+    const result = parser(content);
+    result.format = format;
+    return result;
+}
+
+module.exports = {
+    SymbolTable,
+    hex4,
+    hex2,
+    parseSymbols,
+    detectSymbolFormat,
+    parseDebugRecord,
+    SYMBOL_FORMATS
+};
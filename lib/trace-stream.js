@@ -0,0 +1,250 @@
+/**
+ * Streaming Trace Reader
+ * Reads Chrome Trace Event JSON incrementally, handing each event to a
+ * callback without holding the whole file in memory. Accepts the
+ * {"traceEvents":[...]} wrapper, a bare array (with or without the closing
+ * bracket, as Chrome allows) and JSON-lines, optionally gzip-compressed.
+ * Emulator text logs (VICE, MAME, Mesen) are converted on the way in by
+ * lib/emulator-logs.js.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { LOG_FORMATS, detectLogFormat, LogConverter, convertLog } = require('./emulator-logs');
+
+const QUOTE = 34; // "
+const BACKSLASH = 92;
+const OPEN_BRACE = 123;
+const CLOSE_BRACE = 125;
+const OPEN_BRACKET = 91;
+const CLOSE_BRACKET = 93;
+
+/**
+ * Incremental parser: feed text with write(), call end() when done.
+ * Only event objects are materialised; everything else is skipped by a
+ * character scanner that tracks string and nesting state.
+ */
+class TraceEventParser {
+    constructor(onEvent) {
+        this.onEvent = onEvent;
+        this.depth = 0;
+        this.inString = false;
+        this.escape = false;
+        this.eventDepth = -1; // nesting depth just outside an event object
+        this.eventsArrayDepth = -1; // depth of the traceEvents array once found
+        this.capturing = false;
+        this.pieces = [];
+        this.captureStart = 0;
+        this.keyText = null; // string being read at depth 1 of a top-level object
+        this.lastKey = null;
+        this.eventCount = 0;
+    }
+
+    write(chunk) {
+        this.captureStart = 0;
+        for (let i = 0; i < chunk.length; i++) {
+            const c = chunk.charCodeAt(i);
+
+            if (this.inString) {
+                if (this.escape) {
+                    this.escape = false;
+                } else if (c === BACKSLASH) {
+                    this.escape = true;
+                } else if (c === QUOTE) {
+                    this.inString = false;
+                    if (this.keyText !== null) {
+                        this.lastKey = this.keyText;
+                        this.keyText = null;
+                    }
+                    continue;
+                }
+                if (this.keyText !== null) this.keyText += chunk[i];
+                continue;
+            }
+
+            if (c === QUOTE) {
+                this.inString = true;
+                // Keys of a top-level object tell us where traceEvents starts
+                if (this.depth === 1 && this.eventDepth !== 1) this.keyText = '';
+            } else if (c === OPEN_BRACE || c === OPEN_BRACKET) {
+                if (this.depth === 0) {
+                    if (c === OPEN_BRACKET) {
+                        this.eventDepth = 1; // bare array
+                    } else {
+                        // Either the wrapper or the first JSON-lines event: capture
+                        // until we know
+                        this.eventDepth = 0;
+                        this.beginCapture(i);
+                    }
+                } else if (c === OPEN_BRACKET && this.depth === 1 && this.eventDepth === 0 && this.lastKey === 'traceEvents') {
+                    // It was the wrapper after all
+                    this.capturing = false;
+                    this.pieces = [];
+                    this.eventDepth = 2;
+                    this.eventsArrayDepth = 1;
+                } else if (c === OPEN_BRACE && this.depth === this.eventDepth && this.depth > 0 && this.inEventsArray()) {
+                    this.beginCapture(i);
+                }
+                this.depth++;
+            } else if (c === CLOSE_BRACE || c === CLOSE_BRACKET) {
+                this.depth--;
+                if (this.depth === this.eventDepth && this.capturing && c === CLOSE_BRACE) {
+                    this.finishCapture(chunk, i);
+                } else if (this.depth === this.eventsArrayDepth && c === CLOSE_BRACKET) {
+                    this.eventsArrayDepth = -1; // traceEvents closed; ignore what follows
+                    this.eventDepth = -1;
+                }
+            }
+        }
+        if (this.capturing) {
+            this.pieces.push(chunk.substring(this.captureStart));
+        }
+    }
+
+    inEventsArray() {
+        return this.eventDepth === 1 || this.eventsArrayDepth === 1;
+    }
+
+    beginCapture(index) {
+        this.capturing = true;
+        this.pieces = [];
+        this.captureStart = index;
+    }
+
+    finishCapture(chunk, index) {
+        this.pieces.push(chunk.substring(this.captureStart, index + 1));
+        const text = this.pieces.join('');
+        this.pieces = [];
+        this.capturing = false;
+        this.eventCount++;
+        this.onEvent(JSON.parse(text));
+    }
+
+    end() {
+        if (this.inString || (this.capturing && this.depth > 0)) {
+            throw new Error('Trace ended in the middle of an event (truncated file?)');
+        }
+    }
+}
+
+const SNIFF_BYTES = 64 * 1024;
+
+function isGzip(filename) {
+    const fd = fs.openSync(filename, 'r');
+    const header = Buffer.alloc(2);
+    const read = fs.readSync(fd, header, 0, 2, 0);
+    fs.closeSync(fd);
+    return read === 2 && header[0] === 0x1f && header[1] === 0x8b;
+}
+
+// Text at the start of a trace file, decompressed
+function readHead(filename) {
+    const fd = fs.openSync(filename, 'r');
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const read = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    fs.closeSync(fd);
+    const head = buffer.subarray(0, read);
+    if (read >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+        // A truncated gzip stream: flush what decompresses
+        return zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('utf8');
+    }
+    return head.toString('utf8');
+}
+
+/**
+ * 'json' for Chrome trace events, otherwise the emulator log format
+ * (logFormat when given, else detected from the first lines).
+ */
+function traceFormat(text, logFormat) {
+    if (logFormat) {
+        if (!LOG_FORMATS[logFormat]) {
+            throw new Error(`Unknown log format: ${logFormat} (expected ${Object.keys(LOG_FORMATS).join(', ')})`);
+        }
+        return logFormat;
+    }
+    const first = text.trimStart()[0];
+    if (first === '{' || first === '[' || first === undefined) return 'json';
+    const detected = detectLogFormat(text);
+    if (!detected) {
+        throw new Error('Unrecognised trace: expected Chrome trace JSON or a VICE, MAME or Mesen log (see --log-format)');
+    }
+    return detected;
+}
+
+function createParser(format, onEvent) {
+    return format === 'json' ? new TraceEventParser(onEvent) : new LogConverter(format, onEvent);
+}
+
+/**
+ * Stream events from a trace file. onProgress(bytesRead, totalBytes) is
+ * called per chunk with compressed byte counts for .gz input. logFormat
+ * forces an emulator log parser (see lib/emulator-logs.js).
+ * Resolves with the number of events read.
+ */
+function streamTraceEvents(filename, onEvent, onProgress, logFormat = null) {
+    const totalBytes = fs.statSync(filename).size;
+    const parser = createParser(traceFormat(readHead(filename), logFormat), onEvent);
+    const fileStream = fs.createReadStream(filename, { highWaterMark: 1 << 20 });
+    let bytesRead = 0;
+    fileStream.on('data', (chunk) => {
+        bytesRead += chunk.length;
+        if (onProgress) onProgress(bytesRead, totalBytes);
+    });
+
+    const input = isGzip(filename) ? fileStream.pipe(zlib.createGunzip()) : fileStream;
+    input.setEncoding('utf8');
+
+    return new Promise((resolve, reject) => {
+        fileStream.on('error', reject);
+        input.on('error', reject);
+        input.on('data', (text) => {
+            try {
+                parser.write(text);
+            } catch (err) {
+                fileStream.destroy();
+                reject(err);
+            }
+        });
+        input.on('end', () => {
+            try {
+                parser.end();
+                resolve(parser.eventCount);
+            } catch (err) {
+                reject(err);
+            }
+        });
+    });
+}
+
+/**
+ * In-memory equivalent for small traces: all three layouts, gzip and
+ * emulator logs included.
+ */
+function readTraceEvents(filename, logFormat = null) {
+    let buffer = fs.readFileSync(filename);
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer);
+    }
+    const text = buffer.toString('utf8');
+    const format = traceFormat(text.substring(0, SNIFF_BYTES), logFormat);
+    if (format !== 'json') {
+        return convertLog(text, format);
+    }
+    try {
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : (data.traceEvents || []);
+    } catch (err) {
+        // JSON-lines, or an array missing its closing bracket
+        const events = [];
+        const parser = new TraceEventParser(event => events.push(event));
+        parser.write(text);
+        parser.end();
+        return events;
+    }
+}
+
+module.exports = {
+    TraceEventParser,
+    streamTraceEvents,
+    readTraceEvents
+};
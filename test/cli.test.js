@@ -0,0 +1,34 @@
+/**
+ * lib/cli.js: argument parsing and its errors.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('../lib/cli');
+
+const COMMANDS = {
+    profile: { maxArgs: 3, options: { frames: 'optional', 'min-percent': 'number', project: 'flag' } },
+    export: { maxArgs: 3, options: { format: 'string' } }
+};
+
+test('command, positionals and camelCased options', () => {
+    assert.deepStrictEqual(parseArgs(['export', 'a.json', 'a.sym', '--format=pprof'], COMMANDS, 'profile'),
+        { command: 'export', args: ['a.json', 'a.sym'], options: { format: 'pprof' } });
+    assert.deepStrictEqual(parseArgs(['a.json', 'a.sym', '--frames', '--min-percent=2', '-h'], COMMANDS, 'profile'),
+        { command: 'profile', args: ['a.json', 'a.sym'], options: { frames: true, minPercent: 2, help: true } });
+});
+
+const ERRORS = [
+    [['export', 'a.json', 'a.sym', '-o', 'out.folded'], /Unknown option -o for export/],
+    [['export', 'a.json', 'a.sym', 'out', 'x', 'y'], /Too many arguments for export: x y/],
+    [['a.json', '--nope'], /Unknown option --nope for profile/],
+    [['a.json', '--project=yes'], /--project takes no value/],
+    [['a.json', '--min-percent=-1'], /non-negative number/],
+    [['export', '--format'], /--format needs a value/]
+];
+
+for (const [argv, message] of ERRORS) {
+    test('rejects ' + argv.join(' '), () => {
+        assert.throws(() => parseArgs(argv, COMMANDS, 'profile'), message);
+    });
+}
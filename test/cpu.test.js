@@ -0,0 +1,130 @@
+/**
+ * lib/cpu.js: cycle counts with page-crossing and branch penalties, and
+ * NMOS decimal-mode ADC/SBC.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CPU6502 } = require('../lib/cpu');
+
+const START = 0x0200;
+const FLAG_C = 0x01;
+const FLAG_Z = 0x02;
+const FLAG_D = 0x08;
+
+// A CPU with code at START, registers from regs and memory pokes from mem ({ addr: byte })
+function setup(code, regs = {}, mem = {}) {
+    const cpu = new CPU6502();
+    cpu.memory.set(code, START);
+    for (const [addr, value] of Object.entries(mem)) cpu.memory[Number(addr)] = value;
+    Object.assign(cpu, { pc: START }, regs);
+    return cpu;
+}
+
+const CYCLES = [
+    ['LDA #imm', [0xA9, 0x01], {}, {}, 2],
+    ['LDA zp', [0xA5, 0x10], {}, {}, 3],
+    ['LDA zp,X', [0xB5, 0x10], { x: 1 }, {}, 4],
+    ['LDA abs', [0xAD, 0x34, 0x12], {}, {}, 4],
+    ['LDA abs,X same page', [0xBD, 0x34, 0x12], { x: 1 }, {}, 4],
+    ['LDA abs,X page cross', [0xBD, 0xFF, 0x12], { x: 1 }, {}, 5],
+    ['LDA abs,Y same page', [0xB9, 0x00, 0x12], { y: 0xFF }, {}, 4],
+    ['LDA abs,Y page cross', [0xB9, 0x01, 0x12], { y: 0xFF }, {}, 5],
+    ['LDA (zp),Y same page', [0xB1, 0x10], { y: 1 }, { 0x10: 0x00, 0x11: 0x12 }, 5],
+    ['LDA (zp),Y page cross', [0xB1, 0x10], { y: 1 }, { 0x10: 0xFF, 0x11: 0x12 }, 6],
+    ['LDA (zp,X)', [0xA1, 0x10], { x: 2 }, { 0x12: 0x00, 0x13: 0x12 }, 6],
+    ['STA abs,X page cross (no penalty)', [0x9D, 0xFF, 0x12], { x: 1 }, {}, 5],
+    ['STA (zp),Y page cross (no penalty)', [0x91, 0x10], { y: 1 }, { 0x10: 0xFF, 0x11: 0x12 }, 6],
+    ['INC abs,X', [0xFE, 0x34, 0x12], { x: 1 }, {}, 7],
+    ['PHA', [0x48], {}, {}, 3],
+    ['PLA', [0x68], {}, {}, 4],
+    ['JSR', [0x20, 0x00, 0x30], {}, {}, 6],
+    ['RTS', [0x60], {}, {}, 6],
+    ['JMP abs', [0x4C, 0x00, 0x30], {}, {}, 3],
+    ['JMP (ind)', [0x6C, 0x00, 0x30], {}, {}, 5],
+    ['BRK', [0x00], {}, {}, 7],
+    ['BNE not taken', [0xD0, 0x10], { p: FLAG_Z }, {}, 2],
+    ['BNE taken, same page', [0xD0, 0x10], { p: 0 }, {}, 3],
+    ['BNE taken, page cross', [0xD0, 0xF0], { p: 0 }, {}, 4],
+    ['BCS taken, same page backwards', [0xB0, 0xFE], { p: FLAG_C }, {}, 3]
+];
+
+for (const [name, code, regs, mem, cycles] of CYCLES) {
+    test(`cycles: ${name}`, () => {
+        const cpu = setup(code, regs, mem);
+        const step = cpu.step();
+        assert.strictEqual(step.cycles, cycles);
+        assert.strictEqual(cpu.cycles, cycles);
+    });
+}
+
+test('page-crossing reads still reach the right address', () => {
+    const cpu = setup([0xB1, 0x10], { y: 1 }, { 0x10: 0xFF, 0x11: 0x12, 0x1300: 0x42 });
+    const step = cpu.step();
+    assert.strictEqual(step.ea, 0x1300);
+    assert.strictEqual(cpu.a, 0x42);
+});
+
+test('taken branch across a page lands on the target', () => {
+    const cpu = setup([0xD0, 0xF0], { p: 0 });
+    cpu.step();
+    assert.strictEqual(cpu.pc, 0x01F2);
+});
+
+// [a, operand, carry in, result, carry out]
+const DECIMAL_ADC = [
+    [0x12, 0x34, 0, 0x46, 0],
+    [0x09, 0x01, 0, 0x10, 0],
+    [0x58, 0x46, 1, 0x05, 1],
+    [0x99, 0x01, 0, 0x00, 1],
+    [0x50, 0x50, 0, 0x00, 1]
+];
+
+for (const [a, operand, carryIn, result, carryOut] of DECIMAL_ADC) {
+    test(`decimal ADC: ${a.toString(16)} + ${operand.toString(16)} + ${carryIn}`, () => {
+        const cpu = setup([0x69, operand], { a: a, p: FLAG_D | carryIn });
+        cpu.step();
+        assert.strictEqual(cpu.a, result);
+        assert.strictEqual(cpu.p & FLAG_C, carryOut);
+    });
+}
+
+test('decimal ADC takes Z from the binary sum (NMOS)', () => {
+    // $99 + $01 is $00 in BCD but $9A in binary
+    const cpu = setup([0x69, 0x01], { a: 0x99, p: FLAG_D });
+    cpu.step();
+    assert.strictEqual(cpu.a, 0x00);
+    assert.strictEqual(cpu.p & FLAG_Z, 0);
+});
+
+// [a, operand, carry in, result, carry out]
+const DECIMAL_SBC = [
+    [0x46, 0x12, 1, 0x34, 1],
+    [0x40, 0x13, 1, 0x27, 1],
+    [0x32, 0x02, 0, 0x29, 1],
+    [0x12, 0x21, 1, 0x91, 0],
+    [0x00, 0x01, 1, 0x99, 0]
+];
+
+for (const [a, operand, carryIn, result, carryOut] of DECIMAL_SBC) {
+    test(`decimal SBC: ${a.toString(16)} - ${operand.toString(16)} - ${1 - carryIn}`, () => {
+        const cpu = setup([0xE9, operand], { a: a, p: FLAG_D | carryIn });
+        cpu.step();
+        assert.strictEqual(cpu.a, result);
+        assert.strictEqual(cpu.p & FLAG_C, carryOut);
+    });
+}
+
+test('binary ADC and SBC when D is clear', () => {
+    const cpu = setup([0x69, 0x01, 0xE9, 0x01], { a: 0x09, p: 0 });
+    cpu.step();
+    assert.strictEqual(cpu.a, 0x0A);
+    cpu.p |= FLAG_C;
+    cpu.step();
+    assert.strictEqual(cpu.a, 0x09);
+});
+
+test('undocumented opcodes are an error', () => {
+    const cpu = setup([0x02]);
+    assert.throws(() => cpu.step(), /Undocumented opcode \$02 at \$0200/);
+});
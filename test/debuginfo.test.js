@@ -0,0 +1,95 @@
+/**
+ * lib/debuginfo.js: ca65 debug info, KickAssembler debug dumps and listings
+ * map addresses to the same source lines, and the Source tab attributes the
+ * traced cycles to them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const CallTreeProfiler = require('../call-tree-profiler-v5');
+const { loadDebugInfo, detectDebugFormat } = require('../lib/debuginfo');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const DEBUGINFO = path.join(FIXTURES, 'debuginfo');
+
+const FORMATS = [
+    // [file, detected format, source file shown, its line for line 1 of nested.s]
+    ['ca65.dbg', 'ca65', 'nested.s', 1],
+    ['kickass.dbg', 'kickass', 'nested.s', 1],
+    ['nested.lst', 'listing', 'nested.lst', 5]
+];
+
+// nested.s line -> [count, cycles] for test/fixtures/nested.json
+const LINE_CYCLES = new Map([
+    [2, [1, 6]], [3, [1, 2]], [4, [2, 12]], [5, [2, 4]], [6, [2, 5]], [7, [1, 6]], [8, [1, 6]],
+    [10, [1, 2]], [11, [1, 2]], [12, [1, 6]],
+    [13, [2, 12]], [14, [2, 12]],
+    [15, [2, 4]], [16, [2, 12]],
+    [17, [1, 2]], [18, [1, 2]], [19, [1, 6]]
+]);
+
+// Source tab rows of one file: line -> [count, cycles]
+function renderedLines(html, file) {
+    const section = html.split('<div class="source-file">').find(part => part.includes(`<h3>${file}</h3>`));
+    assert.ok(section, `no Source tab section for ${file}`);
+    const rows = new Map();
+    const re = /<span class="line-no">(\d+)<\/span><span class="stat tertiary">([\d,]+)×<\/span><span class="stat primary">([\d,]+)<\/span>/g;
+    let match;
+    while ((match = re.exec(section)) !== null) {
+        rows.set(Number(match[1]), [Number(match[2].replace(/,/g, '')), Number(match[3].replace(/,/g, ''))]);
+    }
+    return rows;
+}
+
+for (const [file, format, source, first] of FORMATS) {
+    const debugFile = path.join(DEBUGINFO, file);
+    const offset = first - 1;
+
+    test(`${file} is detected as ${format} and maps addresses to lines`, () => {
+        assert.strictEqual(detectDebugFormat(fs.readFileSync(debugFile, 'utf8')), format);
+        const map = loadDebugInfo(debugFile);
+        assert.strictEqual(map.format, format);
+
+        const where = (addr) => {
+            const loc = map.lookup(addr);
+            return loc && [map.files[loc.file].name, loc.line];
+        };
+        assert.deepStrictEqual(where(0x0810), [source, 2 + offset]);
+        assert.deepStrictEqual(where(0x0812), [source, 2 + offset]); // operand bytes of the JSR
+        assert.deepStrictEqual(where(0x0819), [source, 6 + offset]);
+        assert.deepStrictEqual(where(0x0834), [source, 13 + offset]);
+        assert.deepStrictEqual(where(0x083C), [source, 19 + offset]);
+        assert.strictEqual(where(0x0820), null); // the .res gap
+        assert.strictEqual(where(0x083D), null);
+
+        const text = map.files[map.lookup(0x0834).file].text;
+        assert.match(text[13 + offset - 1], /draw:\s+jsr plot/);
+    });
+
+    test(`the Source tab attributes cycles to ${source} lines using ${file}`, () => {
+        const profiler = new CallTreeProfiler(path.join(FIXTURES, 'nested.json'), path.join(FIXTURES, 'nested.sym'),
+            { debugInfo: debugFile });
+        const html = profiler.generateHTML(profiler.getCallTree());
+        const expected = new Map(Array.from(LINE_CYCLES, ([line, stats]) => [line + offset, stats]));
+        assert.deepStrictEqual(renderedLines(html, source), expected);
+        assert.strictEqual(profiler.totalCycles, 101);
+    });
+}
+
+test('ca65 macro expansions do not hide the source line', () => {
+    const map = loadDebugInfo(path.join(DEBUGINFO, 'ca65.dbg'));
+    assert.strictEqual(map.lookup(0x0834).line, 13);
+});
+
+test('KickAssembler library sources lose their jar prefix', () => {
+    const map = loadDebugInfo(path.join(DEBUGINFO, 'kickass.dbg'));
+    assert.deepStrictEqual(map.files.map(file => [file.name, file.text !== null]),
+        [['/include/autoinclude.asm', false], ['nested.s', true]]);
+});
+
+test('unknown debug info formats are an error', () => {
+    assert.throws(() => loadDebugInfo(path.join(DEBUGINFO, 'nested.lst'), { format: 'nope' }),
+        /Unknown debug info format: nope/);
+});
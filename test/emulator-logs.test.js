@@ -0,0 +1,42 @@
+/**
+ * lib/emulator-logs.js: opcode-table timing of logs without a cycle counter.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LogConverter } = require('../lib/emulator-logs');
+
+// Cycles of each instruction event, and the converter's untimed count
+function convert(format, lines) {
+    const events = [];
+    const converter = new LogConverter(format, event => events.push(event));
+    converter.write(lines.join('\n') + '\n');
+    converter.end();
+    return {
+        cycles: events.filter(event => event.ph === 'X').map(event => event.dur),
+        untimed: converter.untimed
+    };
+}
+
+const PAGE_CROSSING = [
+    // MAME prints neither registers nor effective addresses
+    ['mame abs,X: penalty unknown', 'mame', ['0810: lda $12ff,x', '0813: nop'], [4, 2], 1],
+    ['mame abs: no penalty', 'mame', ['0810: lda $1234', '0813: nop'], [4, 2], 0],
+    ['vice abs,X crossing from X', 'vice',
+        ['.C:0810  BD FF 12    LDA $12FF,X    - A:00 X:01 Y:00 SP:f3 ..-..I..', '.C:0813  EA          NOP            - A:00 X:01 Y:00 SP:f3 ..-..I..'],
+        [5, 2], 0],
+    ['vice abs,Y same page from Y', 'vice',
+        ['.C:0810  B9 00 12    LDA $1200,Y    - A:00 X:00 Y:05 SP:f3 ..-..I..', '.C:0813  EA          NOP            - A:00 X:00 Y:05 SP:f3 ..-..I..'],
+        [4, 2], 0],
+    ['mesen (zp),Y crossing from the effective address and Y', 'mesen',
+        ['8000  LDA ($10),Y [$1300] = $00   A:00 X:00 Y:01 S:FD P:nvUbdIzc', '8002  NOP   A:00 X:00 Y:01 S:FD P:nvUbdIzc'],
+        [6, 2], 0]
+];
+
+for (const [name, format, lines, cycles, untimed] of PAGE_CROSSING) {
+    test(name, () => {
+        const result = convert(format, lines);
+        assert.deepStrictEqual(result.cycles.slice(0, cycles.length), cycles);
+        assert.strictEqual(result.untimed, untimed);
+    });
+}
@@ -0,0 +1,160 @@
+/**
+ * Round trips for lib/exporters.js: each export is read back and its
+ * stacks and cycles compared with the call tree they came from.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const zlib = require('zlib');
+const CallTreeProfiler = require('../call-tree-profiler-v5');
+const { exportFolded, exportSpeedscope, exportPprof } = require('../lib/exporters');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function loadTree() {
+    const profiler = new CallTreeProfiler(path.join(FIXTURES, 'nested.json'), path.join(FIXTURES, 'nested.sym'));
+    return profiler.getCallTree();
+}
+
+// "root;main;draw" -> self cycles, as the exporters weight their stacks
+function expectedStacks(callTree) {
+    const stacks = new Map();
+    const add = (key, cycles) => {
+        if (cycles > 0) stacks.set(key, (stacks.get(key) || 0) + cycles);
+    };
+    add(callTree.name, callTree.selfCycles);
+    const visit = (node, names) => {
+        for (const child of node.children) {
+            const childNames = names.concat(child.name);
+            add(childNames.join(';'), child.selfCycles);
+            visit(child, childNames);
+        }
+    };
+    visit(callTree, []);
+    return stacks;
+}
+
+function addStack(stacks, names, cycles) {
+    const key = names.join(';');
+    stacks.set(key, (stacks.get(key) || 0) + cycles);
+}
+
+// Varint at buffer[state.pos], advancing it
+function readVarint(buffer, state) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+        byte = buffer[state.pos++];
+        value += (byte & 0x7f) * scale;
+        scale *= 0x80;
+    } while (byte & 0x80);
+    return value;
+}
+
+// Minimal protobuf reader: field number -> list of varints or byte buffers
+function readMessage(buffer) {
+    const fields = new Map();
+    const state = { pos: 0 };
+    const varint = () => readVarint(buffer, state);
+    while (state.pos < buffer.length) {
+        const key = varint();
+        const field = Math.floor(key / 8);
+        let value;
+        if (key % 8 === 0) {
+            value = varint();
+        } else if (key % 8 === 2) {
+            const length = varint();
+            value = buffer.subarray(state.pos, state.pos + length);
+            state.pos += length;
+        } else {
+            throw new Error('Unexpected wire type ' + (key % 8));
+        }
+        if (!fields.has(field)) fields.set(field, []);
+        fields.get(field).push(value);
+    }
+    return fields;
+}
+
+function readPacked(buffer) {
+    const values = [];
+    const state = { pos: 0 };
+    while (state.pos < buffer.length) values.push(readVarint(buffer, state));
+    return values;
+}
+
+const first = (fields, field, fallback) => fields.has(field) ? fields.get(field)[0] : fallback;
+
+test('fixture has nested and repeated calls', () => {
+    const tree = loadTree();
+    const stacks = expectedStacks(tree);
+    assert.ok(stacks.has('main;draw;plot'));
+    assert.strictEqual(tree.totalCycles, 101);
+    assert.strictEqual(Array.from(stacks.values()).reduce((a, b) => a + b, 0), tree.totalCycles);
+});
+
+test('folded stacks read back to the call tree', () => {
+    const tree = loadTree();
+    const stacks = new Map();
+    for (const line of exportFolded(tree).trim().split('\n')) {
+        const space = line.lastIndexOf(' ');
+        addStack(stacks, line.substring(0, space).split(';'), Number(line.substring(space + 1)));
+    }
+    assert.deepStrictEqual(stacks, expectedStacks(tree));
+});
+
+test('speedscope samples read back to the call tree', () => {
+    const tree = loadTree();
+    const json = JSON.parse(JSON.stringify(exportSpeedscope(tree, { name: 'nested' })));
+    const frames = json.shared.frames;
+    const profile = json.profiles[0];
+    assert.strictEqual(profile.type, 'sampled');
+    assert.strictEqual(profile.endValue, tree.totalCycles);
+    assert.strictEqual(profile.samples.length, profile.weights.length);
+
+    const stacks = new Map();
+    profile.samples.forEach((sample, i) => addStack(stacks, sample.map(index => frames[index].name), profile.weights[i]));
+    assert.deepStrictEqual(stacks, expectedStacks(tree));
+});
+
+test('pprof samples read back to the call tree', () => {
+    const tree = loadTree();
+    const profile = readMessage(zlib.gunzipSync(exportPprof(tree)));
+    const strings = profile.get(6).map(buffer => buffer.toString('utf8'));
+    assert.strictEqual(strings[0], '');
+
+    const functionNames = new Map();
+    for (const buffer of profile.get(5)) {
+        const fn = readMessage(buffer);
+        functionNames.set(first(fn, 1, 0), strings[first(fn, 2, 0)]);
+    }
+    const locationNames = new Map();
+    for (const buffer of profile.get(4)) {
+        const location = readMessage(buffer);
+        const line = readMessage(first(location, 4));
+        locationNames.set(first(location, 1, 0), functionNames.get(first(line, 1, 0)));
+    }
+
+    const sampleType = readMessage(first(profile, 1));
+    assert.strictEqual(strings[first(sampleType, 1, 0)], 'cycles');
+
+    const stacks = new Map();
+    for (const buffer of profile.get(2)) {
+        const sample = readMessage(buffer);
+        // Leaf first in pprof
+        const names = readPacked(first(sample, 1)).map(id => locationNames.get(id)).reverse();
+        addStack(stacks, names, readPacked(first(sample, 2))[0]);
+    }
+    assert.deepStrictEqual(stacks, expectedStacks(tree));
+});
+
+test('pprof adds nanoseconds at the machine clock', () => {
+    const tree = loadTree();
+    const profile = readMessage(zlib.gunzipSync(exportPprof(tree, { machine: { clockHz: 1000000 } })));
+    assert.strictEqual(profile.get(1).length, 2);
+    for (const buffer of profile.get(2)) {
+        const [cycles, ns] = readPacked(first(readMessage(buffer), 2));
+        assert.strictEqual(ns, cycles * 1000);
+    }
+});
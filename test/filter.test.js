@@ -0,0 +1,50 @@
+/**
+ * lib/filter.js: include/exclude/minPercent on the nested fixture.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const CallTreeProfiler = require('../call-tree-profiler-v5');
+const { filterCallTree, unmatchedPatterns } = require('../lib/filter');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function loadTree() {
+    return new CallTreeProfiler(path.join(FIXTURES, 'nested.json'), path.join(FIXTURES, 'nested.sym')).getCallTree();
+}
+
+// name path -> [self, total]
+function flatten(node, prefix = [], out = {}) {
+    for (const child of node.children) {
+        const names = prefix.concat(child.name);
+        out[names.join(';')] = [child.selfCycles, child.totalCycles];
+        flatten(child, names, out);
+    }
+    return out;
+}
+
+test('minPercent hides small nodes but keeps their cycles in the parent total', () => {
+    const tree = loadTree();
+    const filtered = filterCallTree(tree, { minPercent: 20 });
+    assert.deepStrictEqual(flatten(filtered), { 'main': [41, 101], 'main;draw': [24, 40] });
+    assert.strictEqual(filtered.totalCycles, tree.totalCycles);
+});
+
+test('keepPrunedCycles moves hidden cycles into the parent self time', () => {
+    const filtered = filterCallTree(loadTree(), { minPercent: 20, keepPrunedCycles: true });
+    assert.deepStrictEqual(flatten(filtered), { 'main': [61, 101], 'main;draw': [40, 40] });
+});
+
+test('include keeps paths to matching functions, exclude drops subtrees', () => {
+    const tree = loadTree();
+    assert.deepStrictEqual(flatten(filterCallTree(tree, { include: 'plot' })), { 'main': [0, 16], 'main;draw': [0, 16], 'main;draw;plot': [16, 16] });
+    assert.deepStrictEqual(Object.keys(flatten(filterCallTree(tree, { exclude: 'dr*' }))), ['main', 'main;init', 'main;sound']);
+    assert.strictEqual(tree.children[0].children.length, 3);
+});
+
+test('unmatchedPatterns lists patterns that match no function', () => {
+    const tree = loadTree();
+    assert.deepStrictEqual(unmatchedPatterns(tree, 'draw, nope,pl*,x*'), ['nope', 'x*']);
+    assert.deepStrictEqual(unmatchedPatterns(tree, null), []);
+});
@@ -0,0 +1,19 @@
+; nested calls, traced in ../nested.json
+main:   jsr init
+        ldx #2
+loop:   jsr draw
+        dex
+        bne loop
+        jsr sound
+        rts
+        .res $0830-*
+init:   lda #0
+        nop
+        rts
+draw:   jsr plot
+        rts
+plot:   nop
+        rts
+sound:  nop
+        nop
+        rts
@@ -0,0 +1,43 @@
+/**
+ * lib/memory.js: data and pointer accesses decoded from instruction events.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryMap } = require('../lib/memory');
+
+const ACCESSES = [
+    // [name, text, ea, x, reads, writes]
+    ['zp read', 'LDA $10', undefined, undefined, [0x10], []],
+    ['abs write', 'STA $D020', undefined, undefined, [], [0xD020]],
+    ['abs,X read via args.ea', 'LDA $12FF,X', '$1300', undefined, [0x1300], []],
+    ['(zp),Y pointer and data', 'LDA ($FB),Y', '$0405', undefined, [0xFB, 0xFC, 0x0405], []],
+    ['(zp,X) pointer from args.x', 'STA ($10,X)', '$0400', '$04', [0x14, 0x15], [0x0400]],
+    ['(zp,X) pointer wraps in zero page', 'LDA ($FF,X)', '$0400', '$01', [0x00, 0x01, 0x0400], []],
+    ['JMP ($xxFF) reads the pointer within its page', 'JMP ($10FF)', undefined, undefined, [0x10FF, 0x1000], []]
+];
+
+const touched = (counts) => Array.from(counts.keys()).filter(addr => counts[addr] > 0);
+
+for (const [name, text, ea, x, reads, writes] of ACCESSES) {
+    test(name, () => {
+        const memory = new MemoryMap();
+        memory.record(0x0810, text, ea, 'main', x);
+        assert.deepStrictEqual(touched(memory.reads), reads.slice().sort((a, b) => a - b));
+        assert.deepStrictEqual(touched(memory.writes), writes);
+    });
+}
+
+test('(zp,X) without args.x counts the pointer read as unresolved', () => {
+    const memory = new MemoryMap();
+    memory.record(0x0810, 'LDA ($10,X)', '$0400', 'main');
+    assert.strictEqual(memory.unresolvedPointers, 1);
+    assert.deepStrictEqual(touched(memory.reads), [0x0400]);
+});
+
+test('indexed access without args.ea is unresolved', () => {
+    const memory = new MemoryMap();
+    memory.record(0x0810, 'LDA $1200,Y', undefined, 'main');
+    assert.strictEqual(memory.unresolved, 1);
+    assert.deepStrictEqual(touched(memory.reads), []);
+});
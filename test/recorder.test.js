@@ -0,0 +1,69 @@
+/**
+ * lib/recorder.js: when a recording stops, and the B/E events it writes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordProgram } = require('../lib/recorder');
+
+const LOAD = 0x0810;
+
+function record(code, options = {}) {
+    return recordProgram(Buffer.from(code), Object.assign({ load: LOAD }, options));
+}
+
+const subroutineEvents = (events) => events
+    .filter(event => event.cat === 'subroutine')
+    .map(event => event.ph + ' ' + event.name);
+
+const STOPS = [
+    // JSR $0814 / RTS / LDA #$01 / RTS
+    ['return at the RTS sentinel', [0x20, 0x14, 0x08, 0x60, 0xA9, 0x01, 0x60], {}, 'return', 4, 2 + 6 + 6 + 6],
+    // LDA #$01 / BRK
+    ['brk', [0xA9, 0x01, 0x00], {}, 'brk', 1, 2],
+    // JMP $0810 forever
+    ['max-cycles', [0x4C, 0x10, 0x08], { maxCycles: 10 }, 'max-cycles', 4, 12]
+];
+
+for (const [name, code, options, stopReason, instructions, cycles] of STOPS) {
+    test(`stops on ${name}`, () => {
+        const result = record(code, options);
+        assert.strictEqual(result.stopReason, stopReason);
+        assert.strictEqual(result.instructions, instructions);
+        assert.strictEqual(result.cycles, cycles);
+    });
+}
+
+test('B/E events pair each JSR with its RTS', () => {
+    const { traceEvents } = record([0x20, 0x14, 0x08, 0x60, 0xA9, 0x01, 0x60]);
+    assert.deepStrictEqual(subroutineEvents(traceEvents), ['B $0810', 'B $0814', 'E $0814', 'E $0810']);
+});
+
+test('an open routine is closed by an RTS used as a jump', () => {
+    // LDA #$08 / PHA / LDA #$15 / PHA / RTS -> $0816: RTS
+    const code = [0xA9, 0x08, 0x48, 0xA9, 0x15, 0x48, 0x60, 0x60];
+    const { traceEvents, stopReason } = record(code);
+    assert.strictEqual(stopReason, 'return');
+    // The dispatch RTS ends $0810's event; the real return then has none open
+    assert.deepStrictEqual(subroutineEvents(traceEvents), ['B $0810', 'E $0810']);
+});
+
+test('instruction events carry cycles, SP and the effective address', () => {
+    // LDX #$01 / LDA $12FF,X / BRK
+    const { traceEvents } = record([0xA2, 0x01, 0xBD, 0xFF, 0x12, 0x00]);
+    const instructions = traceEvents.filter(event => event.ph === 'X');
+    assert.strictEqual(instructions.length, 2);
+    const load = instructions[1];
+    assert.strictEqual(load.dur, 5);
+    assert.strictEqual(load.ts, 2);
+    assert.deepStrictEqual(load.args, { addr: '$0812', cycles: 5, sp: '$FB', ea: '$1300' });
+    assert.strictEqual(instructions[0].args.ea, undefined);
+});
+
+test('(zp,X) events carry X for the pointer address', () => {
+    // LDX #$04 / LDA ($10,X) / BRK
+    const { traceEvents } = record([0xA2, 0x04, 0xA1, 0x10, 0x00]);
+    const load = traceEvents.filter(event => event.ph === 'X')[1];
+    assert.strictEqual(load.args.x, '$04');
+    assert.strictEqual(load.args.ea, '$0000');
+});
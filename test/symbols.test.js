@@ -0,0 +1,56 @@
+/**
+ * lib/symbols.js: each symbol file format is detected and parsed to the
+ * same labels.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseSymbols, detectSymbolFormat } = require('../lib/symbols');
+
+const SYMBOLS = path.join(__dirname, 'fixtures', 'symbols');
+
+// Every fixture labels the same program
+const LABELS = [[0x00FB, 'ptr'], [0x0810, 'main'], [0x0830, 'init'], [0x0840, 'play']];
+
+const FORMATS = [
+    // [file, detected format]
+    ['kickass.sym', 'kickass'],
+    ['vice.lbl', 'vice'],
+    ['ld65.lbl', 'vice'], // ld65 -Ln writes VICE labels
+    ['ld65.dbg', 'ld65dbg'],
+    ['acme.sym', 'acme'],
+    ['64tass.txt', '64tass'],
+    ['dasm.sym', 'dasm']
+];
+
+const read = (file) => fs.readFileSync(path.join(SYMBOLS, file), 'utf8');
+const labels = (symbols) => Array.from(symbols.entries()).sort((a, b) => a[0] - b[0]);
+
+for (const [file, format] of FORMATS) {
+    test(`${file} is detected as ${format} and parsed`, () => {
+        const content = read(file);
+        assert.strictEqual(detectSymbolFormat(content), format);
+        const result = parseSymbols(content);
+        assert.strictEqual(result.format, format);
+        assert.deepStrictEqual(labels(result.symbols), LABELS);
+        assert.deepStrictEqual(result.unparsed, []);
+    });
+}
+
+test('DASM without its header is still recognised', () => {
+    const content = read('dasm.sym').split('\n').filter(line => !line.startsWith('---')).join('\n');
+    assert.strictEqual(detectSymbolFormat(content), 'dasm');
+});
+
+test('a forced format reports the lines it does not understand', () => {
+    const result = parseSymbols(read('dasm.sym'), { format: 'vice' });
+    assert.strictEqual(result.format, 'vice');
+    assert.strictEqual(result.symbols.size, 0);
+    assert.deepStrictEqual(result.unparsed.map(entry => entry.line), [1, 2, 3, 4, 5, 6]);
+});
+
+test('unknown formats are an error', () => {
+    assert.throws(() => parseSymbols('', { format: 'nope' }), /Unknown symbol format: nope/);
+});
@@ -0,0 +1,93 @@
+/**
+ * lib/trace-stream.js: streamed analysis matches the in-memory path for
+ * every trace layout, and the scanner copes with any chunk boundary.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const CallTreeProfiler = require('../call-tree-profiler-v5');
+const { exportFolded } = require('../lib/exporters');
+const { TraceEventParser } = require('../lib/trace-stream');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SYMBOLS = path.join(FIXTURES, 'nested.sym');
+const EVENTS = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'nested.json'), 'utf8')).traceEvents;
+
+const LAYOUTS = {
+    'wrapper': ['wrapper.json', JSON.stringify({ traceEvents: EVENTS, displayTimeUnit: 'ns' })],
+    'bare array': ['array.json', '[\n' + EVENTS.map(event => JSON.stringify(event)).join(',\n') + '\n'],
+    'JSON lines': ['lines.json', EVENTS.map(event => JSON.stringify(event)).join('\n') + '\n'],
+    'gzip': ['wrapper.json.gz', zlib.gzipSync(JSON.stringify({ traceEvents: EVENTS }))]
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-stream-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+for (const [layout, [file, contents]] of Object.entries(LAYOUTS)) {
+    test(`analyzeStream() matches analyze() for ${layout}`, async () => {
+        const traceFile = path.join(dir, file);
+        fs.writeFileSync(traceFile, contents);
+        const loaded = new CallTreeProfiler(traceFile, SYMBOLS);
+        const streamed = new CallTreeProfiler(traceFile, SYMBOLS, { stream: true });
+        let progress = 0;
+        await streamed.analyzeStream((bytesRead) => { progress = bytesRead; });
+        loaded.getCallTree();
+
+        assert.strictEqual(progress, fs.statSync(traceFile).size);
+        assert.strictEqual(loaded.events.length, EVENTS.length);
+        assert.strictEqual(streamed.totalCycles, loaded.totalCycles);
+        assert.strictEqual(exportFolded(streamed.getCallTree()), exportFolded(loaded.getCallTree()));
+        assert.deepStrictEqual(streamed.getCallTree(), loaded.getCallTree());
+    });
+}
+
+// Strings with escapes, braces and brackets, unicode and exponent numbers
+const AWKWARD = [
+    { name: 'say "hi" {not} [an] event\\', ph: 'X', ts: 0, dur: 1.5e3, args: { note: '}]\\"é😀', n: -0.25 } },
+    { name: '\\\\', ph: 'B', ts: 1500, args: {} },
+    { name: 'tab\there', ph: 'E', ts: 12345678901 }
+];
+
+function parseInChunks(text, size) {
+    const events = [];
+    const parser = new TraceEventParser(event => events.push(event));
+    for (let i = 0; i < text.length; i += size) parser.write(text.substring(i, i + size));
+    parser.end();
+    return events;
+}
+
+function parseSplitAt(text, at) {
+    const events = [];
+    const parser = new TraceEventParser(event => events.push(event));
+    parser.write(text.substring(0, at));
+    parser.write(text.substring(at));
+    parser.end();
+    return events;
+}
+
+const AWKWARD_LAYOUTS = {
+    'wrapper': JSON.stringify({ meta: { traceEvents: ['not these'] }, traceEvents: AWKWARD, after: [{ name: 'ignored' }] }),
+    'bare array': JSON.stringify(AWKWARD),
+    'JSON lines': AWKWARD.map(event => JSON.stringify(event)).join('\n')
+};
+
+for (const [layout, text] of Object.entries(AWKWARD_LAYOUTS)) {
+    test(`scanner reads ${layout} split at every position`, () => {
+        for (let at = 0; at <= text.length; at++) {
+            assert.deepStrictEqual(parseSplitAt(text, at), AWKWARD, `split at ${at}`);
+        }
+    });
+
+    test(`scanner reads ${layout} one character at a time`, () => {
+        assert.deepStrictEqual(parseInChunks(text, 1), AWKWARD);
+    });
+}
+
+test('scanner rejects a trace cut off inside an event', () => {
+    const text = JSON.stringify(AWKWARD);
+    assert.throws(() => parseInChunks(text.substring(0, text.indexOf('tab')), 7), /middle of an event/);
+});